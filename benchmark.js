@@ -0,0 +1,192 @@
+// Todoリストの描画のベンチマーク（benchmark.html）
+// すべての行を描画するTodoListViewと、表示範囲の行だけを描画するVirtualTodoListViewで、
+// アプリと同じようにrender()で描画したときのフレーム時間を計測して比べる
+
+import { element, render } from "./src/view/html-util.js";
+import { TodoListView } from "./src/view/TodoListView.js";
+import { VirtualTodoListView } from "./src/view/VirtualTodoListView.js";
+import { TodoItemModel } from "./src/model/TodoItemModel.js";
+import { flattenTodoTree } from "./src/model/todoSelectors.js";
+import { I18n } from "./src/i18n/I18n.js";
+
+const formElement = document.querySelector("#js-benchmark-form");
+const countInputElement = document.querySelector("#js-benchmark-count");
+const framesInputElement = document.querySelector("#js-benchmark-frames");
+const runButtonElement = document.querySelector("#js-benchmark-run");
+const statusElement = document.querySelector("#js-benchmark-status");
+const resultsElement = document.querySelector("#js-benchmark-results");
+const listContainerElement = document.querySelector("#js-benchmark-list");
+
+// 1フレームの時間の目安（60fps）
+const FRAME_BUDGET = 1000 / 60;
+
+const i18n = new I18n();
+
+/**
+ * 計測する描画の方法
+ * createElement: すべての行から、コンテナに描画するリストを生成する
+ * isVirtual: 表示範囲の行だけを描画するかどうか（スクロールのたびに再描画する必要がある）
+ */
+const RENDERERS = [
+    {
+        name: "TodoListView（すべての行）",
+        isVirtual: false,
+        createElement: (view, rows, props) => view.createElement(rows, props),
+        view: new TodoListView()
+    },
+    {
+        name: "VirtualTodoListView（表示範囲の行）",
+        isVirtual: true,
+        createElement: (view, rows, props) => view.createElement(rows, {
+            ...props,
+            scrollTop: listContainerElement.scrollTop,
+            viewportHeight: listContainerElement.clientHeight
+        }),
+        view: new VirtualTodoListView()
+    }
+];
+
+/**
+ * 計測に使うTodoを生成する（10件ごとに、直前のTodoのサブタスクにする）
+ * @param {number} count
+ * @returns {TodoItemModel[]}
+ */
+function createTodoItems(count) {
+    return Array.from({ length: count }, (_, index) => new TodoItemModel({
+        id: index,
+        title: `Todo ${index}`,
+        completed: index % 3 === 0,
+        dueDate: index % 7 === 0 ? "2030-01-01T09:00" : null,
+        parentId: index % 10 === 9 ? index - 1 : null
+    }));
+}
+
+/**
+ * 次のフレームまで待つ
+ * @returns {Promise<number>} requestAnimationFrame()のタイムスタンプ
+ */
+function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(resolve));
+}
+
+/**
+ * フレームごとに処理を実行し、フレームの間隔を計測する
+ *
+ * requestAnimationFrame()のコールバックの間隔には、処理の時間に加えて
+ * スタイルの計算、レイアウト、描画の時間が含まれます。
+ *
+ * @param {number} frameCount 計測するフレーム数
+ * @param {function(number): void} onFrame フレームごとに実行する処理（引数はフレームの番号）
+ * @returns {Promise<number[]>} 各フレームの時間（ms）
+ */
+async function measureFrames(frameCount, onFrame) {
+    const frameTimes = [];
+    let previousTimestamp = await nextFrame();
+    for (let frame = 0; frame < frameCount; frame++) {
+        onFrame(frame);
+        const timestamp = await nextFrame();
+        frameTimes.push(timestamp - previousTimestamp);
+        previousTimestamp = timestamp;
+    }
+    return frameTimes;
+}
+
+/**
+ * @param {number[]} values
+ * @param {number} ratio 0〜1
+ * @returns {number}
+ */
+function percentile(values, ratio) {
+    const sortedValues = [...values].sort((a, b) => a - b);
+    return sortedValues[Math.min(Math.ceil(sortedValues.length * ratio) - 1, sortedValues.length - 1)];
+}
+
+/**
+ * 1つの描画方法で、初回の描画と、更新・スクロールのフレーム時間を計測する
+ * @param {object} renderer RENDERERSの要素
+ * @param {{ count: number, frameCount: number }} options
+ * @returns {Promise<Array<{ operation: string, mountTime: number|null, frameTimes: number[] }>>}
+ */
+async function runBenchmark(renderer, { count, frameCount }) {
+    let todoItems = createTodoItems(count);
+    let rows = [];
+    const renderList = () => {
+        rows = flattenTodoTree(todoItems);
+        render(renderer.createElement(renderer.view, rows, { i18n }), listContainerElement);
+        // アプリと同じく、描画した行の高さを測って次の描画の余白に使う
+        if (renderer.isVirtual) {
+            renderer.view.didRender(listContainerElement.firstElementChild);
+        }
+    };
+    listContainerElement.innerHTML = "";
+    listContainerElement.scrollTop = 0;
+    listContainerElement.classList.toggle("is-virtual", renderer.isVirtual);
+    await nextFrame();
+    const mountStart = performance.now();
+    renderList();
+    // 初回の描画には、描画した行のレイアウトの時間も含める
+    listContainerElement.getBoundingClientRect();
+    const mountTime = performance.now() - mountStart;
+    // キー入力でタイトルを変えたときのように、表示範囲のTodoを1件ずつ更新して描画し直す
+    const updateFrameTimes = await measureFrames(frameCount, frame => {
+        const index = frame % Math.min(count, 5);
+        todoItems = todoItems.with(index, new TodoItemModel({ ...todoItems[index].toJSON(), title: `Todo ${index} (${frame})` }));
+        renderList();
+    });
+    // 1フレームごとに表示領域の半分ずつスクロールする（表示範囲の行だけを描画する場合は、アプリと同じく範囲が変わったときに描画し直す）
+    let renderedRange = renderer.isVirtual ? renderer.view.getRange(rows, { scrollTop: 0, viewportHeight: listContainerElement.clientHeight }) : null;
+    const scrollFrameTimes = await measureFrames(frameCount, () => {
+        listContainerElement.scrollTop += listContainerElement.clientHeight / 2;
+        if (renderer.isVirtual) {
+            const range = renderer.view.getRange(rows, { scrollTop: listContainerElement.scrollTop, viewportHeight: listContainerElement.clientHeight });
+            if (range.start !== renderedRange.start || range.end !== renderedRange.end) {
+                renderedRange = range;
+                renderList();
+            }
+        }
+    });
+    return [
+        { operation: "更新", mountTime, frameTimes: updateFrameTimes },
+        { operation: "スクロール", mountTime: null, frameTimes: scrollFrameTimes }
+    ];
+}
+
+/**
+ * 計測結果を表に追加する
+ * @param {string} name 描画の方法
+ * @param {{ operation: string, mountTime: number|null, frameTimes: number[] }} result
+ */
+function appendResult(name, { operation, mountTime, frameTimes }) {
+    const format = (value) => value.toFixed(1);
+    const droppedCount = frameTimes.filter(frameTime => frameTime > FRAME_BUDGET).length;
+    resultsElement.appendChild(element`<tr>
+        <td>${name}</td>
+        <td>${operation}</td>
+        <td>${mountTime === null ? "" : format(mountTime)}</td>
+        <td>${format(percentile(frameTimes, 0.5))}</td>
+        <td>${format(percentile(frameTimes, 0.95))}</td>
+        <td>${format(Math.max(...frameTimes))}</td>
+        <td>${droppedCount} / ${frameTimes.length}</td>
+    </tr>`);
+}
+
+formElement.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const count = Math.max(Number(countInputElement.value) || 1, 1);
+    const frameCount = Math.max(Number(framesInputElement.value) || 1, 1);
+    runButtonElement.disabled = true;
+    resultsElement.innerHTML = "";
+    try {
+        for (const renderer of RENDERERS) {
+            statusElement.textContent = `${renderer.name}を計測しています…`;
+            const results = await runBenchmark(renderer, { count, frameCount });
+            results.forEach(result => appendResult(renderer.name, result));
+        }
+        statusElement.textContent = `${count}件のTodoで計測しました`;
+    } catch (error) {
+        console.error("ベンチマークに失敗しました", error);
+        statusElement.textContent = `ベンチマークに失敗しました: ${error.message}`;
+    } finally {
+        runButtonElement.disabled = false;
+    }
+});
@@ -2,23 +2,93 @@
 // loadされたときにmount、アンロード（update）されたときにunmountを呼び出す
 
 import { App } from "./src/App.js";
+import { LocalStorageAdapter } from "./src/storage/LocalStorageAdapter.js";
 
 const formElement = document.querySelector("#js-form");
 const formInputElement = document.querySelector("#js-form-input");
+const formDueDateElement = document.querySelector("#js-form-due-date");
 const todoCountElement = document.querySelector("#js-todo-count");
+const todoProgressElement = document.querySelector("#js-todo-progress");
 const todoListContainerElement = document.querySelector("#js-todo-list");
+const undoButtonElement = document.querySelector("#js-undo-button");
+const redoButtonElement = document.querySelector("#js-redo-button");
+const filtersElement = document.querySelector("#js-filters");
+const toggleAllElement = document.querySelector("#js-toggle-all");
+const clearCompletedButtonElement = document.querySelector("#js-clear-completed");
+const dropTargetElement = document.querySelector(".todoapp");
+const exportFormatElement = document.querySelector("#js-export-format");
+const exportButtonElement = document.querySelector("#js-export-button");
+const importModeElement = document.querySelector("#js-import-mode");
+const importResultElement = document.querySelector("#js-import-result");
+const sortElement = document.querySelector("#js-sort");
+const secondarySortElement = document.querySelector("#js-sort-secondary");
+const toastContainerElement = document.querySelector("#js-toast-container");
+const projectListContainerElement = document.querySelector("#js-project-list");
+const projectFormElement = document.querySelector("#js-project-form");
+const projectFormInputElement = document.querySelector("#js-project-form-input");
+const searchInputElement = document.querySelector("#js-search-input");
+const localeSelectElement = document.querySelector("#js-locale-select");
+
+// URLに?debugを付けたときだけ、Stateの変化を検査するパネルを読み込む
+// 付けない場合はモジュールもMiddlewareも読み込まれない
+let stateInspector = null;
+let enhancer = null;
+if (new URLSearchParams(window.location.search).has("debug")) {
+    const [{ StateInspector }, { applyMiddleware }] = await Promise.all([
+        import("./src/devtools/StateInspector.js"),
+        import("./src/model/middleware.js")
+    ]);
+    stateInspector = new StateInspector({ todoListContainerElement });
+    enhancer = applyMiddleware(stateInspector.middleware);
+}
 
 const app = new App({
     formElement,
     formInputElement,
+    formDueDateElement,
     todoCountElement,
-    todoListContainerElement
+    todoProgressElement,
+    todoListContainerElement,
+    undoButtonElement,
+    redoButtonElement,
+    filtersElement,
+    toggleAllElement,
+    clearCompletedButtonElement,
+    dropTargetElement,
+    exportFormatElement,
+    exportButtonElement,
+    importModeElement,
+    importResultElement,
+    sortElement,
+    secondarySortElement,
+    toastContainerElement,
+    projectListContainerElement,
+    projectFormElement,
+    projectFormInputElement,
+    searchInputElement,
+    localeSelectElement,
+    // IndexedDBに保存する場合は IndexedDBStorageAdapter、保存しない場合は MemoryStorageAdapter を渡す
+    storage: new LocalStorageAdapter("todo-app"),
+    // 古い形式などで読み込めなかった保存済みのデータは、元のままここへ退避する
+    backupStorage: new LocalStorageAdapter("todo-app-backup"),
+    // 同じアプリを開いている他のタブと変更を同期する
+    syncChannelName: "todo-app-sync",
+    // サーバーと同期する場合はAPIのURL（"http://localhost:3000/api/"など）を指定する
+    syncBaseUrl: null,
+    syncStorage: new LocalStorageAdapter("todo-app-server-sync"),
+    // 言語の切り替えで選んだロケールの保存先（保存しない場合はブラウザの言語設定で決まる）
+    localeStorage: new LocalStorageAdapter("todo-app-locale"),
+    // 表示する行がこの数以上のときは、スクロールしている範囲の行だけを描画する（常にすべて描画する場合はInfinity）
+    virtualListThreshold: 1000,
+    enhancer
 });
 
 window.addEventListener("load", () => {
     app.mount();
+    stateInspector?.mount(document.body);
 });
 window.addEventListener("unload", () => {
+    stateInspector?.unmount();
     app.unmount();
 });
 /* sandpackではloadイベントが発生しないため手動でイベントを発行 https://github.com/codesandbox/sandpack/issues/44 */document.readyState === 'complete' && window.dispatchEvent(new Event('load'));
@@ -25,8 +25,12 @@ export class EventEmitter {
      * このメソッドは、特定のActionType（イベント名）に対してリスナーを登録し、
      * そのActionがdispatchされたときに実行される処理を定義します。
      *
+     * イベント名に"*"を指定すると、すべてのイベントを購読します。
+     * その場合、リスナーは第1引数にイベント名を、続けてemit()に渡された引数を受け取ります。
+     *
      * @param {string} type イベント名（ReduxのActionTypeに相当）
      * @param {Function} listener イベントリスナー（Reducerの処理後に実行される関数）
+     * @returns {function(): void} リスナーを解除する関数（Store.subscribe()の戻り値に相当）
      */
     addEventListener(type, listener) {
         // 指定したイベントに対応するSetを作成しリスナー関数を登録する
@@ -35,6 +39,29 @@ export class EventEmitter {
         }
         const listenerSet = this.#listeners.get(type);
         listenerSet.add(listener);
+        return () => {
+            this.removeEventListener(type, listener);
+        };
+    }
+
+    /**
+     * 1回だけ実行されるイベントリスナーの登録
+     *
+     * 最初にイベントが発生したときにリスナーを実行し、自動的に解除します。
+     * 実行前であれば、元のリスナー関数を指定してremoveEventListener()で解除できます。
+     *
+     * @param {string} type イベント名
+     * @param {Function} listener イベントリスナー
+     * @returns {function(): void} リスナーを解除する関数
+     */
+    once(type, listener) {
+        const onceListener = function (...args) {
+            this.removeEventListener(type, onceListener);
+            return listener.apply(this, args);
+        };
+        // removeEventListener()で元のリスナー関数を指定して解除できるように関連付ける
+        onceListener.listener = listener;
+        return this.addEventListener(type, onceListener);
     }
 
     /**
@@ -45,16 +72,25 @@ export class EventEmitter {
      * 登録されているすべてのリスナー（Reducerのような処理）を実行します。
      * これにより、Stateの更新とViewの再レンダリングが連鎖的に発生します。
      *
+     * リスナーが例外を投げても、残りのリスナーは実行されます。
+     * 投げられた例外は"error"イベントとして通知されます。
+     *
      * @param {string} type イベント名（ReduxのAction.typeに相当）
+     * @param {...any} args リスナーに渡す引数（ReduxのAction.payloadに相当）
      */
-    emit(type) {
+    emit(type, ...args) {
         // 指定したイベントに対応するSetを取り出し、すべてのリスナー関数を呼び出す
-        const listenerSet = this.#listeners.get(type);
-        if (!listenerSet) {
+        // 実行中にリスナーが追加・解除されても影響しないよう、呼び出す前に複製する
+        const listeners = [...(this.#listeners.get(type) ?? [])];
+        listeners.forEach(listener => {
+            this.#callListener(type, listener, args);
+        });
+        if (type === "*") {
             return;
         }
-        listenerSet.forEach(listener => {
-            listener.call(this);
+        const wildcardListeners = [...(this.#listeners.get("*") ?? [])];
+        wildcardListeners.forEach(listener => {
+            this.#callListener(type, listener, [type, ...args]);
         });
     }
 
@@ -74,9 +110,45 @@ export class EventEmitter {
             return;
         }
         listenerSet.forEach(ownListener => {
-            if (ownListener === listener) {
-                listenerSet.delete(listener);
+            // once()で登録したリスナーは、元のリスナー関数でも解除できる
+            if (ownListener === listener || ownListener.listener === listener) {
+                listenerSet.delete(ownListener);
             }
         });
     }
+
+    /**
+     * リスナーを1つ実行し、投げられた例外を"error"イベントとして通知する
+     *
+     * "error"イベントのリスナーが無い場合や、"error"イベントのリスナー自体が
+     * 例外を投げた場合は、ブラウザの未処理エラーとして報告します。
+     *
+     * @param {string} type 発生したイベント名
+     * @param {Function} listener 実行するリスナー
+     * @param {any[]} args リスナーに渡す引数
+     */
+    #callListener(type, listener, args) {
+        try {
+            listener.apply(this, args);
+        } catch (error) {
+            if (type !== "error" && this.#listeners.get("error")?.size > 0) {
+                this.emit("error", error, { type, listener });
+            } else {
+                reportError(error);
+            }
+        }
+    }
+}
+
+/**
+ * 例外を未処理エラーとして報告する
+ * 呼び出し元の処理は止めずに、window.onerrorやコンソールへ通知する
+ * @param {unknown} error
+ */
+function reportError(error) {
+    if (typeof globalThis.reportError === "function") {
+        globalThis.reportError(error);
+    } else {
+        console.error(error);
+    }
 }
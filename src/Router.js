@@ -0,0 +1,108 @@
+/**
+ * Routerクラス - React Routerの<HashRouter>に相当するハッシュベースのルーター
+ *
+ * URLのハッシュ（`#/active`など）を現在のルートとして扱い、
+ * hashchangeイベントを監視してルートの変更を通知します。
+ * ハッシュの`?`以降（`#/active?q=牛乳`）はクエリ文字列として扱います。
+ * ハッシュを使うため、サーバー側の設定なしにページの再読み込みや
+ * ブラウザの戻る/進むでルートが維持されます。
+ *
+ * React Routerとの対応:
+ * - getPath() = useLocation().pathname
+ * - getSearchParams() = useSearchParams()
+ * - navigate() = useNavigate()
+ * - onChange() = history.listen()
+ */
+import { EventEmitter } from "./EventEmitter.js";
+
+export class Router extends EventEmitter {
+    #window;
+
+    /**
+     * @param {{ window?: Window }} [options] window: hashchangeを監視するwindow（テスト用に差し替え可能）
+     */
+    constructor({ window: targetWindow = window } = {}) {
+        super();
+        this.#window = targetWindow;
+    }
+
+    /**
+     * 現在のルートのパスを返す
+     * ハッシュが空の場合は"/"を返す
+     * @returns {string} `#/active`や`#/active?q=牛乳`の場合は"/active"
+     */
+    getPath() {
+        const [path] = this.#getHash().split("?");
+        return path === "" ? "/" : path;
+    }
+
+    /**
+     * 現在のルートのクエリ文字列を返す
+     * @returns {URLSearchParams} `#/active?q=牛乳`の場合は`q=牛乳`
+     */
+    getSearchParams() {
+        const queryIndex = this.#getHash().indexOf("?");
+        return new URLSearchParams(queryIndex === -1 ? "" : this.#getHash().slice(queryIndex + 1));
+    }
+
+    /**
+     * 指定したパスへ移動する
+     *
+     * replaceを指定すると、履歴に新しい項目を追加せずに現在の項目を置き換えます。
+     * 検索語の入力のように、1文字ごとにブラウザの戻るで戻りたくない変更に使います。
+     *
+     * @param {string} path 移動先のパス（"/active"、"/active?q=牛乳"など）
+     * @param {{ replace?: boolean }} [options]
+     */
+    navigate(path, { replace = false } = {}) {
+        if (replace) {
+            this.#window.location.replace(`#${path}`);
+        } else {
+            this.#window.location.hash = `#${path}`;
+        }
+    }
+
+    /**
+     * ルート変更リスナーの登録
+     * @param {Function} listener ルートが変わったときに実行される関数
+     * @returns {function(): void} リスナーを解除する関数
+     */
+    onChange(listener) {
+        return this.addEventListener("change", listener);
+    }
+
+    /**
+     * `onChange`で登録したリスナー関数を解除する
+     * @param {Function} listener
+     */
+    offChange(listener) {
+        this.removeEventListener("change", listener);
+    }
+
+    /**
+     * hashchangeの監視を開始し、現在のルートを通知する
+     */
+    start() {
+        this.#window.addEventListener("hashchange", this.#handleHashChange);
+        this.emit("change");
+    }
+
+    /**
+     * hashchangeの監視を終了する
+     */
+    stop() {
+        this.#window.removeEventListener("hashchange", this.#handleHashChange);
+    }
+
+    /**
+     * 先頭の`#`を除いたハッシュを返す
+     * @returns {string}
+     */
+    #getHash() {
+        return this.#window.location.hash.replace(/^#/, "");
+    }
+
+    #handleHashChange = () => {
+        this.emit("change");
+    };
+}
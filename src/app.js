@@ -31,6 +31,15 @@
  * - #handleAdd/Update/Delete = mapDispatchToProps
  * - #handleChange = mapStateToPropsとcomponentDidUpdate
  * - mount/unmount = componentDidMount/componentWillUnmount
+ * - storage = redux-persistのpersistStore()に渡すstorage
+ * - router = React Routerの<HashRouter>（#/projects/1、#/projects/1/activeなどで表示するプロジェクトとフィルターを切り替える）
+ *   検索語はクエリ文字列（#/projects/1?q=牛乳）として保持する
+ * - TabSync = redux-state-sync（他のタブとStateを同期する）
+ * - ServerSync = redux-offline（オフラインの間の変更を記録し、RESTのサーバーと同期する）
+ * - i18n = react-intlの<IntlProvider>（ロケールを切り替えると、ページを再読み込みせずに再レンダリングする）
+ * - VirtualTodoListView = react-window（表示する行が多い場合は、スクロールしている範囲の行だけを描画する）
+ * - ActionDelegator = ReactのSynthetic Events（Todoリストのイベントはコンテナでまとめて受け取り、
+ *   要素のdata-action属性とdata-id属性から、Appのハンドラーへ振り分ける）
  *
  * このアーキテクチャにより実現される特徴：
  * - 単方向データフロー: UI → Action → State → UI
@@ -38,25 +47,248 @@
  * - 関心の分離: Model/View/Controllerの明確な役割分担
  */
 
-import { render } from "./view/html-util.js";
+import { captureFocus, element, render } from "./view/html-util.js";
 import { TodoListView } from "./view/TodoListView.js";
+import { VirtualTodoListView } from "./view/VirtualTodoListView.js";
+import { ActionDelegator } from "./view/ActionDelegator.js";
+import { ProjectListView } from "./view/ProjectListView.js";
 import { TodoItemModel } from "./model/TodoItemModel.js";
+import { ProjectModel } from "./model/ProjectModel.js";
 import { TodoListModel } from "./model/TodoListModel.js";
+import { TodoFilter, TodoSort, flattenTodoTree, getDescendantIds, searchTodoItems } from "./model/todoSelectors.js";
+import { Router } from "./Router.js";
+import { TabSync } from "./sync/TabSync.js";
+import { ServerSync } from "./sync/ServerSync.js";
+import { detectFormat, getFileType } from "./io/todoFormats.js";
+import { downloadTextFile, hasFiles } from "./io/file-util.js";
+import { ReminderScheduler, systemClock } from "./reminder/ReminderScheduler.js";
+import { I18n } from "./i18n/I18n.js";
+
+// ルートのパス（プロジェクトの部分を除いたもの）と表示フィルターの対応
+const FILTER_BY_PATH = new Map([
+    ["/", TodoFilter.ALL],
+    ["/active", TodoFilter.ACTIVE],
+    ["/completed", TodoFilter.COMPLETED]
+]);
+
+/**
+ * ルートのパスから、表示するプロジェクトと表示フィルターを求める
+ *
+ * "/projects/1/active"のように、プロジェクトのIDに続けて表示フィルターを指定します。
+ * プロジェクトを含まないパス（"/"、"/active"など）では、projectIdはnullになります。
+ *
+ * @param {string} path
+ * @returns {{ projectId: number|null, filter: string }}
+ */
+function parseRoute(path) {
+    const match = /^\/projects\/(\d+)(\/.*)?$/.exec(path);
+    const filterPath = match ? match[2] ?? "/" : path;
+    return {
+        projectId: match ? Number(match[1]) : null,
+        // 未知のルートはすべて表示として扱う
+        filter: FILTER_BY_PATH.get(filterPath) ?? TodoFilter.ALL
+    };
+}
+
+/**
+ * プロジェクトと表示フィルター、検索語からルートのパスを求める
+ * @param {number} projectId
+ * @param {string} filter TodoFilterのいずれか
+ * @param {string} [query] 検索語（空の場合はクエリ文字列を付けない）
+ * @returns {string}
+ */
+function createRoutePath(projectId, filter, query = "") {
+    const path = filter === TodoFilter.ALL ? `/projects/${projectId}` : `/projects/${projectId}/${filter}`;
+    return query === "" ? path : `${path}?${new URLSearchParams({ q: query })}`;
+}
 
 export class App {
     #todoListView = new TodoListView();
-    #todoListModel = new TodoListModel([]);
+    #virtualTodoListView = new VirtualTodoListView();
+    #projectListView = new ProjectListView();
+    #todoListModel;
+    #router;
+    // タブ間の同期（syncChannelNameを指定しない場合はnull）
+    #tabSync = null;
+    // サーバーとの同期（syncBaseUrlを指定しない場合はnull）
+    #serverSync = null;
+    // 現在の表示フィルター（ルートから決まる）
+    #filter = TodoFilter.ALL;
+    // ルートで指定されたプロジェクトのID（指定されていなければnull）
+    #routeProjectId = null;
+    // 検索語（ルートのクエリ文字列から決まる）
+    #query = "";
+    // 名前を変更中のプロジェクトのID（変更中でなければnull）
+    #editingProjectId = null;
+    // タイトルを編集中のTodoアイテムのID（編集中でなければnull）
+    #editingTodoId = null;
+    // 最後にフォーカスした行のTodoアイテムのID（Tabキーでリストに入ったときにフォーカスする行）
+    #focusedTodoId = null;
+    // サブタスクを折りたたんだTodoアイテムのID
+    #collapsedTodoIds = new Set();
+    // サブタスクの入力欄を開いているTodoアイテムのID（開いていなければnull）
+    #addingSubtaskParentId = null;
+    // 現在の並び順（優先する順。2番目の並び順は、1番目の並び順で同じ順位のTodoの間で使う）
+    #sort = [TodoSort.MANUAL, TodoSort.MANUAL];
+    // 優先度のコンテキストメニューを開いているTodoアイテムのIDとメニューの位置（開いていなければnull）
+    #contextMenu = null;
+    // 繰り返しの設定用の行を開いているTodoアイテムのID（開いていなければnull）
+    #editingRecurrenceTodoId = null;
+    // 表示範囲の行だけを描画する行数（表示する行がこの数以上のとき）
+    #virtualListThreshold;
+    // 最後に描画した行（スクロールで描画範囲だけが変わったときに再利用する）と、描画した行の範囲（すべて描画した場合はnull）
+    #renderedRows = [];
+    #renderedRange = null;
+    // Todoリストのイベントを受け取り、data-action属性の操作ごとにハンドラーを呼ぶ（mount()で受け取りを始める）
+    #todoListActions;
+    // 現在時刻とタイマーの実装（テストでは差し替えられる）
+    #clock;
+    #reminderScheduler;
+    // 表示中のトーストを閉じるタイマーのID（unmount()で解除する）
+    #toastTimerIds = new Set();
+    // mount()ごとに作り直す目印（非同期の読み込みが終わったときに、まだ同じmount()の状態かを確かめる）
+    #mountToken = null;
+    // UIの文字列の翻訳と、言語の切り替えで選んだロケールの保存先
+    #i18n;
+    #localeStorage;
+    // 最後に表示したインポートの結果（ロケールを切り替えたときに表示し直す）
+    #lastImportResult = null;
 
     formElement;
     formInputElement;
+    formDueDateElement;
     todoCountElement;
+    todoProgressElement;
     todoListContainerElement;
-    // 紐づけするHTML要素を引数として受け取る
-    constructor({ formElement, formInputElement, todoListContainerElement, todoCountElement }) {
+    undoButtonElement;
+    redoButtonElement;
+    filtersElement;
+    toggleAllElement;
+    clearCompletedButtonElement;
+    dropTargetElement;
+    exportFormatElement;
+    exportButtonElement;
+    importModeElement;
+    importResultElement;
+    sortElement;
+    secondarySortElement;
+    toastContainerElement;
+    projectListContainerElement;
+    projectFormElement;
+    projectFormInputElement;
+    searchInputElement;
+    localeSelectElement;
+    // 紐づけするHTML要素とStateの保存先（StorageAdapter）、読み込めなかったStateの退避先、履歴の最大数、
+    // Middleware（applyMiddleware()の戻り値）、タブ間の同期に使うチャンネル名、
+    // サーバーとの同期に使うAPIのURLと同期の状態の保存先、HTTPリクエストの実装（fetch）、
+    // 現在時刻とタイマーの実装（clock）、UIの文字列の翻訳（i18n）と選んだロケールの保存先、
+    // 表示範囲の行だけを描画し始める行数（virtualListThreshold。Infinityなら常にすべての行を描画する）を引数として受け取る
+    constructor({
+        formElement,
+        formInputElement,
+        formDueDateElement,
+        todoListContainerElement,
+        todoCountElement,
+        todoProgressElement,
+        undoButtonElement,
+        redoButtonElement,
+        filtersElement,
+        toggleAllElement,
+        clearCompletedButtonElement,
+        dropTargetElement,
+        exportFormatElement,
+        exportButtonElement,
+        importModeElement,
+        importResultElement,
+        sortElement,
+        secondarySortElement,
+        toastContainerElement,
+        projectListContainerElement,
+        projectFormElement,
+        projectFormInputElement,
+        searchInputElement,
+        localeSelectElement,
+        storage = null,
+        backupStorage = null,
+        historyLimit = 100,
+        enhancer = null,
+        router = new Router(),
+        syncChannelName = null,
+        syncBaseUrl = null,
+        syncStorage = null,
+        fetch = undefined,
+        clock = systemClock,
+        i18n = new I18n(),
+        localeStorage = null,
+        virtualListThreshold = 1000
+    }) {
         this.formElement = formElement;
         this.formInputElement = formInputElement;
+        this.formDueDateElement = formDueDateElement;
         this.todoCountElement = todoCountElement;
+        this.todoProgressElement = todoProgressElement;
         this.todoListContainerElement = todoListContainerElement;
+        this.undoButtonElement = undoButtonElement;
+        this.redoButtonElement = redoButtonElement;
+        this.filtersElement = filtersElement;
+        this.toggleAllElement = toggleAllElement;
+        this.clearCompletedButtonElement = clearCompletedButtonElement;
+        this.dropTargetElement = dropTargetElement;
+        this.exportFormatElement = exportFormatElement;
+        this.exportButtonElement = exportButtonElement;
+        this.importModeElement = importModeElement;
+        this.importResultElement = importResultElement;
+        this.sortElement = sortElement;
+        this.secondarySortElement = secondarySortElement;
+        this.toastContainerElement = toastContainerElement;
+        this.projectListContainerElement = projectListContainerElement;
+        this.projectFormElement = projectFormElement;
+        this.projectFormInputElement = projectFormInputElement;
+        this.searchInputElement = searchInputElement;
+        this.localeSelectElement = localeSelectElement;
+        this.#router = router;
+        this.#clock = clock;
+        this.#i18n = i18n;
+        this.#localeStorage = localeStorage;
+        this.#virtualListThreshold = virtualListThreshold;
+        this.#todoListActions = new ActionDelegator(todoListContainerElement);
+        // 行の操作を追加する場合は、要素にdata-action属性を付けて、その操作のハンドラーを登録する
+        // （TodoItemView.createActionHandlers()に加えるか、this.#todoListActions.on()で登録する）
+        this.#todoListActions.register(TodoListView.createActionHandlers({
+            // Appに定義したリスナー関数を呼び出す
+            onUpdateTodo: ({ id, ...changes }) => {
+                this.#handleUpdate({ id, ...changes });
+            },
+            onDeleteTodo: ({ id }) => {
+                this.#handleDelete({ id });
+            },
+            onStartEditTodo: this.#handleStartEdit,
+            onCommitEditTodo: this.#handleCommitEdit,
+            onCancelEditTodo: this.#handleCancelEdit,
+            onMoveTodo: this.#handleMove,
+            onMoveTodoBy: this.#handleMoveBy,
+            onFocusTodo: this.#handleFocusTodo,
+            onMoveFocus: this.#handleMoveFocus,
+            onToggleCollapse: this.#handleToggleCollapse,
+            onStartAddSubtask: this.#handleStartAddSubtask,
+            onAddSubtask: this.#handleAddSubtask,
+            onCancelAddSubtask: this.#handleCancelAddSubtask,
+            onOpenContextMenu: this.#handleOpenContextMenu,
+            onCloseContextMenu: this.#handleCloseContextMenu,
+            onStartEditRecurrence: this.#handleStartEditRecurrence,
+            onCommitRecurrence: this.#handleCommitRecurrence,
+            onCancelRecurrence: this.#handleCancelRecurrence,
+            onSkipOccurrence: this.#handleSkipOccurrence,
+            onStopRecurrence: this.#handleStopRecurrence
+        }));
+        this.#reminderScheduler = new ReminderScheduler({ onDue: this.#handleDue, clock });
+        this.#todoListModel = new TodoListModel([], { storage, backupStorage, historyLimit, enhancer, clock });
+        if (syncChannelName !== null) {
+            this.#tabSync = new TabSync(this.#todoListModel, { channelName: syncChannelName });
+        }
+        if (syncBaseUrl !== null) {
+            this.#serverSync = new ServerSync(this.#todoListModel, { baseUrl: syncBaseUrl, storage: syncStorage, fetch, clock });
+        }
     }
 
     /**
@@ -72,10 +304,16 @@ export class App {
      * 3. Reducer処理 (TodoListModel内部)
      * 4. State更新とView再レンダリング
      *
+     * Todoは選択中のプロジェクトに追加します。
+     *
      * @param {string} title Todoアイテムのタイトル
+     * @param {string|null} [dueDate] 期限（"YYYY-MM-DDTHH:mm"）
      */
-    #handleAdd = (title) => {
-        this.#todoListModel.addTodo(new TodoItemModel({ title, completed: false }));
+    #handleAdd = (title, dueDate = null) => {
+        if (dueDate !== null) {
+            this.#requestNotificationPermission();
+        }
+        this.#todoListModel.addTodo(new TodoItemModel({ title, completed: false, dueDate, projectId: this.#getActiveProjectId() }));
     };
 
     /**
@@ -85,12 +323,40 @@ export class App {
      * Reduxでは、このようなAction Creatorは通常
      * actions/todos.jsに定義されます。
      *
-     * @param {{ id:number, completed: boolean }} Action payload
+     * 未完了のサブタスクを持つTodoを完了にした場合は、サブタスクもまとめて完了にするかをトーストで尋ねます。
+     *
+     * @param {{ id:number, title?: string, completed?: boolean }} Action payload
      */
-    #handleUpdate = ({ id, completed }) => {
-        this.#todoListModel.updateTodo({ id, completed });
+    #handleUpdate = ({ id, ...changes }) => {
+        if (changes.dueDate) {
+            this.#requestNotificationPermission();
+        }
+        this.#todoListModel.updateTodo({ id, ...changes });
+        if (changes.completed === true) {
+            this.#offerToCompleteSubtasks(id);
+        }
     };
 
+    /**
+     * 未完了のサブタスクが残っていれば、まとめて完了にするボタンを持つトーストを表示する
+     * @param {number} id 完了にしたTodoアイテムのID
+     */
+    #offerToCompleteSubtasks(id) {
+        const todoItems = this.#todoListModel.getTodoItems();
+        const descendantIds = new Set(getDescendantIds(todoItems, id));
+        const activeCount = todoItems.filter(todo => descendantIds.has(todo.id) && !todo.completed).length;
+        if (activeCount === 0) {
+            return;
+        }
+        const todoItem = todoItems.find(todo => todo.id === id);
+        this.#showToast(this.#i18n.t("todo.subtasks.remaining", { title: todoItem.title, count: activeCount }), {
+            actionLabel: this.#i18n.t("todo.subtasks.completeAll"),
+            onAction: () => {
+                this.#todoListModel.completeSubtasks({ id });
+            }
+        });
+    }
+
     /**
      * Action Creator: DELETE_TODO - Todo削除アクション
      *
@@ -98,12 +364,607 @@ export class App {
      * Reduxのパターンでは、IDだけをpayloadに含む
      * シンプルなActionが一般的です。
      *
+     * フォーカスしていた行を削除した場合は、表示中の次の行（最後の行なら前の行）へ
+     * フォーカスを移します。サブタスクも一緒に削除されるため、子孫の行は飛ばします。
+     * 行が無くなった場合は入力欄へ移します（#handleChangeで行う）。
+     *
      * @param {{ id: number }} Action payload
      */
     #handleDelete = ({ id }) => {
+        if (id === this.#focusedTodoId) {
+            const rows = this.#getVisibleRows();
+            const index = rows.findIndex(row => row.todoItem.id === id);
+            let nextIndex = index + 1;
+            while (index !== -1 && nextIndex < rows.length && rows[nextIndex].depth > rows[index].depth) {
+                nextIndex++;
+            }
+            this.#focusedTodoId = (rows[nextIndex] ?? rows[index - 1])?.todoItem.id ?? null;
+        }
         this.#todoListModel.deleteTodo({ id });
     };
 
+    /**
+     * Action Creator: TOGGLE_ALL - 選択中のプロジェクトのすべてのTodoの完了状態を変更するアクション
+     *
+     * @param {Event} event toggle-allチェックボックスのchangeイベント
+     */
+    #handleToggleAll = (event) => {
+        this.#todoListModel.toggleAll(event.target.checked, this.#getActiveProjectId());
+    };
+
+    /**
+     * Action Creator: CLEAR_COMPLETED - 選択中のプロジェクトの完了済みのTodoを削除するアクション
+     */
+    #handleClearCompleted = () => {
+        this.#todoListModel.clearCompleted(this.#getActiveProjectId());
+    };
+
+    /**
+     * Action Creator: MOVE_TODO - Todoの並び順を変更するアクション
+     *
+     * ドロップ先のTodoの前後どちらに置くかを、リスト全体での移動先の位置に変換します。
+     * 表示フィルターで一部のTodoが隠れていても、ドロップ先との前後関係が保たれます。
+     * 並び替えは同じ親を持つTodo（兄弟）の間だけで行い、サブタスクは親と一緒に移動します。
+     * DOM上の移動で外れたフォーカスは、再レンダリング後に#handleChangeで戻します。
+     * 手動以外の並び順で表示している間は、並び替えても表示が変わらないため何もしません。
+     *
+     * @param {{ id: number, targetId: number, position: "before"|"after" }} payload
+     */
+    #handleMove = ({ id, targetId, position }) => {
+        if (!this.#isManualSort()) {
+            return;
+        }
+        const todoItems = this.#todoListModel.getTodoItems();
+        const fromIndex = todoItems.findIndex(todo => todo.id === id);
+        const targetIndex = todoItems.findIndex(todo => todo.id === targetId);
+        if (fromIndex === -1 || targetIndex === -1 || todoItems[fromIndex].parentId !== todoItems[targetIndex].parentId) {
+            return;
+        }
+        let toIndex = position === "after" ? targetIndex + 1 : targetIndex;
+        // 移動元を取り除いた後のインデックスに合わせる
+        if (fromIndex < toIndex) {
+            toIndex--;
+        }
+        this.#todoListModel.moveTodo({ id, toIndex });
+    };
+
+    /**
+     * UIイベントハンドラー - キーボード操作で表示中の前後の兄弟のTodoと入れ替える
+     *
+     * @param {{ id: number, offset: number }} payload offset: -1なら1つ上、1なら1つ下へ移動する
+     */
+    #handleMoveBy = ({ id, offset }) => {
+        if (!this.#isManualSort()) {
+            return;
+        }
+        const rows = this.#getVisibleRows();
+        const index = rows.findIndex(row => row.todoItem.id === id);
+        if (index === -1) {
+            return;
+        }
+        // 兄弟のサブタスク（より深い行）を飛ばし、親の範囲（より浅い行）を越えない
+        const { depth } = rows[index];
+        let targetIndex = index + offset;
+        while (rows[targetIndex] && rows[targetIndex].depth > depth) {
+            targetIndex += offset;
+        }
+        const target = rows[targetIndex];
+        if (!target || target.depth !== depth) {
+            return;
+        }
+        this.#handleMove({ id, targetId: target.todoItem.id, position: offset < 0 ? "before" : "after" });
+    };
+
+    /**
+     * UIイベントハンドラー - サブタスクを折りたたむ（展開する）
+     *
+     * 折りたたんだ行の中にフォーカスがあった場合は、折りたたんだ行へフォーカスを移します。
+     *
+     * @param {{ id: number, collapsed: boolean }} payload
+     */
+    #handleToggleCollapse = ({ id, collapsed }) => {
+        if (collapsed) {
+            this.#collapsedTodoIds.add(id);
+            const hiddenIds = getDescendantIds(this.#todoListModel.getTodoItems(), id);
+            if (hiddenIds.includes(this.#focusedTodoId)) {
+                this.#focusedTodoId = id;
+            }
+            if (hiddenIds.includes(this.#editingTodoId)) {
+                this.#editingTodoId = null;
+            }
+        } else {
+            this.#collapsedTodoIds.delete(id);
+        }
+        this.#handleChange();
+    };
+
+    /**
+     * UIイベントハンドラー - サブタスクの入力欄を開く
+     *
+     * タイトルの編集とは同時に行わず、折りたたんでいる場合は展開します。
+     *
+     * @param {{ id: number }} payload
+     */
+    #handleStartAddSubtask = ({ id }) => {
+        this.#editingTodoId = null;
+        this.#addingSubtaskParentId = id;
+        this.#collapsedTodoIds.delete(id);
+        this.#handleChange();
+    };
+
+    /**
+     * Action Creator: ADD_TODO - サブタスクを追加するアクション
+     *
+     * サブタスクは親と同じプロジェクトに追加します。入力欄は開いたままにします。
+     *
+     * @param {{ parentId: number, title: string }} payload
+     */
+    #handleAddSubtask = ({ parentId, title }) => {
+        const parent = this.#todoListModel.getTodoItems().find(todo => todo.id === parentId);
+        if (!parent) {
+            return;
+        }
+        this.#todoListModel.addTodo(new TodoItemModel({ title, completed: false, projectId: parent.projectId, parentId }));
+    };
+
+    /**
+     * UIイベントハンドラー - サブタスクの入力欄を閉じる
+     *
+     * 入力欄にあったフォーカスは、#handleChangeで最後にフォーカスした行（入力欄を開いた親の行）へ戻します。
+     *
+     * @param {{ parentId: number }} payload
+     */
+    #handleCancelAddSubtask = ({ parentId }) => {
+        if (this.#addingSubtaskParentId !== parentId) {
+            return;
+        }
+        this.#addingSubtaskParentId = null;
+        this.#handleChange();
+    };
+
+    /**
+     * UIイベントハンドラー - 優先度のコンテキストメニューを開く
+     *
+     * メニューを開いているかどうかはUIの状態のため、編集中のTodoと同じくAppのフィールドで管理します。
+     * キーボードで操作できるよう、開いたメニューの現在の優先度の項目へフォーカスを移します。
+     *
+     * @param {{ id: number, left: number }} payload left: 行の左端からメニューまでの距離
+     */
+    #handleOpenContextMenu = ({ id, left }) => {
+        this.#contextMenu = { id, left };
+        this.#handleChange();
+        this.todoListContainerElement.querySelector(".context-menu [aria-checked='true']")?.focus();
+    };
+
+    /**
+     * UIイベントハンドラー - 優先度のコンテキストメニューを閉じる
+     *
+     * メニューにあったフォーカスは、#handleChangeでメニューを開いていた行へ戻します。
+     */
+    #handleCloseContextMenu = () => {
+        if (this.#contextMenu === null) {
+            return;
+        }
+        this.#contextMenu = null;
+        this.#handleChange();
+    };
+
+    /**
+     * UIイベントハンドラー - 繰り返しの設定用の行を開く
+     *
+     * タイトルの編集やサブタスクの入力とは同時に行わず、開いた行の最初の入力欄へフォーカスを移します。
+     *
+     * @param {{ id: number }} payload
+     */
+    #handleStartEditRecurrence = ({ id }) => {
+        this.#editingTodoId = null;
+        this.#addingSubtaskParentId = null;
+        this.#editingRecurrenceTodoId = id;
+        this.#handleChange();
+        this.todoListContainerElement.querySelector(".recurrence-editor .recurrence-type")?.focus();
+    };
+
+    /**
+     * Action Creator: UPDATE_TODO - 繰り返しのルールを設定する
+     *
+     * ルールが変わらなかった場合はStateが変わらず再レンダリングされないため、
+     * 設定用の行を閉じるために自分で再レンダリングします。
+     *
+     * @param {{ id: number, recurrence: string }} payload
+     */
+    #handleCommitRecurrence = ({ id, recurrence }) => {
+        this.#editingRecurrenceTodoId = null;
+        const prevState = this.#todoListModel.getState();
+        this.#handleUpdate({ id, recurrence });
+        if (this.#todoListModel.getState() === prevState) {
+            this.#handleChange();
+        }
+    };
+
+    /**
+     * UIイベントハンドラー - 繰り返しの設定用の行を閉じる
+     */
+    #handleCancelRecurrence = () => {
+        this.#editingRecurrenceTodoId = null;
+        this.#handleChange();
+    };
+
+    /**
+     * Action Creator: UPDATE_TODO - 繰り返すTodoの今回をスキップし、期限を次の回へ進める
+     * @param {{ id: number }} payload
+     */
+    #handleSkipOccurrence = ({ id }) => {
+        this.#todoListModel.skipOccurrence({ id });
+    };
+
+    /**
+     * Action Creator: UPDATE_TODO - 繰り返しをやめる
+     * @param {{ id: number }} payload
+     */
+    #handleStopRecurrence = ({ id }) => {
+        this.#todoListModel.stopRecurrence({ id });
+    };
+
+    /**
+     * UIイベントハンドラー - コンテキストメニューの外をクリックしたら閉じる
+     * @param {PointerEvent} event
+     */
+    #handleDocumentPointerDown = (event) => {
+        if (this.#contextMenu !== null && !event.target.closest?.(".context-menu")) {
+            this.#handleCloseContextMenu();
+        }
+    };
+
+    /**
+     * Action Creator: ADD_PROJECT - プロジェクトを作成し、作成したプロジェクトへ切り替える
+     *
+     * @param {Event} event プロジェクト作成フォームのsubmitイベント
+     */
+    #handleProjectSubmit = (event) => {
+        event.preventDefault();
+        const project = new ProjectModel({ name: this.projectFormInputElement.value });
+        this.#todoListModel.addProject(project);
+        // 名前が空の場合は作成されない
+        if (this.#todoListModel.getProject(project.id)) {
+            this.projectFormInputElement.value = "";
+            this.#router.navigate(createRoutePath(project.id, this.#filter, this.#query));
+        }
+    };
+
+    /**
+     * UIイベントハンドラー - プロジェクトの名前の変更を開始する
+     * @param {{ id: number }} payload
+     */
+    #handleStartRenameProject = ({ id }) => {
+        this.#editingProjectId = id;
+        this.#handleChange();
+    };
+
+    /**
+     * Action Creator: RENAME_PROJECT - 変更した名前を確定する
+     *
+     * 名前が空の場合や変わらなかった場合はStateが変わらないため、
+     * 名前の変更を終えるために自分で再レンダリングします。
+     *
+     * @param {{ id: number, name: string }} payload
+     */
+    #handleCommitRenameProject = ({ id, name }) => {
+        this.#editingProjectId = null;
+        const prevState = this.#todoListModel.getState();
+        this.#todoListModel.renameProject({ id, name: name.trim() });
+        if (this.#todoListModel.getState() === prevState) {
+            this.#handleChange();
+        }
+    };
+
+    /**
+     * UIイベントハンドラー - プロジェクトの名前の変更を取り消す
+     */
+    #handleCancelRenameProject = () => {
+        this.#editingProjectId = null;
+        this.#handleChange();
+    };
+
+    /**
+     * Action Creator: DELETE_PROJECT - プロジェクトと所属するTodoを削除するアクション
+     *
+     * 削除は元に戻せるため、確認はしません。
+     * 選択中のプロジェクトを削除した場合は、先頭のプロジェクトへ切り替えます。
+     *
+     * @param {{ id: number }} payload
+     */
+    #handleDeleteProject = ({ id }) => {
+        const isActive = id === this.#getActiveProjectId();
+        this.#todoListModel.deleteProject({ id });
+        if (isActive && !this.#todoListModel.getProject(id)) {
+            this.#router.navigate(createRoutePath(this.#getActiveProjectId(), this.#filter, this.#query));
+        }
+    };
+
+    /**
+     * Action Creator: Todoを別のプロジェクトへ移すアクション
+     * @param {{ id: number, projectId: number }} payload
+     */
+    #handleMoveTodoToProject = ({ id, projectId }) => {
+        this.#todoListModel.moveTodoToProject({ id, projectId });
+    };
+
+    /**
+     * UIイベントハンドラー - 行にフォーカスが移ったら、その行をタブストップにする
+     *
+     * 再レンダリングせずに、描画済みの行の属性だけを書き換えます（TodoListView#moveTabStop）。
+     *
+     * @param {{ id: number }} payload
+     */
+    #handleFocusTodo = ({ id }) => {
+        if (id === this.#focusedTodoId) {
+            return;
+        }
+        this.#focusedTodoId = id;
+        this.#todoListView.moveTabStop(this.todoListContainerElement, id);
+    };
+
+    /**
+     * UIイベントハンドラー - キーボード操作で表示中の前後の行へフォーカスを移す
+     *
+     * フォーカスを移すとfocusinイベントで#handleFocusTodoが呼ばれ、タブストップも移ります。
+     *
+     * @param {{ id: number, offset: number }} payload offset: -1なら1つ上、1なら1つ下（±Infinityなら先頭/末尾）
+     */
+    #handleMoveFocus = ({ id, offset }) => {
+        const rows = this.#getVisibleRows();
+        const visibleItems = rows.map(row => row.todoItem);
+        const index = visibleItems.findIndex(todo => todo.id === id);
+        if (index === -1) {
+            return;
+        }
+        const targetIndex = Math.min(Math.max(index + offset, 0), visibleItems.length - 1);
+        const targetId = visibleItems[targetIndex].id;
+        // 表示範囲の行だけを描画している場合、移動先の行が描画されていなければスクロールして描画する
+        if (!this.#findTodoElement(targetId) && this.#isVirtualList(visibleItems.length)) {
+            const containerElement = this.todoListContainerElement;
+            containerElement.scrollTop = this.#virtualTodoListView.getScrollTopForRow(rows, targetIndex, this.#getViewport());
+            this.#renderTodoList();
+        }
+        this.#findTodoElement(targetId)?.focus();
+    };
+
+    /**
+     * UIイベントハンドラー - リストのスクロールや画面サイズの変更で、描画する行の範囲を更新する
+     *
+     * 表示範囲の行だけを描画している場合に、描画範囲が変わったときだけリストを再描画します。
+     * Stateは変わっていないため、最後に描画した行をそのまま使います。
+     */
+    #handleTodoListScroll = () => {
+        const rows = this.#renderedRows;
+        if (!this.#isVirtualList(rows.length)) {
+            return;
+        }
+        const { start, end } = this.#virtualTodoListView.getRange(rows, this.#getViewport());
+        if (start === this.#renderedRange?.start && end === this.#renderedRange?.end) {
+            return;
+        }
+        this.#renderTodoList();
+    };
+
+    /**
+     * 表示範囲の行だけを描画するかどうか
+     * @param {number} rowCount 表示する行の数
+     * @returns {boolean}
+     */
+    #isVirtualList(rowCount) {
+        return rowCount >= this.#virtualListThreshold;
+    }
+
+    /**
+     * リストを描画するコンテナのスクロール位置と、表示領域の高さを返す
+     *
+     * VirtualTodoListViewが描画しない行の位置を求めるため、開いている繰り返しの設定用の行と
+     * サブタスクの入力欄の行も返します。
+     *
+     * @returns {{ scrollTop: number, viewportHeight: number, editingRecurrenceTodoId: number|null, addingSubtaskParentId: number|null }}
+     */
+    #getViewport() {
+        const containerElement = this.todoListContainerElement;
+        return {
+            scrollTop: containerElement.scrollTop,
+            // レイアウトされる前（高さが0）は、画面の高さを表示領域とみなす
+            viewportHeight: containerElement.clientHeight || window.innerHeight,
+            editingRecurrenceTodoId: this.#editingRecurrenceTodoId,
+            addingSubtaskParentId: this.#addingSubtaskParentId
+        };
+    }
+
+    /**
+     * 描画済みのリストから、Todoアイテムの行の要素を探す
+     * @param {number|null} id
+     * @returns {HTMLElement|undefined}
+     */
+    #findTodoElement(id) {
+        return Array.from(this.todoListContainerElement.querySelectorAll("li[data-key]"))
+            .find(todoItemElement => todoItemElement.dataset.key === String(id));
+    }
+
+    /**
+     * UIイベントハンドラー - 選択した形式で、選択中のプロジェクトのTodoをファイルに書き出す
+     */
+    #handleExport = () => {
+        const format = this.exportFormatElement.value;
+        const { extension, mimeType } = getFileType(format);
+        downloadTextFile(this.#todoListModel.exportTodos(format, this.#getActiveProjectId()), {
+            fileName: `todos.${extension}`,
+            mimeType
+        });
+    };
+
+    /**
+     * UIイベントハンドラー - ファイルのドラッグ中にドロップを受け付ける
+     *
+     * Todoの行の並び替え（ファイルを含まないドラッグ）は対象外です。
+     *
+     * @param {DragEvent} event
+     */
+    #handleFileDragOver = (event) => {
+        if (!hasFiles(event)) {
+            return;
+        }
+        event.preventDefault();
+        event.dataTransfer.dropEffect = "copy";
+        this.dropTargetElement.classList.add("drop-file");
+    };
+
+    #handleFileDragLeave = (event) => {
+        // 子要素の間を移動したときは、ドロップ先の外に出ていないため何もしない
+        if (this.dropTargetElement.contains(event.relatedTarget)) {
+            return;
+        }
+        this.dropTargetElement.classList.remove("drop-file");
+    };
+
+    /**
+     * UIイベントハンドラー - ドロップされたファイルからTodoを読み込む
+     *
+     * 形式はファイル名の拡張子（または内容）から判断し、
+     * 追加するか置き換えるかはインポートモードの選択に従います。
+     * 読み込んだTodoは選択中のプロジェクトに追加します。
+     * ファイルを読み込めなかった場合も、インポートの結果としてエラーを表示します。
+     *
+     * @param {DragEvent} event
+     */
+    #handleFileDrop = async (event) => {
+        if (!hasFiles(event)) {
+            return;
+        }
+        event.preventDefault();
+        this.dropTargetElement.classList.remove("drop-file");
+        const [file] = event.dataTransfer.files;
+        if (!file) {
+            return;
+        }
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            const result = { importedCount: 0, errors: [{ line: 0, code: "io.error.readFailed", params: { detail: error.message } }] };
+            this.#lastImportResult = { fileName: file.name, result };
+            this.#renderImportResult(file.name, result);
+            return;
+        }
+        const result = this.#todoListModel.importTodos(text, {
+            format: detectFormat(file.name, text),
+            mode: this.importModeElement.value,
+            projectId: this.#getActiveProjectId()
+        });
+        this.#lastImportResult = { fileName: file.name, result };
+        this.#renderImportResult(file.name, result);
+    };
+
+    /**
+     * インポートの結果を表示する
+     * @param {string} fileName
+     * @param {{ importedCount: number, errors: Array<{ line: number, code: string, params: object }> }} result
+     */
+    #renderImportResult(fileName, { importedCount, errors }) {
+        const i18n = this.#i18n;
+        const resultElement = errors.length === 0
+            ? element`<div class="import-result">${i18n.t("io.import.succeeded", { fileName, count: importedCount })}</div>`
+            : element`<div class="import-result error">${i18n.t("io.import.failed", { fileName })}<ul></ul></div>`;
+        const errorListElement = resultElement.querySelector("ul");
+        errors.forEach(({ line, code, params }) => {
+            const message = i18n.t(code, params);
+            errorListElement.appendChild(line === 0
+                ? element`<li>${message}</li>`
+                : element`<li>${i18n.t("io.import.errorAtLine", { line, message })}</li>`);
+        });
+        render(resultElement, this.importResultElement);
+    }
+
+    /**
+     * UIイベントハンドラー - タイトルの編集を開始する
+     *
+     * どのTodoアイテムを編集中かはStateではなくUIの状態のため、
+     * ReactのuseStateに相当するAppのフィールドで管理します。
+     *
+     * @param {{ id: number }} payload
+     */
+    #handleStartEdit = ({ id }) => {
+        this.#editingTodoId = id;
+        this.#addingSubtaskParentId = null;
+        this.#handleChange();
+    };
+
+    /**
+     * UIイベントハンドラー - 編集したタイトルを確定する
+     *
+     * タイトルが空の場合はTodoListModel側で削除されます。
+     * タイトルが変わらなかった場合はStateが変わらず再レンダリングされないため、
+     * 編集モードを終えるために自分で再レンダリングします。
+     * Enterで確定した後に入力欄からフォーカスが外れた場合など、編集中でなければ何もしません。
+     *
+     * @param {{ id: number, title: string }} payload
+     */
+    #handleCommitEdit = ({ id, title }) => {
+        if (this.#editingTodoId !== id) {
+            return;
+        }
+        this.#editingTodoId = null;
+        const prevState = this.#todoListModel.getState();
+        this.#handleUpdate({ id, title });
+        if (this.#todoListModel.getState() === prevState) {
+            this.#handleChange();
+        }
+    };
+
+    /**
+     * UIイベントハンドラー - タイトルの編集を取り消す
+     * @param {{ id: number }} payload
+     */
+    #handleCancelEdit = ({ id }) => {
+        if (this.#editingTodoId !== id) {
+            return;
+        }
+        this.#editingTodoId = null;
+        this.#handleChange();
+    };
+
+    /**
+     * Action Creator: UNDO - 直前の操作を取り消すアクション
+     */
+    #handleUndo = () => {
+        this.#todoListModel.undo();
+    };
+
+    /**
+     * Action Creator: REDO - 取り消した操作をやり直すアクション
+     */
+    #handleRedo = () => {
+        this.#todoListModel.redo();
+    };
+
+    /**
+     * UIイベントハンドラー - キーボードショートカットからUNDO/REDOへ
+     *
+     * Ctrl+Z（macOSではCmd+Z）で元に戻し、Ctrl+Shift+Zでやり直します。
+     * 入力欄（検索欄、期限の日時、繰り返しの数値なども含む）の操作中は、ブラウザ標準の入力の取り消しを優先します。
+     *
+     * @param {KeyboardEvent} event DOMイベントオブジェクト
+     */
+    #handleKeyDown = (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== "z") {
+            return;
+        }
+        const target = event.target;
+        if (target instanceof Element && target.closest("input:not([type=checkbox]):not([type=radio]), textarea, select, [contenteditable]")) {
+            return;
+        }
+        event.preventDefault();
+        if (event.shiftKey) {
+            this.#handleRedo();
+        } else {
+            this.#handleUndo();
+        }
+    };
+
     /**
      * UIイベントハンドラー - フォーム送信からAction dispatchへ
      *
@@ -116,10 +977,250 @@ export class App {
     #handleSubmit = (event) => {
         event.preventDefault();
         const inputElement = this.formInputElement;
-        this.#handleAdd(inputElement.value);
+        const dueDateElement = this.formDueDateElement;
+        this.#handleAdd(inputElement.value, dueDateElement.value === "" ? null : dueDateElement.value);
         inputElement.value = "";
+        dueDateElement.value = "";
+    };
+
+    /**
+     * UIイベントハンドラー - 入力された検索語をURLに反映する
+     *
+     * 表示の更新はルートの変更を通じて行います（URLが唯一の情報源）。
+     * 1文字ごとに履歴が増えないよう、現在の履歴の項目を置き換えます。
+     * 日本語入力の変換中は確定するまで検索しません。
+     *
+     * @param {InputEvent|CompositionEvent} event
+     */
+    #handleSearchInput = (event) => {
+        if (event.isComposing) {
+            return;
+        }
+        const path = createRoutePath(this.#getActiveProjectId(), this.#filter, this.searchInputElement.value);
+        this.#router.navigate(path, { replace: true });
+    };
+
+    /**
+     * UIイベントハンドラー - 並び順を切り替える
+     *
+     * 1番目の並び順で同じ順位になったTodoは2番目の並び順で並べ、それも同じなら手動で並べた順を保ちます。
+     */
+    #handleSortChange = () => {
+        this.#sort = [this.sortElement.value, this.secondarySortElement.value];
+        this.#handleChange();
+    };
+
+    /**
+     * 手動で並べた順で表示しているかどうか
+     *
+     * 1番目の並び順が手動の場合は、2番目の並び順が使われることはありません。
+     *
+     * @returns {boolean}
+     */
+    #isManualSort() {
+        return this.#sort[0] === TodoSort.MANUAL;
+    }
+
+    /**
+     * UIイベントハンドラー - 言語を切り替える
+     *
+     * 選んだロケールは、次にページを開いたときも使えるようlocaleStorageへ保存します。
+     */
+    #handleLocaleSelect = () => {
+        const locale = this.localeSelectElement.value;
+        this.#i18n.setLocale(locale);
+        this.#localeStorage?.save({ locale }).catch(error => {
+            console.error("言語の設定を保存できませんでした", error);
+        });
+    };
+
+    /**
+     * ロケールが変わったときに、画面のすべての文字列を翻訳し直す
+     *
+     * HTMLに直接書かれた文字列はdata-i18n属性をもとに置き換え、
+     * Viewが生成する文字列は再レンダリングで置き換えます。
+     */
+    #handleLocaleChange = () => {
+        const locale = this.#i18n.getLocale();
+        document.documentElement.lang = locale;
+        this.#i18n.translateElement(document.documentElement);
+        this.localeSelectElement.value = locale;
+        if (this.#lastImportResult) {
+            this.#renderImportResult(this.#lastImportResult.fileName, this.#lastImportResult.result);
+        }
+        this.#handleChange();
+    };
+
+    /**
+     * リマインダーの通知 - 期限が来たTodoを知らせる
+     *
+     * ブラウザの通知（Notification）が許可されていればそれを使い、
+     * 許可されていない場合はページ内のトーストで知らせます。
+     * 期限切れの表示に切り替えるため、再レンダリングも行います。
+     *
+     * @param {TodoItemModel[]} dueItems 期限が来たTodo
+     */
+    #handleDue = (dueItems) => {
+        dueItems.forEach(todoItem => {
+            const message = this.#i18n.t("todo.due", { title: todoItem.title });
+            if (typeof Notification === "function" && Notification.permission === "granted") {
+                new Notification(this.#i18n.t("app.title"), { body: message, tag: `todo-${todoItem.id}` });
+            } else {
+                this.#showToast(message);
+            }
+        });
+        this.#handleChange();
+    };
+
+    /**
+     * ブラウザの通知の許可を求める
+     * 期限を設定したとき（ユーザー操作の中）に一度だけ尋ねる
+     */
+    #requestNotificationPermission() {
+        if (typeof Notification === "function" && Notification.permission === "default") {
+            Notification.requestPermission().catch(() => {
+                // 許可されなかった場合はトーストで通知する
+            });
+        }
+    }
+
+    /**
+     * ページ内にトーストを一定時間表示する
+     *
+     * actionLabelを指定すると、トーストに操作ボタンを表示します。
+     * ボタンを押すとonActionを呼び、トーストを閉じます。
+     *
+     * @param {string} message
+     * @param {{ actionLabel?: string, onAction?: function }} [options]
+     */
+    #showToast(message, { actionLabel = null, onAction = () => {} } = {}) {
+        const toastElement = element`<div class="toast" role="status">${message}</div>`;
+        if (actionLabel !== null) {
+            const actionButtonElement = element`<button class="toast-action" type="button">${actionLabel}</button>`;
+            actionButtonElement.addEventListener("click", () => {
+                toastElement.remove();
+                onAction();
+            });
+            toastElement.appendChild(actionButtonElement);
+        }
+        this.toastContainerElement.appendChild(toastElement);
+        const timerId = this.#clock.setTimeout(() => {
+            this.#toastTimerIds.delete(timerId);
+            toastElement.remove();
+        }, 5000);
+        this.#toastTimerIds.add(timerId);
+    }
+
+    /**
+     * 選択中のプロジェクトのIDを返す
+     *
+     * ルートで指定されたプロジェクトが存在しない場合（指定されていない、削除された、
+     * 保存済みのStateを読み込む前など）は、先頭のプロジェクトを選択中とみなします。
+     *
+     * @returns {number}
+     */
+    #getActiveProjectId() {
+        const project = this.#routeProjectId === null ? undefined : this.#todoListModel.getProject(this.#routeProjectId);
+        return (project ?? this.#todoListModel.getProjects()[0]).id;
+    }
+
+    /**
+     * 表示する行の配列を返す（選択中のプロジェクトの木構造に、表示フィルターと検索語、並び順、折りたたみを適用したもの）
+     *
+     * 表示フィルターや検索語に一致しないTodoも、一致したサブタスクの親であれば表示します。
+     *
+     * @returns {Array<{ todoItem: TodoItemModel, depth: number, childCount: number, completedChildCount: number, isCollapsed: boolean }>}
+     */
+    #getVisibleRows() {
+        const activeProjectId = this.#getActiveProjectId();
+        const todoItems = this.#todoListModel.getTodoItems(activeProjectId);
+        const matchedItems = searchTodoItems(this.#todoListModel.getFilteredItems(this.#filter, activeProjectId), this.#query);
+        return flattenTodoTree(todoItems, {
+            includedIds: matchedItems.length === todoItems.length ? null : new Set(matchedItems.map(todo => todo.id)),
+            collapsedIds: this.#collapsedTodoIds,
+            sort: this.#sort
+        });
+    }
+
+    /**
+     * ルート変更リスナー - URLのハッシュから表示するプロジェクトと表示フィルター、検索語を決める
+     *
+     * React Routerでは<Route>ごとに表示するコンポーネントを切り替えますが、
+     * ここではルートに応じたプロジェクトと表示フィルター、検索語を選び、再レンダリングします。
+     * 未知のルートはすべて表示（#/）として扱います。
+     */
+    #handleRouteChange = () => {
+        const { projectId, filter } = parseRoute(this.#router.getPath());
+        if (projectId !== this.#routeProjectId) {
+            // 別のプロジェクトへ切り替えたら、編集中のTodoは表示されなくなるため編集を終える
+            this.#editingTodoId = null;
+            this.#addingSubtaskParentId = null;
+            this.#contextMenu = null;
+            this.#editingRecurrenceTodoId = null;
+        }
+        this.#routeProjectId = projectId;
+        this.#filter = filter;
+        this.#query = this.#router.getSearchParams().get("q") ?? "";
+        // URLを直接変更した場合や、戻る/進むで検索語が変わった場合に入力欄を合わせる
+        if (this.searchInputElement.value !== this.#query) {
+            this.searchInputElement.value = this.#query;
+        }
+        this.#handleChange();
     };
 
+    /**
+     * 名前やタイトルの編集に切り替わった入力欄へフォーカスを移す
+     * @param {Element} containerElement
+     */
+    #focusEditInput(containerElement) {
+        const editInputElement = containerElement.querySelector(".edit");
+        if (editInputElement && document.activeElement !== editInputElement) {
+            editInputElement.focus();
+            editInputElement.setSelectionRange(editInputElement.value.length, editInputElement.value.length);
+        }
+    }
+
+    /**
+     * 最後に求めた表示する行（#renderedRows）から、Todoリストを描画する
+     *
+     * 表示する行がvirtualListThreshold以上の場合は、VirtualTodoListViewで表示範囲の行だけを描画します。
+     * その場合、コンテナ（is-virtualクラス）がスクロールする領域になります。
+     * 描画した行の高さを測り、それまでの高さと異なっていれば、測った高さで余白を求めて1回だけ描画し直します。
+     */
+    #renderTodoList() {
+        const rows = this.#renderedRows;
+        const todoListContainerElement = this.todoListContainerElement;
+        const props = {
+            editingTodoId: this.#editingTodoId,
+            addingSubtaskParentId: this.#addingSubtaskParentId,
+            contextMenu: this.#contextMenu,
+            editingRecurrenceTodoId: this.#editingRecurrenceTodoId,
+            unsyncedTodoIds: this.#serverSync?.getPendingTodoIds(),
+            focusedTodoId: this.#focusedTodoId,
+            isReorderable: this.#isManualSort(),
+            now: new Date(this.#clock.now()),
+            query: this.#query,
+            i18n: this.#i18n
+        };
+        const isVirtualList = this.#isVirtualList(rows.length);
+        todoListContainerElement.classList.toggle("is-virtual", isVirtualList);
+        if (!isVirtualList) {
+            this.#renderedRange = null;
+            render(this.#todoListView.createElement(rows, props), todoListContainerElement);
+            return;
+        }
+        // スクロール位置と表示領域の高さは、スクロールする領域になってから求める
+        const renderVirtualList = () => {
+            const viewport = this.#getViewport();
+            this.#renderedRange = this.#virtualTodoListView.getRange(rows, viewport);
+            render(this.#virtualTodoListView.createElement(rows, { ...props, ...viewport }), todoListContainerElement);
+            return this.#virtualTodoListView.didRender(todoListContainerElement.firstElementChild);
+        };
+        if (renderVirtualList()) {
+            renderVirtualList();
+        }
+    }
+
     /**
      * Store変更リスナー - StateからViewへのレンダリング
      *
@@ -131,24 +1232,66 @@ export class App {
      * 3. 実 DOMを更新 (ReactDOM.render)
      * 4. カウンターを更新 (副作用)
      *
+     * 描画前にリストの中にあったフォーカスは、描画後に同じ行の同じ要素へ戻します。
+     * その行が削除された場合は、#focusedTodoIdの行（行が無ければTodoの入力欄）へ移します。
+     * 表示する行が多い場合は、表示範囲の行だけを描画します（#renderTodoListを参照）。
+     *
      * ReactのライフサイクルではcomponentDidUpdateに相当。
      * React HooksではuseEffectに相当する処理です。
      */
     #handleChange = () => {
         const todoCountElement = this.todoCountElement;
         const todoListContainerElement = this.todoListContainerElement;
-        const todoItems = this.#todoListModel.getTodoItems();
-        const todoListElement = this.#todoListView.createElement(todoItems, {
-            // Appに定義したリスナー関数を呼び出す
-            onUpdateTodo: ({ id, completed }) => {
-                this.#handleUpdate({ id, completed });
-            },
-            onDeleteTodo: ({ id }) => {
-                this.#handleDelete({ id });
-            }
+        const activeProjectId = this.#getActiveProjectId();
+        const restoreTodoListFocus = captureFocus(todoListContainerElement);
+        const restoreProjectListFocus = captureFocus(this.projectListContainerElement);
+        this.#renderedRows = this.#getVisibleRows();
+        this.#renderTodoList();
+        if (restoreTodoListFocus && !restoreTodoListFocus()) {
+            const fallbackElement = this.#findTodoElement(this.#focusedTodoId)
+                ?? todoListContainerElement.querySelector("li[data-key]")
+                ?? this.formInputElement;
+            fallbackElement.focus();
+        }
+        this.#focusEditInput(todoListContainerElement);
+        const projects = this.#todoListModel.getProjects();
+        const projectListElement = this.#projectListView.createElement(projects, {
+            createProjectHref: (projectId) => `#${createRoutePath(projectId, this.#filter, this.#query)}`,
+            onStartRenameProject: this.#handleStartRenameProject,
+            onCommitRenameProject: this.#handleCommitRenameProject,
+            onCancelRenameProject: this.#handleCancelRenameProject,
+            onDeleteProject: this.#handleDeleteProject,
+            onMoveTodoToProject: this.#handleMoveTodoToProject,
+            activeProjectId,
+            editingProjectId: this.#editingProjectId,
+            activeCounts: new Map(projects.map(project => [project.id, this.#todoListModel.getActiveCount(project.id)])),
+            i18n: this.#i18n
         });
-        render(todoListElement, todoListContainerElement);
-        todoCountElement.textContent = `Todoアイテム数: ${this.#todoListModel.getTotalCount()}`;
+        render(projectListElement, this.projectListContainerElement);
+        restoreProjectListFocus?.();
+        this.#focusEditInput(this.projectListContainerElement);
+        // フッターの件数やフィルター、一括操作は選択中のプロジェクトが対象
+        const totalCount = this.#todoListModel.getTotalCount(activeProjectId);
+        const completedCount = this.#todoListModel.getCompletedCount(activeProjectId);
+        const countText = this.#i18n.t("footer.itemsLeft", { count: this.#todoListModel.getActiveCount(activeProjectId) });
+        // aria-liveで読み上げられるため、件数が変わったときだけ書き換える
+        if (todoCountElement.textContent !== countText) {
+            todoCountElement.textContent = countText;
+        }
+        const completionPercentage = this.#todoListModel.getCompletionPercentage(activeProjectId);
+        this.todoProgressElement.value = completionPercentage;
+        this.todoProgressElement.title = this.#i18n.t("footer.progress", { percentage: completionPercentage });
+        this.filtersElement.querySelectorAll("a[data-filter]").forEach(linkElement => {
+            linkElement.setAttribute("href", `#${createRoutePath(activeProjectId, linkElement.dataset.filter, this.#query)}`);
+            linkElement.classList.toggle("selected", linkElement.dataset.filter === this.#filter);
+        });
+        // すべて完了済みのときだけチェックし、Todoが無いときは表示しない
+        this.toggleAllElement.checked = totalCount > 0 && completedCount === totalCount;
+        this.toggleAllElement.hidden = totalCount === 0;
+        this.clearCompletedButtonElement.hidden = completedCount === 0;
+        this.#reminderScheduler.schedule(this.#todoListModel.getTodoItems());
+        this.undoButtonElement.disabled = !this.#todoListModel.canUndo();
+        this.redoButtonElement.disabled = !this.#todoListModel.canRedo();
     };
 
     /**
@@ -157,10 +1300,64 @@ export class App {
      * Redux StoreへのsubscribeとDOMイベントリスナーの登録を行います。
      * React-Reduxの<Provider>とconnect()によって
      * 自動的に行われる処理を手動で実装しています。
+     * マウント時に保存済みのStateを読み込み、最初の描画を行います。
      */
     mount() {
         this.#todoListModel.onChange(this.#handleChange);
+        // 読み込みが終わる前にunmount()された場合は、読み込んだ後の処理（同期の開始など）をしない
+        const mountToken = {};
+        this.#mountToken = mountToken;
+        const isMounted = () => this.#mountToken === mountToken;
         this.formElement.addEventListener("submit", this.#handleSubmit);
+        this.projectFormElement.addEventListener("submit", this.#handleProjectSubmit);
+        this.undoButtonElement.addEventListener("click", this.#handleUndo);
+        this.redoButtonElement.addEventListener("click", this.#handleRedo);
+        this.toggleAllElement.addEventListener("change", this.#handleToggleAll);
+        this.clearCompletedButtonElement.addEventListener("click", this.#handleClearCompleted);
+        this.exportButtonElement.addEventListener("click", this.#handleExport);
+        this.sortElement.addEventListener("change", this.#handleSortChange);
+        this.secondarySortElement.addEventListener("change", this.#handleSortChange);
+        this.searchInputElement.addEventListener("input", this.#handleSearchInput);
+        this.searchInputElement.addEventListener("compositionend", this.#handleSearchInput);
+        this.localeSelectElement.addEventListener("change", this.#handleLocaleSelect);
+        this.dropTargetElement.addEventListener("dragover", this.#handleFileDragOver);
+        this.dropTargetElement.addEventListener("dragleave", this.#handleFileDragLeave);
+        this.dropTargetElement.addEventListener("drop", this.#handleFileDrop);
+        document.addEventListener("keydown", this.#handleKeyDown);
+        document.addEventListener("pointerdown", this.#handleDocumentPointerDown);
+        this.todoListContainerElement.addEventListener("scroll", this.#handleTodoListScroll);
+        window.addEventListener("resize", this.#handleTodoListScroll);
+        this.#todoListActions.start();
+        // 言語設定から選んだロケールで翻訳し、保存済みのロケールがあれば切り替える
+        this.#i18n.onChange(this.#handleLocaleChange);
+        this.#handleLocaleChange();
+        this.#localeStorage?.load().then(data => {
+            if (isMounted() && data?.locale) {
+                this.#i18n.setLocale(data.locale);
+            }
+        }).catch(error => {
+            console.error("言語の設定を読み込めませんでした", error);
+        });
+        this.#router.onChange(this.#handleRouteChange);
+        this.#router.start();
+        this.#serverSync?.onChange(this.#handleChange);
+        // タブ間とサーバーとの同期は、保存済みのStateを読み込めた場合だけ始める
+        // （読み込みによる変更を他のタブへ送ると、他のタブの新しい変更を上書きしてしまうため。
+        // また、読み込めなかったTodoが、サーバーからも削除されないようにするため）
+        this.#todoListModel.load().then(() => {
+            if (!isMounted()) {
+                return;
+            }
+            this.#tabSync?.start();
+            this.#serverSync?.start().catch(error => {
+                console.error("サーバーとの同期を開始できませんでした", error);
+            });
+        }, error => {
+            console.error("Todoリストの読み込みに失敗しました", error);
+            if (isMounted()) {
+                this.#showToast(this.#i18n.t("app.loadFailed"));
+            }
+        });
     }
 
     /**
@@ -171,7 +1368,38 @@ export class App {
      * useEffectのcleanup関数で実装される処理です。
      */
     unmount() {
+        this.#mountToken = null;
         this.#todoListModel.offChange(this.#handleChange);
         this.formElement.removeEventListener("submit", this.#handleSubmit);
+        this.projectFormElement.removeEventListener("submit", this.#handleProjectSubmit);
+        this.undoButtonElement.removeEventListener("click", this.#handleUndo);
+        this.redoButtonElement.removeEventListener("click", this.#handleRedo);
+        this.toggleAllElement.removeEventListener("change", this.#handleToggleAll);
+        this.clearCompletedButtonElement.removeEventListener("click", this.#handleClearCompleted);
+        this.exportButtonElement.removeEventListener("click", this.#handleExport);
+        this.sortElement.removeEventListener("change", this.#handleSortChange);
+        this.secondarySortElement.removeEventListener("change", this.#handleSortChange);
+        this.searchInputElement.removeEventListener("input", this.#handleSearchInput);
+        this.searchInputElement.removeEventListener("compositionend", this.#handleSearchInput);
+        this.localeSelectElement.removeEventListener("change", this.#handleLocaleSelect);
+        this.dropTargetElement.removeEventListener("dragover", this.#handleFileDragOver);
+        this.dropTargetElement.removeEventListener("dragleave", this.#handleFileDragLeave);
+        this.dropTargetElement.removeEventListener("drop", this.#handleFileDrop);
+        document.removeEventListener("keydown", this.#handleKeyDown);
+        document.removeEventListener("pointerdown", this.#handleDocumentPointerDown);
+        this.todoListContainerElement.removeEventListener("scroll", this.#handleTodoListScroll);
+        window.removeEventListener("resize", this.#handleTodoListScroll);
+        this.#todoListActions.stop();
+        this.#i18n.offChange(this.#handleLocaleChange);
+        this.#router.offChange(this.#handleRouteChange);
+        this.#router.stop();
+        this.#tabSync?.stop();
+        this.#serverSync?.offChange(this.#handleChange);
+        this.#serverSync?.stop();
+        this.#reminderScheduler.cancel();
+        this.#toastTimerIds.forEach(timerId => {
+            this.#clock.clearTimeout(timerId);
+        });
+        this.#toastTimerIds.clear();
     }
 }
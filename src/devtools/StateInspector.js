@@ -0,0 +1,481 @@
+/**
+ * StateInspectorクラス - Stateの変化を記録して検査するデバッグパネル（Redux DevToolsに相当）
+ *
+ * TodoListModelにdispatchされ、Stateを変更したActionを、時刻と変更後のStateと一緒に記録します。
+ * - 記録した項目をクリックすると、その時点のStateを#js-todo-listの位置にプレビューする（実際のStateは変更しない）
+ * - 任意の項目から再生すると、その直前のStateに戻してから、以降のActionをdispatchし直す
+ * - 記録をJSONとしてエクスポート/インポートし、不具合の起きた操作を別の環境で再現する
+ *
+ * Middlewareとして組み込むため、使わない場合はモジュールを読み込まなければ何も追加されません。
+ * 開発者向けの機能のため、パネルの文字列は翻訳しません。
+ *
+ * 使用例:
+ * ```js
+ * const stateInspector = new StateInspector({ todoListContainerElement });
+ * new App({ ..., enhancer: applyMiddleware(thunkMiddleware, stateInspector.middleware) });
+ * stateInspector.mount(document.body);
+ * ```
+ *
+ * Redux DevToolsとの対応:
+ * - 項目のクリック = Jump（ただしStoreのStateは変えずに表示だけを切り替える）
+ * - ここから再生 = Reset to that state + Replay
+ * - エクスポート/インポート = Export/Import
+ *
+ * 元に戻す/やり直す（history/undo、history/redo）はTodoListModelの操作履歴に依存するため、
+ * 再生するときはActionをdispatchし直す代わりに、記録したStateへ戻します。
+ */
+import { element, render } from "../view/html-util.js";
+import { ActionDelegator } from "../view/ActionDelegator.js";
+import { downloadTextFile } from "../io/file-util.js";
+import { HistoryActionType, ProjectActionType, TodoActionType, syncTodosAction } from "../model/todoActions.js";
+import { flattenTodoTree } from "../model/todoSelectors.js";
+import { ProjectModel } from "../model/ProjectModel.js";
+import { TodoItemModel } from "../model/TodoItemModel.js";
+
+// エクスポートする記録の形式の識別子と、現在のバージョン
+const SESSION_FORMAT_NAME = "todo-app-inspector";
+const SESSION_FORMAT_VERSION = 1;
+
+// パネルの要素が表す操作（data-action属性の値）
+const InspectorAction = Object.freeze({
+    EXPORT: "export",
+    IMPORT: "import",
+    CLEAR: "clear",
+    EXIT_PREVIEW: "exit-preview",
+    // 記録した項目（data-id属性は項目の番号）
+    PREVIEW: "preview",
+    REPLAY: "replay"
+});
+
+/**
+ * JSONから読み込んだActionのpayloadを、Reducerが扱えるモデルのインスタンスに戻す
+ *
+ * 記録中のActionに含まれるモデルも、同じ値の新しいインスタンスになります。
+ *
+ * @param {{ type: string, payload?: object }} action
+ * @returns {{ type: string, payload?: object }}
+ */
+function reviveAction(action) {
+    const { type, payload } = action;
+    switch (type) {
+        case TodoActionType.ADD:
+            return { type, payload: { ...payload, todoItem: new TodoItemModel(payload.todoItem) } };
+        case ProjectActionType.ADD:
+            return { type, payload: { ...payload, project: new ProjectModel(payload.project) } };
+        case TodoActionType.SYNC:
+            return {
+                type,
+                payload: {
+                    ...payload,
+                    upserted: payload.upserted.map(todoItem => new TodoItemModel(todoItem)),
+                    projects: payload.projects && payload.projects.map(project => new ProjectModel(project))
+                }
+            };
+        case TodoActionType.BATCH:
+            return { type, payload: { actions: payload.actions.map(reviveAction) } };
+        default:
+            return action;
+    }
+}
+
+/**
+ * 現在のStateを、指定したStateに置き換えるSYNC Actionを生成する
+ * @param {{ items: TodoItemModel[] }} currentState
+ * @param {{ projects: object[], items: object[] }} targetState 記録したState（モデルまたはJSONから読み込んだオブジェクト）
+ * @returns {{ type: string, payload: object }}
+ */
+function createResetAction(currentState, targetState) {
+    const targetIds = new Set(targetState.items.map(todoItem => todoItem.id));
+    return syncTodosAction({
+        upserted: targetState.items.map(todoItem => new TodoItemModel(todoItem)),
+        removed: currentState.items.filter(todoItem => !targetIds.has(todoItem.id)).map(todoItem => todoItem.id),
+        order: targetState.items.map(todoItem => todoItem.id),
+        projects: targetState.projects.map(project => new ProjectModel(project))
+    });
+}
+
+/**
+ * 記録した時刻を"12:34:56.789"の形式で返す
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (value, length = 2) => String(value).padStart(length, "0");
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+export class StateInspector {
+    // middlewareAPI（getStateとdispatch）。Middlewareとして組み込まれるまではnull
+    #store = null;
+    // 最初の記録の直前のState（記録が無ければnull）
+    #initialState = null;
+    /** @type {Array<{ timestamp: number, action: object, state: object }>} */
+    #entries = [];
+    // 先頭の項目の番号（古い項目を捨てても、残った項目の番号は変わらない）
+    #firstEntryNumber = 1;
+    #maxEntries;
+    #now;
+    // Stateを戻している間は、そのSYNC Actionを記録しない
+    #isResetting = false;
+    // プレビュー中の項目のインデックス（プレビューしていなければnull）
+    #previewIndex = null;
+    #errorMessage = "";
+    #todoListContainerElement;
+    #panelElement = null;
+    #previewElement = null;
+    #actionDelegator = null;
+
+    /**
+     * @param {{ todoListContainerElement: Element, maxEntries?: number, now?: function(): number }} options
+     *   todoListContainerElement: プレビューするときに隠すTodoリストの要素（#js-todo-list）
+     *   maxEntries: 記録する最大数（超えた分は古いものから捨てる）
+     *   now: 記録する時刻を返す関数
+     */
+    constructor({ todoListContainerElement, maxEntries = 1000, now = Date.now }) {
+        this.#todoListContainerElement = todoListContainerElement;
+        this.#maxEntries = maxEntries;
+        this.#now = now;
+    }
+
+    /**
+     * Stateを変更したActionを記録するMiddleware
+     *
+     * 関数のActionはそのまま次へ渡すため、thunkMiddlewareより前後のどちらに置いても動作します。
+     */
+    middleware = (middlewareAPI) => {
+        this.#store = middlewareAPI;
+        return next => action => {
+            if (typeof action !== "object" || action === null) {
+                return next(action);
+            }
+            const prevState = middlewareAPI.getState();
+            const result = next(action);
+            const state = middlewareAPI.getState();
+            if (state !== prevState && !this.#isResetting) {
+                this.#record(action, prevState, state);
+                // 実際のStateが変わったら、プレビューをやめて最新のStateを見せる
+                this.#exitPreview();
+                this.#renderAppendedEntry();
+            }
+            return result;
+        };
+    };
+
+    /**
+     * パネルを表示する
+     * @param {Element} parentElement パネルを追加する要素
+     */
+    mount(parentElement) {
+        this.#panelElement = element`<aside class="state-inspector" aria-label="State Inspector"></aside>`;
+        this.#actionDelegator = new ActionDelegator(this.#panelElement);
+        this.#actionDelegator.on(InspectorAction.EXPORT, "click", () => {
+            downloadTextFile(this.exportSession(), { fileName: "todo-app-inspector.json", mimeType: "application/json" });
+        });
+        this.#actionDelegator.on(InspectorAction.IMPORT, "change", async ({ element }) => {
+            const [file] = element.files;
+            if (!file) {
+                return;
+            }
+            try {
+                this.importSession(await file.text());
+                this.#errorMessage = "";
+            } catch (error) {
+                this.#errorMessage = `記録を読み込めませんでした: ${error.message}`;
+            }
+            this.#render();
+        });
+        this.#actionDelegator.on(InspectorAction.CLEAR, "click", () => {
+            this.clear();
+        });
+        this.#actionDelegator.on(InspectorAction.EXIT_PREVIEW, "click", () => {
+            this.#exitPreview();
+            this.#renderSelection();
+        });
+        this.#actionDelegator.on(InspectorAction.PREVIEW, "click", ({ id }) => {
+            this.preview(id - this.#firstEntryNumber);
+        });
+        this.#actionDelegator.on(InspectorAction.REPLAY, "click", ({ id }) => {
+            this.replayFrom(id - this.#firstEntryNumber);
+        });
+        this.#actionDelegator.start();
+        parentElement.appendChild(this.#panelElement);
+        this.#render();
+    }
+
+    /**
+     * パネルを取り除き、プレビューをやめる（記録は続ける）
+     */
+    unmount() {
+        this.#exitPreview();
+        this.#actionDelegator?.stop();
+        this.#actionDelegator = null;
+        this.#panelElement?.remove();
+        this.#panelElement = null;
+    }
+
+    /**
+     * 記録した項目の一覧を返す
+     * @returns {Array<{ timestamp: number, action: object, state: object }>}
+     */
+    getEntries() {
+        return [...this.#entries];
+    }
+
+    /**
+     * 記録を消去する
+     */
+    clear() {
+        this.#exitPreview();
+        this.#entries = [];
+        this.#firstEntryNumber = 1;
+        this.#initialState = null;
+        this.#render();
+    }
+
+    /**
+     * 指定した項目の直後のStateをプレビューする
+     * @param {number} index 項目のインデックス
+     */
+    preview(index) {
+        const entry = this.#entries[index];
+        if (!entry) {
+            return;
+        }
+        this.#previewIndex = index;
+        const previewElement = this.#createPreviewElement(index, entry.state);
+        if (this.#previewElement) {
+            this.#previewElement.replaceWith(previewElement);
+        } else {
+            this.#todoListContainerElement.after(previewElement);
+        }
+        this.#previewElement = previewElement;
+        this.#todoListContainerElement.hidden = true;
+        this.#renderSelection();
+    }
+
+    /**
+     * 指定した項目から再生する
+     *
+     * 項目の直前のStateに戻してから、その項目以降のActionを順にdispatchし直します。
+     * 以降の記録は、再生したActionの記録に置き換わります。
+     *
+     * @param {number} index 項目のインデックス
+     */
+    replayFrom(index) {
+        if (!this.#store || !this.#entries[index]) {
+            return;
+        }
+        const baseState = index === 0 ? this.#initialState : this.#entries[index - 1].state;
+        const replayedEntries = this.#entries.slice(index);
+        this.#exitPreview();
+        this.#entries = this.#entries.slice(0, index);
+        // 残した項目だけを描画し直し、再生した項目は記録するたびに一覧へ追加する
+        this.#render();
+        this.#resetState(baseState);
+        replayedEntries.forEach(({ action, state }) => {
+            if (action.type === HistoryActionType.UNDO || action.type === HistoryActionType.REDO) {
+                const prevState = this.#store.getState();
+                this.#resetState(state);
+                this.#record(action, prevState, this.#store.getState());
+                this.#renderAppendedEntry();
+            } else {
+                this.#store.dispatch(reviveAction(action));
+            }
+        });
+    }
+
+    /**
+     * 記録をJSONの文字列に変換する
+     * @returns {string}
+     */
+    exportSession() {
+        return JSON.stringify({
+            format: SESSION_FORMAT_NAME,
+            version: SESSION_FORMAT_VERSION,
+            initialState: this.#initialState,
+            entries: this.#entries
+        }, null, 2);
+    }
+
+    /**
+     * エクスポートした記録を読み込み、現在の記録と置き換える
+     *
+     * 読み込んだ記録はプレビューと再生に使えます（読み込むだけでは実際のStateは変わりません）。
+     *
+     * @param {string} text exportSession()で出力したJSON
+     * @throws {Error} 記録の形式が不正な場合
+     */
+    importSession(text) {
+        const session = JSON.parse(text);
+        const isState = (state) => state !== null && typeof state === "object" && Array.isArray(state.items) && Array.isArray(state.projects);
+        if (session?.format !== SESSION_FORMAT_NAME || !Array.isArray(session.entries)) {
+            throw new Error("StateInspectorでエクスポートした記録ではありません");
+        }
+        if (session.version > SESSION_FORMAT_VERSION) {
+            throw new Error(`新しいバージョン（${session.version}）の記録には対応していません`);
+        }
+        const isValid = (session.entries.length === 0 || isState(session.initialState))
+            && session.entries.every(entry => typeof entry?.action?.type === "string" && isState(entry.state));
+        if (!isValid) {
+            throw new Error("記録の内容が不正です");
+        }
+        this.#exitPreview();
+        this.#initialState = session.entries.length === 0 ? null : session.initialState;
+        this.#entries = session.entries.map(({ timestamp, action, state }) => ({ timestamp, action, state }));
+        this.#firstEntryNumber = 1;
+        this.#render();
+    }
+
+    /**
+     * Actionを記録する
+     * @param {object} action
+     * @param {object} prevState dispatch前のState
+     * @param {object} state dispatch後のState
+     */
+    #record(action, prevState, state) {
+        if (this.#initialState === null) {
+            this.#initialState = prevState;
+        }
+        // Stateはイミュータブルなため、複製せずにそのまま記録できる
+        this.#entries.push({ timestamp: this.#now(), action, state });
+        if (this.#entries.length > this.#maxEntries) {
+            this.#initialState = this.#entries.shift().state;
+            this.#firstEntryNumber++;
+        }
+    }
+
+    /**
+     * 実際のStateを記録したStateに戻す（戻す操作自体は記録しない）
+     * @param {object} state
+     */
+    #resetState(state) {
+        this.#isResetting = true;
+        try {
+            this.#store.dispatch(createResetAction(this.#store.getState(), state));
+        } finally {
+            this.#isResetting = false;
+        }
+    }
+
+    /**
+     * プレビューをやめ、Todoリストを表示し直す
+     */
+    #exitPreview() {
+        if (this.#previewIndex === null) {
+            return;
+        }
+        this.#previewIndex = null;
+        this.#previewElement.remove();
+        this.#previewElement = null;
+        this.#todoListContainerElement.hidden = false;
+    }
+
+    /**
+     * プレビューする要素を生成する
+     *
+     * 操作できないよう、Todoリストとは別の読み取り専用の要素として、プロジェクトごとに木構造を表示します。
+     *
+     * @param {number} index
+     * @param {{ projects: object[], items: object[] }} state
+     * @returns {Element}
+     */
+    #createPreviewElement(index, state) {
+        const previewElement = element`<div class="todo-list state-preview"><p class="state-preview-banner">#${this.#firstEntryNumber + index} の直後のState（プレビュー）</p><ul></ul></div>`;
+        const listElement = previewElement.querySelector("ul");
+        state.projects.forEach(project => {
+            const todoItems = state.items.filter(todoItem => todoItem.projectId === project.id);
+            listElement.appendChild(element`<li class="state-preview-project">${project.name}（${todoItems.length}件）</li>`);
+            flattenTodoTree(todoItems).forEach(({ todoItem, depth }) => {
+                listElement.appendChild(todoItem.completed
+                    ? element`<li style="--depth: ${depth}"><input type="checkbox" class="checkbox" checked disabled><s>${todoItem.title}</s></li>`
+                    : element`<li style="--depth: ${depth}"><input type="checkbox" class="checkbox" disabled>${todoItem.title}</li>`);
+            });
+        });
+        return previewElement;
+    }
+
+    /**
+     * パネル全体を描画する
+     *
+     * 記録を置き換えたとき（消去、インポート、再生）に呼び出します。
+     * 記録が多い場合に時間がかからないよう、dispatchのたびの記録の追加は#renderAppendedEntry()、
+     * プレビューの切り替えは#renderSelection()で、変わった部分だけを描画します。
+     */
+    #render() {
+        if (!this.#panelElement) {
+            return;
+        }
+        const panelElement = element`<div class="state-inspector-body">
+            <header>
+                <h2>State Inspector</h2>
+                <button class="export" type="button" data-action="${InspectorAction.EXPORT}">エクスポート</button>
+                <label class="import">インポート <input type="file" accept=".json,application/json" data-action="${InspectorAction.IMPORT}"></label>
+                <button class="clear" type="button" data-action="${InspectorAction.CLEAR}">消去</button>
+            </header>
+            <p class="state-inspector-error" role="alert">${this.#errorMessage}</p>
+            <p class="state-inspector-status"></p>
+            <pre class="state-inspector-detail"></pre>
+            <ol class="state-inspector-entries"></ol>
+        </div>`;
+        const entriesElement = panelElement.querySelector(".state-inspector-entries");
+        this.#entries.forEach((entry, index) => {
+            entriesElement.appendChild(this.#createEntryElement(entry, index));
+        });
+        render(panelElement, this.#panelElement);
+        this.#renderSelection();
+    }
+
+    /**
+     * 最後に記録した項目を一覧に追加し、記録の上限を超えて捨てた項目を一覧から取り除く
+     */
+    #renderAppendedEntry() {
+        if (!this.#panelElement) {
+            return;
+        }
+        const entriesElement = this.#panelElement.querySelector(".state-inspector-entries");
+        const lastIndex = this.#entries.length - 1;
+        entriesElement.appendChild(this.#createEntryElement(this.#entries[lastIndex], lastIndex));
+        while (entriesElement.children.length > this.#entries.length) {
+            entriesElement.firstElementChild.remove();
+        }
+        this.#renderSelection();
+    }
+
+    /**
+     * 記録の件数（プレビュー中はプレビューしている項目）と、選択した項目の詳細を描画する
+     *
+     * 詳細にはActionのpayloadを表示します。JSONに変換するのは選択した項目だけです。
+     */
+    #renderSelection() {
+        if (!this.#panelElement) {
+            return;
+        }
+        const statusElement = this.#panelElement.querySelector(".state-inspector-status");
+        const detailElement = this.#panelElement.querySelector(".state-inspector-detail");
+        this.#panelElement.querySelector(".state-inspector-entries > .selected")?.classList.remove("selected");
+        if (this.#previewIndex === null) {
+            statusElement.textContent = `${this.#entries.length}件の記録`;
+            detailElement.textContent = "";
+            return;
+        }
+        const entryNumber = this.#firstEntryNumber + this.#previewIndex;
+        render(element`<span>#${entryNumber} をプレビュー中 <button class="exit-preview" type="button" data-action="${InspectorAction.EXIT_PREVIEW}">最新のStateに戻る</button></span>`, statusElement);
+        this.#panelElement.querySelector(`.state-inspector-entries > [data-key="${entryNumber}"]`).classList.add("selected");
+        detailElement.textContent = JSON.stringify(this.#entries[this.#previewIndex].action.payload ?? null, null, 2);
+    }
+
+    /**
+     * 記録した項目の要素を生成する
+     * @param {{ timestamp: number, action: object }} entry
+     * @param {number} index 項目のインデックス
+     * @returns {Element}
+     */
+    #createEntryElement({ timestamp, action }, index) {
+        const entryNumber = this.#firstEntryNumber + index;
+        return element`<li data-key="${entryNumber}" data-id="${entryNumber}">
+            <button class="state-inspector-entry" type="button" data-action="${InspectorAction.PREVIEW}" title="このStateをプレビュー">#${entryNumber} ${formatTime(timestamp)} ${action.type}</button>
+            <button class="state-inspector-replay" type="button" data-action="${InspectorAction.REPLAY}" title="直前のStateに戻してから、ここ以降を再生">ここから再生</button>
+        </li>`;
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * I18nクラス - UIの文字列の翻訳（react-intlの<IntlProvider>とuseIntl()に相当）
+ *
+ * ロケールごとのメッセージカタログ（messages/ja.js、messages/en.js）を持ち、
+ * 現在のロケールのメッセージに引数を埋め込んだ文字列を返します。
+ *
+ * - t(): キーに対応するメッセージを返す（react-intlのformatMessage()に相当）
+ * - setLocale(): ロケールを切り替え、変更を通知する（ページを再読み込みせずに再レンダリングできる）
+ * - translateElement(): index.htmlのように、HTMLに直接書かれた文字列を翻訳する
+ *
+ * 初期のロケールは、ブラウザの言語設定（navigator.languages）から対応しているものを選びます。
+ */
+import { EventEmitter } from "../EventEmitter.js";
+import { formatMessage } from "./messageFormat.js";
+import { en } from "./messages/en.js";
+import { ja } from "./messages/ja.js";
+
+/**
+ * 対応しているロケールと、そのメッセージカタログ
+ */
+export const MESSAGE_CATALOGS = Object.freeze({ ja, en });
+
+/**
+ * 対応しているロケールに無い言語しか設定されていない場合のロケール
+ */
+export const DEFAULT_LOCALE = "ja";
+
+// HTML要素の翻訳に使う属性と、翻訳した文字列を設定する属性の対応
+// data-i18nは要素のテキストを、それ以外は対応する属性を置き換える
+const TRANSLATED_ATTRIBUTES = [
+    ["data-i18n-placeholder", "placeholder"],
+    ["data-i18n-title", "title"],
+    ["data-i18n-aria-label", "aria-label"]
+];
+
+/**
+ * 言語設定から、対応しているロケールを選ぶ
+ *
+ * 優先度の高い言語から順に、完全に一致するロケール、言語の部分（"en-US"なら"en"）が一致するロケールを探します。
+ *
+ * @param {readonly string[]} languages 優先度の高い順の言語（navigator.languagesなど）
+ * @param {string[]} supportedLocales 対応しているロケール
+ * @param {string} [fallbackLocale] どれにも一致しない場合のロケール
+ * @returns {string}
+ */
+export function detectLocale(languages, supportedLocales, fallbackLocale = DEFAULT_LOCALE) {
+    for (const language of languages) {
+        const normalizedLanguage = language.toLowerCase();
+        const locale = supportedLocales.find(supportedLocale => supportedLocale.toLowerCase() === normalizedLanguage)
+            ?? supportedLocales.find(supportedLocale => supportedLocale.toLowerCase() === normalizedLanguage.split("-")[0]);
+        if (locale) {
+            return locale;
+        }
+    }
+    return fallbackLocale;
+}
+
+/**
+ * ブラウザの言語設定を返す
+ * @returns {readonly string[]}
+ */
+function getBrowserLanguages() {
+    if (typeof navigator === "undefined") {
+        return [];
+    }
+    return navigator.languages?.length > 0 ? navigator.languages : [navigator.language];
+}
+
+export class I18n extends EventEmitter {
+    #catalogs;
+    #locale;
+
+    /**
+     * @param {{ catalogs?: Object<string, Object<string, string>>, locale?: string|null, languages?: readonly string[] }} [options]
+     *   catalogs: ロケールとメッセージカタログの対応（デフォルトはMESSAGE_CATALOGS）
+     *   locale: 初期のロケール（省略した場合はlanguagesから選ぶ）
+     *   languages: ロケールを選ぶための言語設定（デフォルトはnavigator.languages）
+     */
+    constructor({ catalogs = MESSAGE_CATALOGS, locale = null, languages = getBrowserLanguages() } = {}) {
+        super();
+        this.#catalogs = catalogs;
+        this.#locale = this.#isSupported(locale) ? locale : detectLocale(languages, this.getSupportedLocales());
+    }
+
+    /**
+     * 現在のロケールを返す
+     * @returns {string}
+     */
+    getLocale() {
+        return this.#locale;
+    }
+
+    /**
+     * 対応しているロケールの一覧を返す
+     * @returns {string[]}
+     */
+    getSupportedLocales() {
+        return Object.keys(this.#catalogs);
+    }
+
+    /**
+     * ロケールを切り替える
+     * 対応していないロケールや、現在と同じロケールを指定した場合は何もしない
+     * @param {string} locale
+     */
+    setLocale(locale) {
+        if (!this.#isSupported(locale) || locale === this.#locale) {
+            return;
+        }
+        this.#locale = locale;
+        this.emit("change");
+    }
+
+    /**
+     * キーに対応するメッセージに引数を埋め込んだ文字列を返す
+     *
+     * 現在のロケールに無いキーはDEFAULT_LOCALEのメッセージを使い、
+     * どちらにも無い場合は、翻訳漏れに気づけるようキーをそのまま返します。
+     *
+     * @param {string} key メッセージのキー（"footer.itemsLeft"など）
+     * @param {object} [params] メッセージに埋め込む引数
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        const message = this.#catalogs[this.#locale][key] ?? this.#catalogs[DEFAULT_LOCALE]?.[key];
+        return message === undefined ? key : formatMessage(message, params, this.#locale);
+    }
+
+    /**
+     * data-i18n属性などを持つ要素の文字列を、現在のロケールで置き換える
+     *
+     * - data-i18n="key": 要素のテキスト
+     * - data-i18n-placeholder、data-i18n-title、data-i18n-aria-label="key": 対応する属性
+     *
+     * @param {Element} rootElement この要素とその子孫を翻訳する
+     */
+    translateElement(rootElement) {
+        const selectAll = (selector) => [
+            ...(rootElement.matches(selector) ? [rootElement] : []),
+            ...rootElement.querySelectorAll(selector)
+        ];
+        selectAll("[data-i18n]").forEach(targetElement => {
+            targetElement.textContent = this.t(targetElement.getAttribute("data-i18n"));
+        });
+        TRANSLATED_ATTRIBUTES.forEach(([keyAttribute, attribute]) => {
+            selectAll(`[${keyAttribute}]`).forEach(targetElement => {
+                targetElement.setAttribute(attribute, this.t(targetElement.getAttribute(keyAttribute)));
+            });
+        });
+    }
+
+    /**
+     * ロケール変更リスナーの登録
+     * @param {Function} listener ロケールが変わったときに実行される関数
+     * @returns {function(): void} リスナーを解除する関数
+     */
+    onChange(listener) {
+        return this.addEventListener("change", listener);
+    }
+
+    /**
+     * `onChange`で登録したリスナー関数を解除する
+     * @param {Function} listener
+     */
+    offChange(listener) {
+        this.removeEventListener("change", listener);
+    }
+
+    /**
+     * @param {string|null} locale
+     * @returns {boolean}
+     */
+    #isSupported(locale) {
+        return typeof locale === "string" && Object.hasOwn(this.#catalogs, locale);
+    }
+}
@@ -0,0 +1,213 @@
+/**
+ * messageFormat - ICUのMessageFormat形式のメッセージを組み立てる
+ *
+ * react-intl（FormatJS）などが使うICU MessageFormatのうち、次の構文に対応します。
+ *
+ * - 引数の埋め込み: `{title}`（数値として整形する場合は`{count, number}`）
+ * - 複数形: `{count, plural, =0 {なし} one {# item} other {# items}}`
+ *   `=0`のような完全一致を優先し、次にIntl.PluralRulesで求めたカテゴリー（one、otherなど）を使う
+ *   分岐の中の`#`は、ロケールに合わせて整形した数値に置き換える
+ * - 選択: `{status, select, done {完了} other {未完了}}`
+ * - エスケープ: `'{'`のように`'`で囲むと、`{`、`}`、`#`をそのまま表示する（`''`は`'`になる）
+ *
+ * 解析したメッセージはキャッシュし、同じメッセージを繰り返し解析しないようにします。
+ *
+ * 使用例:
+ * ```js
+ * formatMessage("{count, plural, one {# item} other {# items}} left", { count: 3 }, "en"); // "3 items left"
+ * ```
+ */
+
+// メッセージの文字列と、解析した結果の対応
+const parsedMessages = new Map();
+// ロケールごとのIntl.PluralRulesとIntl.NumberFormat
+const pluralRulesByLocale = new Map();
+const numberFormatByLocale = new Map();
+
+/**
+ * @param {string} locale
+ * @returns {Intl.PluralRules}
+ */
+function getPluralRules(locale) {
+    if (!pluralRulesByLocale.has(locale)) {
+        pluralRulesByLocale.set(locale, new Intl.PluralRules(locale));
+    }
+    return pluralRulesByLocale.get(locale);
+}
+
+/**
+ * @param {string} locale
+ * @returns {Intl.NumberFormat}
+ */
+function getNumberFormat(locale) {
+    if (!numberFormatByLocale.has(locale)) {
+        numberFormatByLocale.set(locale, new Intl.NumberFormat(locale));
+    }
+    return numberFormatByLocale.get(locale);
+}
+
+/**
+ * メッセージを解析し、文字列と引数のノードの配列にする
+ * @param {string} message
+ * @returns {Array<string|object>}
+ */
+function parseMessage(message) {
+    if (!parsedMessages.has(message)) {
+        const state = { source: message, index: 0 };
+        const nodes = parseNodes(state, false);
+        if (state.index < message.length) {
+            throw new SyntaxError(`対応する"{"が無い"}"があります: ${message}`);
+        }
+        parsedMessages.set(message, nodes);
+    }
+    return parsedMessages.get(message);
+}
+
+/**
+ * "}"またはメッセージの末尾までを解析する
+ * @param {{ source: string, index: number }} state 解析中の文字列と位置
+ * @param {boolean} isInPlural pluralの分岐の中（"#"を数値として扱う）ならtrue
+ * @returns {Array<string|object>}
+ */
+function parseNodes(state, isInPlural) {
+    const { source } = state;
+    const nodes = [];
+    let text = "";
+    const flushText = () => {
+        if (text !== "") {
+            nodes.push(text);
+            text = "";
+        }
+    };
+    while (state.index < source.length) {
+        const char = source[state.index];
+        const nextChar = source[state.index + 1];
+        if (char === "'" && nextChar === "'") {
+            text += "'";
+            state.index += 2;
+        } else if (char === "'" && (nextChar === "{" || nextChar === "}" || (isInPlural && nextChar === "#"))) {
+            // 次の"'"までをそのまま表示する
+            const endIndex = source.indexOf("'", state.index + 1);
+            const quotedEnd = endIndex === -1 ? source.length : endIndex;
+            text += source.slice(state.index + 1, quotedEnd);
+            state.index = quotedEnd + 1;
+        } else if (char === "}") {
+            break;
+        } else if (char === "{") {
+            flushText();
+            state.index++;
+            nodes.push(parseArgument(state));
+        } else if (char === "#" && isInPlural) {
+            flushText();
+            nodes.push({ type: "pound" });
+            state.index++;
+        } else {
+            text += char;
+            state.index++;
+        }
+    }
+    flushText();
+    return nodes;
+}
+
+/**
+ * "{"の直後から、対応する"}"までの引数を解析する
+ * @param {{ source: string, index: number }} state
+ * @returns {object}
+ */
+function parseArgument(state) {
+    const { source } = state;
+    const readPart = () => {
+        const match = /^[^,}]*/.exec(source.slice(state.index));
+        state.index += match[0].length;
+        if (state.index >= source.length) {
+            throw new SyntaxError(`引数が閉じられていません: ${source}`);
+        }
+        return match[0].trim();
+    };
+    const name = readPart();
+    if (source[state.index] === "}") {
+        state.index++;
+        return { type: "argument", name, format: null };
+    }
+    state.index++;
+    const format = readPart();
+    if (source[state.index] === "}") {
+        state.index++;
+        return { type: "argument", name, format };
+    }
+    if (format !== "plural" && format !== "select") {
+        throw new SyntaxError(`未対応の引数の形式です: ${format}`);
+    }
+    state.index++;
+    const options = new Map();
+    for (;;) {
+        const match = /^\s*([^\s{}]*)\s*/.exec(source.slice(state.index));
+        state.index += match[0].length;
+        if (source[state.index] === "}" && match[1] === "") {
+            state.index++;
+            break;
+        }
+        if (match[1] === "" || source[state.index] !== "{") {
+            throw new SyntaxError(`${name}の分岐を解析できません: ${source}`);
+        }
+        state.index++;
+        options.set(match[1], parseNodes(state, format === "plural"));
+        if (source[state.index] !== "}") {
+            throw new SyntaxError(`${name}の分岐が閉じられていません: ${source}`);
+        }
+        state.index++;
+    }
+    if (!options.has("other")) {
+        throw new SyntaxError(`${name}の分岐にotherがありません: ${source}`);
+    }
+    return { type: format, name, options };
+}
+
+/**
+ * 解析したノードを文字列に組み立てる
+ * @param {Array<string|object>} nodes
+ * @param {object} params
+ * @param {string} locale
+ * @param {number|null} pluralValue 囲んでいるpluralの値（"#"に入れる数値）
+ * @returns {string}
+ */
+function formatNodes(nodes, params, locale, pluralValue) {
+    return nodes.map(node => {
+        if (typeof node === "string") {
+            return node;
+        }
+        const value = params[node.name];
+        switch (node.type) {
+            case "pound":
+                return getNumberFormat(locale).format(pluralValue);
+            case "plural": {
+                const count = Number(value);
+                const branch = node.options.get(`=${count}`)
+                    ?? node.options.get(getPluralRules(locale).select(count))
+                    ?? node.options.get("other");
+                return formatNodes(branch, params, locale, count);
+            }
+            case "select":
+                return formatNodes(node.options.get(String(value)) ?? node.options.get("other"), params, locale, pluralValue);
+            default:
+                // 値が渡されなかった引数は、気づけるよう"{name}"のまま残す
+                if (value === undefined) {
+                    return `{${node.name}}`;
+                }
+                return node.format === "number" ? getNumberFormat(locale).format(value) : String(value);
+        }
+    }).join("");
+}
+
+/**
+ * メッセージに引数を埋め込んだ文字列を返す
+ * @param {string} message ICU MessageFormat形式のメッセージ
+ * @param {object} [params] 埋め込む引数（名前と値の対応）
+ * @param {string} [locale] 複数形や数値の整形に使うロケール
+ * @returns {string}
+ * @throws {SyntaxError} メッセージの構文が不正な場合
+ */
+export function formatMessage(message, params = {}, locale = "en") {
+    return formatNodes(parseMessage(message), params, locale, null);
+}
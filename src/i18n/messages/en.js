@@ -0,0 +1,116 @@
+/**
+ * 英語のメッセージカタログ
+ *
+ * キーはja.jsと同じです。英語では単数形と複数形で語形が変わるため、件数を含むメッセージはpluralで書き分けます。
+ */
+export const en = Object.freeze({
+    "app.title": "Todo App",
+    "app.loadFailed": "Could not load the saved todo list",
+    "locale.label": "Language",
+
+    "projects.heading": "Lists",
+    "projects.new.placeholder": "New list",
+    "projects.new.label": "Name of the new list",
+    "project.activeCount.title": "Active",
+    "project.activeCount.label": "{count} active",
+    "project.rename": "Rename",
+    "project.rename.label": "Rename {name}",
+    "project.delete": "Delete",
+    "project.delete.label": "Delete {name}",
+    "project.name.label": "List name",
+
+    "todoList.label": "Todo list",
+    "todo.toggleAll": "Mark all as complete",
+    "todo.new.placeholder": "What needs to be done?",
+    "todo.new.label": "New todo",
+    "todo.new.dueDate.label": "Due date of the new todo",
+    "todo.complete.label": "Complete {title}",
+    "todo.dueDate": "Due date",
+    "todo.dueDate.label": "Due date of {title}",
+    "todo.delete": "Delete",
+    "todo.delete.label": "Delete {title}",
+    "todo.edit.label": "Edit title",
+    "todo.subtasks.expand.label": "Expand subtasks of {title}",
+    "todo.subtasks.collapse.label": "Collapse subtasks of {title}",
+    "todo.subtasks.progress": "{completed}/{count} done",
+    "todo.subtasks.progress.label": "{completed} of {count, plural, one {# subtask} other {# subtasks}} completed",
+    "todo.subtasks.add": "Add a subtask",
+    "todo.subtasks.add.label": "Add a subtask to {title}",
+    "todo.subtasks.new.placeholder": "Enter a subtask",
+    "todo.subtasks.remaining": "{title}: {count, plural, one {# subtask is} other {# subtasks are}} still active",
+    "todo.subtasks.completeAll": "Complete all",
+    "todo.unsynced": "Not synced",
+    "todo.unsynced.label": "Not synced with the server",
+    "todo.due": "Due now: {title}",
+    "todo.priority": "{priority, select, high {High priority} medium {Medium priority} low {Low priority} other {No priority}}",
+    "todo.menu.label": "Actions for {title}",
+    "todo.recurrence": "{type, select, daily {Every day} interval {Every {days} days} weekly {Every week on {weekdays}} other {Monthly on day {monthDay}}}",
+    "todo.recurrence.label": "Repeats: {rule}",
+    "todo.recurrence.edit": "Repeat…",
+    "todo.recurrence.skip": "Skip this occurrence",
+    "todo.recurrence.stop": "Stop recurring",
+    "recurrence.editor.label": "Repeat settings for {title}",
+    "recurrence.type.label": "Repeat",
+    "recurrence.daily": "Every day",
+    "recurrence.weekly": "Every week",
+    "recurrence.monthly": "Every month",
+    "recurrence.interval": "Every N days",
+    "recurrence.days.label": "Days",
+    "recurrence.monthDay.label": "Day",
+    "recurrence.weekdays.label": "Days of the week",
+    "recurrence.save": "Save",
+    "recurrence.cancel": "Cancel",
+    "priority.high": "High",
+    "priority.medium": "Medium",
+    "priority.low": "Low",
+    "priority.none": "None",
+
+    "search.placeholder": "Search",
+    "search.title": "Filter by title",
+
+    "footer.itemsLeft": "{count, plural, one {# item} other {# items}} left",
+    "footer.progress.label": "Completion",
+    "footer.progress": "{percentage}% complete",
+    "footer.filters.label": "Filters",
+    "filter.all": "All",
+    "filter.active": "Active",
+    "filter.completed": "Completed",
+    "sort.label": "Sort order",
+    "sort.manual": "Manual",
+    "sort.dueDate": "By due date",
+    "sort.priority": "By priority",
+    "sort.created": "By creation time",
+    "sort.title": "Alphabetical",
+    "sort.completedLast": "Completed last",
+    "sort.secondary.label": "Secondary sort order",
+    "sort.secondary.none": "(none)",
+    "footer.clearCompleted": "Clear completed",
+    "history.undo": "Undo",
+    "history.undo.title": "Undo (Ctrl+Z)",
+    "history.redo": "Redo",
+    "history.redo.title": "Redo (Ctrl+Shift+Z)",
+
+    "io.export": "Export",
+    "io.download": "Download",
+    "io.import": "Import",
+    "io.import.merge": "Add",
+    "io.import.replace": "Replace",
+    "io.dropHint": "(drop a file here)",
+    "io.import.succeeded": "Imported {count, plural, one {# todo} other {# todos}} from {fileName}",
+    "io.import.failed": "Could not import {fileName}",
+    "io.import.errorAtLine": "Line {line}: {message}",
+    "io.error.unsupportedFormat": "Unsupported format: {format}",
+    "io.error.readFailed": "Could not read the file: {detail}",
+    "io.error.invalidJson": "Not valid JSON: {detail}",
+    "io.error.notExportedFile": "This file is not an exported todo list",
+    "io.error.newerVersion": "Format version {version} is newer than this app supports",
+    "io.error.invalidTitle": "title is empty or not a string",
+    "io.error.invalidCompleted": "completed is not a boolean",
+    "io.error.invalidDueDate": "Invalid dueDate: {value}",
+    "io.error.missingTitleColumn": "The header has no title column",
+    "io.error.columnCount": "Expected {expected, plural, one {# column} other {# columns}} but found {actual}",
+    "io.error.emptyTitle": "title is empty",
+    "io.error.invalidCompletedValue": "Invalid completed value: {value}",
+    "io.error.invalidTaskLine": "Not in the form `- [ ] title` or `- [x] title`",
+    "io.error.unterminatedQuote": "A quoted field is never closed"
+});
@@ -0,0 +1,117 @@
+/**
+ * 日本語のメッセージカタログ
+ *
+ * キーは画面上の場所ごとに"."で区切り、値はICU MessageFormat形式で書きます（messageFormat.jsを参照）。
+ * メッセージを追加する場合は、en.jsにも同じキーを追加します。
+ */
+export const ja = Object.freeze({
+    "app.title": "Todo App",
+    "app.loadFailed": "保存済みのTodoリストを読み込めませんでした",
+    "locale.label": "言語",
+
+    "projects.heading": "リスト",
+    "projects.new.placeholder": "新しいリスト",
+    "projects.new.label": "新しいリストの名前",
+    "project.activeCount.title": "未完了",
+    "project.activeCount.label": "未完了 {count}件",
+    "project.rename": "名前を変更",
+    "project.rename.label": "名前を変更: {name}",
+    "project.delete": "削除",
+    "project.delete.label": "削除: {name}",
+    "project.name.label": "プロジェクト名",
+
+    "todoList.label": "Todoリスト",
+    "todo.toggleAll": "すべて完了にする",
+    "todo.new.placeholder": "何をしますか？",
+    "todo.new.label": "新しいTodo",
+    "todo.new.dueDate.label": "新しいTodoの期限",
+    "todo.complete.label": "完了: {title}",
+    "todo.dueDate": "期限",
+    "todo.dueDate.label": "期限: {title}",
+    "todo.delete": "削除",
+    "todo.delete.label": "削除: {title}",
+    "todo.edit.label": "タイトルを編集",
+    "todo.subtasks.expand.label": "サブタスクを展開: {title}",
+    "todo.subtasks.collapse.label": "サブタスクを折りたたむ: {title}",
+    "todo.subtasks.progress": "{completed}/{count} 完了",
+    "todo.subtasks.progress.label": "サブタスク {count}件中{completed}件完了",
+    "todo.subtasks.add": "サブタスクを追加",
+    "todo.subtasks.add.label": "サブタスクを追加: {title}",
+    "todo.subtasks.new.placeholder": "サブタスクを入力",
+    "todo.subtasks.remaining": "{title}: 未完了のサブタスクが{count}件あります",
+    "todo.subtasks.completeAll": "すべて完了にする",
+    "todo.unsynced": "未同期",
+    "todo.unsynced.label": "サーバーと未同期",
+    "todo.due": "期限になりました: {title}",
+    "todo.priority": "{priority, select, high {優先度: 高} medium {優先度: 中} low {優先度: 低} other {優先度なし}}",
+    "todo.menu.label": "操作: {title}",
+    "todo.recurrence": "{type, select, daily {毎日} interval {{days}日ごと} weekly {毎週 {weekdays}} other {毎月{monthDay}日}}",
+    "todo.recurrence.label": "繰り返し: {rule}",
+    "todo.recurrence.edit": "繰り返しを設定…",
+    "todo.recurrence.skip": "今回をスキップ",
+    "todo.recurrence.stop": "繰り返しをやめる",
+    "recurrence.editor.label": "繰り返しの設定: {title}",
+    "recurrence.type.label": "繰り返し",
+    "recurrence.daily": "毎日",
+    "recurrence.weekly": "毎週",
+    "recurrence.monthly": "毎月",
+    "recurrence.interval": "N日ごと",
+    "recurrence.days.label": "日数",
+    "recurrence.monthDay.label": "日付",
+    "recurrence.weekdays.label": "曜日",
+    "recurrence.save": "保存",
+    "recurrence.cancel": "キャンセル",
+    "priority.high": "高",
+    "priority.medium": "中",
+    "priority.low": "低",
+    "priority.none": "なし",
+
+    "search.placeholder": "検索",
+    "search.title": "タイトルで絞り込む",
+
+    "footer.itemsLeft": "残り{count}件",
+    "footer.progress.label": "完了率",
+    "footer.progress": "{percentage}% 完了",
+    "footer.filters.label": "表示フィルター",
+    "filter.all": "すべて",
+    "filter.active": "未完了",
+    "filter.completed": "完了済み",
+    "sort.label": "並び順",
+    "sort.manual": "手動",
+    "sort.dueDate": "期限順",
+    "sort.priority": "優先度順",
+    "sort.created": "作成順",
+    "sort.title": "タイトル順",
+    "sort.completedLast": "完了済みを後ろへ",
+    "sort.secondary.label": "2番目の並び順",
+    "sort.secondary.none": "（なし）",
+    "footer.clearCompleted": "完了済みを削除",
+    "history.undo": "元に戻す",
+    "history.undo.title": "元に戻す (Ctrl+Z)",
+    "history.redo": "やり直す",
+    "history.redo.title": "やり直す (Ctrl+Shift+Z)",
+
+    "io.export": "エクスポート",
+    "io.download": "ダウンロード",
+    "io.import": "インポート",
+    "io.import.merge": "追加する",
+    "io.import.replace": "置き換える",
+    "io.dropHint": "（ファイルをここにドロップ）",
+    "io.import.succeeded": "{fileName}から{count}件のTodoを読み込みました",
+    "io.import.failed": "{fileName}を読み込めませんでした",
+    "io.import.errorAtLine": "{line}行目: {message}",
+    "io.error.unsupportedFormat": "未対応の形式です: {format}",
+    "io.error.readFailed": "ファイルを読み込めません: {detail}",
+    "io.error.invalidJson": "JSONとして読み込めません: {detail}",
+    "io.error.notExportedFile": "Todoリストをエクスポートしたファイルではありません",
+    "io.error.newerVersion": "新しいバージョン（{version}）の形式には対応していません",
+    "io.error.invalidTitle": "titleが空か、文字列ではありません",
+    "io.error.invalidCompleted": "completedが真偽値ではありません",
+    "io.error.invalidDueDate": "dueDateの形式が不正です: {value}",
+    "io.error.missingTitleColumn": "ヘッダーにtitle列がありません",
+    "io.error.columnCount": "列の数が{expected}ではありません（{actual}列）",
+    "io.error.emptyTitle": "titleが空です",
+    "io.error.invalidCompletedValue": "completedの値が不正です: {value}",
+    "io.error.invalidTaskLine": "`- [ ] title`または`- [x] title`の形式ではありません",
+    "io.error.unterminatedQuote": "ダブルクォートで始まるフィールドが閉じられていません"
+});
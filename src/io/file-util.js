@@ -0,0 +1,33 @@
+/**
+ * file-util - ファイルのダウンロードと読み込みのユーティリティ
+ */
+
+/**
+ * 文字列をファイルとしてダウンロードさせる
+ *
+ * BlobからオブジェクトURL を作り、download属性を付けたリンクをクリックします。
+ *
+ * @param {string} text ファイルの内容
+ * @param {{ fileName: string, mimeType: string }} options
+ */
+export function downloadTextFile(text, { fileName, mimeType }) {
+    const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const linkElement = document.createElement("a");
+    linkElement.href = url;
+    linkElement.download = fileName;
+    document.body.appendChild(linkElement);
+    linkElement.click();
+    linkElement.remove();
+    // クリックによるダウンロードの開始を待ってから解放する
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * ドラッグ&ドロップされたデータがファイルを含むかどうか
+ * @param {DragEvent} event
+ * @returns {boolean}
+ */
+export function hasFiles(event) {
+    return Array.from(event.dataTransfer?.types ?? []).includes("Files");
+}
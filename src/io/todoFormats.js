@@ -0,0 +1,316 @@
+/**
+ * todoFormats - Todoリストのインポート/エクスポート形式
+ *
+ * 次の3つの形式とTodoの一覧を相互に変換します。
+ *
+ * - JSON: バージョン付きの独自形式
+ *   { "format": "todo-app", "version": 1, "items": [{ "title": "...", "completed": false, "dueDate": null }] }
+ * - CSV: 1行目がヘッダー（title,completed,dueDate）のRFC 4180形式
+ * - Markdown: GitHubのタスクリスト形式（`- [ ] title` / `- [x] title`）。期限は含まない
+ *
+ * 読み込み（parse）では、入力を検証して不正な行ごとにエラーを報告します。
+ * エラーはメッセージの文字列ではなく、メッセージカタログ（src/i18n/messages）のキー（code）と
+ * 埋め込む引数（params）で表し、表示する言語はAppが選びます。
+ * 読み込んだTodoはIDを持たないプレーンなオブジェクト（{ title, completed, dueDate }）として返し、
+ * TodoItemModelへの変換とIDの採番はTodoListModelが行います。
+ */
+
+import { normalizeDueDate } from "../model/TodoItemModel.js";
+
+/**
+ * 対応している形式
+ */
+export const TodoFormat = Object.freeze({
+    JSON: "json",
+    CSV: "csv",
+    MARKDOWN: "markdown"
+});
+
+// JSON形式の識別子と、現在のバージョン
+const JSON_FORMAT_NAME = "todo-app";
+const JSON_FORMAT_VERSION = 1;
+
+// 形式ごとのファイル拡張子とMIMEタイプ
+const FILE_TYPES = {
+    [TodoFormat.JSON]: { extension: "json", mimeType: "application/json" },
+    [TodoFormat.CSV]: { extension: "csv", mimeType: "text/csv" },
+    [TodoFormat.MARKDOWN]: { extension: "md", mimeType: "text/markdown" }
+};
+
+// CSVの完了状態として受け付ける値
+const CSV_TRUE_VALUES = new Set(["true", "1", "yes", "x"]);
+const CSV_FALSE_VALUES = new Set(["false", "0", "no", ""]);
+
+/**
+ * 形式に対応するファイルの拡張子とMIMEタイプを返す
+ * @param {string} format TodoFormatのいずれか
+ * @returns {{ extension: string, mimeType: string }}
+ */
+export function getFileType(format) {
+    return FILE_TYPES[format];
+}
+
+/**
+ * ファイル名と内容から形式を推測する
+ *
+ * 拡張子で判断できない場合は、内容の先頭から推測します。
+ *
+ * @param {string} fileName
+ * @param {string} text
+ * @returns {string} TodoFormatのいずれか
+ */
+export function detectFormat(fileName, text) {
+    const extension = fileName.toLowerCase().split(".").pop();
+    if (extension === "json") {
+        return TodoFormat.JSON;
+    }
+    if (extension === "csv") {
+        return TodoFormat.CSV;
+    }
+    if (extension === "md" || extension === "markdown") {
+        return TodoFormat.MARKDOWN;
+    }
+    const trimmedText = text.trimStart();
+    if (trimmedText.startsWith("{")) {
+        return TodoFormat.JSON;
+    }
+    if (/^[-*+] \[[ xX]\]/.test(trimmedText)) {
+        return TodoFormat.MARKDOWN;
+    }
+    return TodoFormat.CSV;
+}
+
+/**
+ * Todoの一覧を指定した形式の文字列に変換する
+ * @param {Array<{ title: string, completed: boolean, dueDate: string|null }>} todoItems
+ * @param {string} format TodoFormatのいずれか
+ * @returns {string}
+ */
+export function stringifyTodos(todoItems, format) {
+    switch (format) {
+        case TodoFormat.JSON:
+            return JSON.stringify({
+                format: JSON_FORMAT_NAME,
+                version: JSON_FORMAT_VERSION,
+                items: todoItems.map(({ title, completed, dueDate }) => ({ title, completed, dueDate }))
+            }, null, 2);
+        case TodoFormat.CSV:
+            return ["title,completed,dueDate", ...todoItems.map(({ title, completed, dueDate }) => {
+                return `${escapeCsvField(title)},${completed},${dueDate ?? ""}`;
+            })].join("\r\n") + "\r\n";
+        case TodoFormat.MARKDOWN:
+            // タスクリストは1行に1件のため、タイトル中の改行は空白に置き換える
+            return todoItems.map(({ title, completed }) => {
+                return `- [${completed ? "x" : " "}] ${title.replace(/\r?\n/g, " ")}`;
+            }).join("\n") + "\n";
+        default:
+            throw new Error(`未対応の形式です: ${format}`);
+    }
+}
+
+/**
+ * 指定した形式の文字列からTodoの一覧を読み込む
+ *
+ * 不正な行があっても処理を続け、読み込めたTodoとエラーの一覧を返します。
+ * エラーのlineは1から始まる行番号です（ファイル全体に関するエラーでは0）。
+ * codeはメッセージカタログのキー、paramsはメッセージに埋め込む引数です。
+ *
+ * @param {string} text
+ * @param {string} format TodoFormatのいずれか
+ * @returns {{ items: Array<{ title: string, completed: boolean, dueDate: string|null }>, errors: Array<{ line: number, code: string, params: object }> }}
+ */
+export function parseTodos(text, format) {
+    switch (format) {
+        case TodoFormat.JSON:
+            return parseJson(text);
+        case TodoFormat.CSV:
+            return parseCsv(text);
+        case TodoFormat.MARKDOWN:
+            return parseMarkdown(text);
+        default:
+            return { items: [], errors: [{ line: 0, code: "io.error.unsupportedFormat", params: { format } }] };
+    }
+}
+
+/**
+ * JSON形式を読み込む
+ *
+ * JSONでは行と項目が対応しないため、エラーのlineには
+ * items配列の何番目（1始まり）の項目かを入れます。
+ *
+ * @param {string} text
+ */
+function parseJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { items: [], errors: [{ line: 0, code: "io.error.invalidJson", params: { detail: error.message } }] };
+    }
+    if (data === null || typeof data !== "object" || data.format !== JSON_FORMAT_NAME || !Array.isArray(data.items)) {
+        return { items: [], errors: [{ line: 0, code: "io.error.notExportedFile", params: {} }] };
+    }
+    if (data.version > JSON_FORMAT_VERSION) {
+        return { items: [], errors: [{ line: 0, code: "io.error.newerVersion", params: { version: data.version } }] };
+    }
+    const items = [];
+    const errors = [];
+    data.items.forEach((item, index) => {
+        const line = index + 1;
+        if (item === null || typeof item !== "object" || typeof item.title !== "string" || item.title.trim().length === 0) {
+            errors.push({ line, code: "io.error.invalidTitle", params: {} });
+        } else if (typeof item.completed !== "boolean") {
+            errors.push({ line, code: "io.error.invalidCompleted", params: {} });
+        } else if (item.dueDate != null && normalizeDueDate(item.dueDate) === null) {
+            errors.push({ line, code: "io.error.invalidDueDate", params: { value: item.dueDate } });
+        } else {
+            items.push({ title: item.title, completed: item.completed, dueDate: normalizeDueDate(item.dueDate) });
+        }
+    });
+    return { items, errors };
+}
+
+/**
+ * CSV形式を読み込む
+ * @param {string} text
+ */
+function parseCsv(text) {
+    const { records: allRecords, errors: syntaxErrors } = splitCsvRecords(text);
+    const records = allRecords.filter(({ fields }) => !(fields.length === 1 && fields[0] === ""));
+    if (records.length === 0) {
+        return { items: [], errors: syntaxErrors };
+    }
+    const [header, ...rows] = records;
+    const columns = header.fields.map(field => field.trim().toLowerCase());
+    const titleIndex = columns.indexOf("title");
+    const completedIndex = columns.indexOf("completed");
+    const dueDateIndex = columns.indexOf("duedate");
+    if (titleIndex === -1) {
+        return { items: [], errors: [{ line: header.line, code: "io.error.missingTitleColumn", params: {} }] };
+    }
+    const items = [];
+    const errors = [...syntaxErrors];
+    rows.forEach(({ line, fields }) => {
+        if (fields.length !== columns.length) {
+            errors.push({ line, code: "io.error.columnCount", params: { expected: columns.length, actual: fields.length } });
+            return;
+        }
+        const title = fields[titleIndex];
+        const completedValue = completedIndex === -1 ? "" : fields[completedIndex].trim().toLowerCase();
+        const dueDateValue = dueDateIndex === -1 ? "" : fields[dueDateIndex].trim();
+        const dueDate = normalizeDueDate(dueDateValue);
+        if (title.trim().length === 0) {
+            errors.push({ line, code: "io.error.emptyTitle", params: {} });
+        } else if (!CSV_TRUE_VALUES.has(completedValue) && !CSV_FALSE_VALUES.has(completedValue)) {
+            errors.push({ line, code: "io.error.invalidCompletedValue", params: { value: completedValue } });
+        } else if (dueDateValue !== "" && dueDate === null) {
+            errors.push({ line, code: "io.error.invalidDueDate", params: { value: dueDateValue } });
+        } else {
+            items.push({ title, completed: CSV_TRUE_VALUES.has(completedValue), dueDate });
+        }
+    });
+    return { items, errors };
+}
+
+/**
+ * Markdownのタスクリストを読み込む
+ *
+ * 空行と見出し（#で始まる行）は読み飛ばします。
+ *
+ * @param {string} text
+ */
+function parseMarkdown(text) {
+    const items = [];
+    const errors = [];
+    text.split(/\r?\n/).forEach((lineText, index) => {
+        const line = index + 1;
+        if (lineText.trim() === "" || lineText.trimStart().startsWith("#")) {
+            return;
+        }
+        const match = lineText.match(/^\s*[-*+] \[([ xX])\] (.*)$/);
+        if (!match) {
+            errors.push({ line, code: "io.error.invalidTaskLine", params: {} });
+        } else if (match[2].trim().length === 0) {
+            errors.push({ line, code: "io.error.emptyTitle", params: {} });
+        } else {
+            items.push({ title: match[2], completed: match[1] !== " ", dueDate: null });
+        }
+    });
+    return { items, errors };
+}
+
+/**
+ * CSVのフィールドをエスケープする
+ * カンマ・ダブルクォート・改行を含む場合はダブルクォートで囲む
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeCsvField(value) {
+    if (/[",\r\n]/.test(value)) {
+        return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+}
+
+/**
+ * CSVをレコード（行）とフィールドに分割する
+ *
+ * ダブルクォートで囲まれたフィールドは、カンマや改行を含むことができます。
+ * 各レコードには、そのレコードが始まる行番号を付けます。
+ * 閉じられていないダブルクォートがある場合は、そのレコードを含めず、レコードが始まる行のエラーを返します
+ * （残りの行がすべて1つのフィールドとして読み込まれないようにするため）。
+ *
+ * @param {string} text
+ * @returns {{ records: Array<{ line: number, fields: string[] }>, errors: Array<{ line: number, code: string, params: object }> }}
+ */
+function splitCsvRecords(text) {
+    const records = [];
+    let fields = [];
+    let field = "";
+    let isQuoted = false;
+    let line = 1;
+    let recordLine = 1;
+    const pushRecord = () => {
+        fields.push(field);
+        records.push({ line: recordLine, fields });
+        fields = [];
+        field = "";
+        recordLine = line;
+    };
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (isQuoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                isQuoted = false;
+            } else {
+                if (char === "\n") {
+                    line++;
+                }
+                field += char;
+            }
+        } else if (char === '"' && field === "") {
+            isQuoted = true;
+        } else if (char === ",") {
+            fields.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") {
+                i++;
+            }
+            line++;
+            pushRecord();
+        } else {
+            field += char;
+        }
+    }
+    if (isQuoted) {
+        return { records, errors: [{ line: recordLine, code: "io.error.unterminatedQuote", params: {} }] };
+    }
+    if (field !== "" || fields.length > 0) {
+        pushRecord();
+    }
+    return { records, errors: [] };
+}
@@ -0,0 +1,94 @@
+/**
+ * Historyクラス - redux-undoのpast/futureスタックに相当する操作履歴
+ *
+ * redux-undoでは、Stateを { past, present, future } の形で保持し、
+ * UNDO/REDO Actionでpresentを前後に移動させます。
+ * このクラスは「元に戻すAction」と「やり直すAction」を組にした履歴エントリーを
+ * 2つのスタックで管理し、同じ操作を実現します。
+ *
+ * 履歴エントリーの形式:
+ * {
+ *   type: string,    // 記録した操作の種類（"todo/add"など）
+ *   undo: object,    // 操作を取り消すAction
+ *   redo: object     // 操作をやり直すAction
+ * }
+ *
+ * 新しい操作を記録すると、やり直し用のスタック（future）は破棄されます。
+ */
+export class History {
+    // 元に戻せる操作のスタック（redux-undoのpastに相当）
+    #undoStack = [];
+    // やり直せる操作のスタック（redux-undoのfutureに相当）
+    #redoStack = [];
+    #limit;
+
+    /**
+     * @param {{ limit?: number }} [options] limit: 保持する履歴の最大数（redux-undoのlimitに相当）
+     */
+    constructor({ limit = 100 } = {}) {
+        this.#limit = limit;
+    }
+
+    /**
+     * 新しい操作を記録する
+     * 最大数を超えた場合は古いものから捨てる
+     * @param {{ type: string, undo: object, redo: object }} entry
+     */
+    push(entry) {
+        this.#undoStack.push(entry);
+        if (this.#undoStack.length > this.#limit) {
+            this.#undoStack.splice(0, this.#undoStack.length - this.#limit);
+        }
+        this.#redoStack = [];
+    }
+
+    /**
+     * 元に戻す操作を取り出す
+     * 取り出したエントリーはやり直し用のスタックへ移る
+     * @returns {{ type: string, undo: object, redo: object }|null}
+     */
+    undo() {
+        const entry = this.#undoStack.pop();
+        if (!entry) {
+            return null;
+        }
+        this.#redoStack.push(entry);
+        return entry;
+    }
+
+    /**
+     * やり直す操作を取り出す
+     * 取り出したエントリーは元に戻す用のスタックへ戻る
+     * @returns {{ type: string, undo: object, redo: object }|null}
+     */
+    redo() {
+        const entry = this.#redoStack.pop();
+        if (!entry) {
+            return null;
+        }
+        this.#undoStack.push(entry);
+        return entry;
+    }
+
+    /**
+     * @returns {boolean} 元に戻せる操作があるならtrue
+     */
+    canUndo() {
+        return this.#undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean} やり直せる操作があるならtrue
+     */
+    canRedo() {
+        return this.#redoStack.length > 0;
+    }
+
+    /**
+     * すべての履歴を破棄する
+     */
+    clear() {
+        this.#undoStack = [];
+        this.#redoStack = [];
+    }
+}
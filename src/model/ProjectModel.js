@@ -0,0 +1,92 @@
+/**
+ * ProjectModelクラス - 名前付きのTodoリスト（プロジェクト）を表すエンティティ
+ *
+ * 「仕事」「家」のように、Todoをまとめるリストの名前を持ちます。
+ * Todoの一覧そのものは持たず、各TodoItemModelが所属するプロジェクトのID（projectId）を持ちます。
+ * Reduxの正規化されたStateで、親子関係を子から親へのIDで表すのと同じ設計です。
+ *
+ * Stateの構造例:
+ * {
+ *   projects: [{ id: 0, name: "Todo" }, { id: 1, name: "仕事" }],
+ *   items: [{ id: 0, title: "牛乳を買う", projectId: 0, ... }]
+ * }
+ */
+
+// ユニークなIDを管理する変数（TodoItemModelのIDとは別の連番）
+let projectIdx = 0;
+
+/**
+ * 最初から存在するプロジェクトのID
+ * プロジェクトを指定せずに作成したTodoは、このプロジェクトに所属します。
+ */
+export const DEFAULT_PROJECT_ID = 0;
+
+/**
+ * 最初から存在するプロジェクトの名前
+ */
+export const DEFAULT_PROJECT_NAME = "Todo";
+
+export class ProjectModel {
+    /** @type {number} プロジェクトのID */
+    id;
+    /** @type {string} プロジェクトの名前 */
+    name;
+
+    /**
+     * 保存済みのデータから復元する場合はidを指定します。
+     * その場合も、以降に採番されるidが復元したidと重複しないように連番を進めます。
+     *
+     * @param {{ id?: number, name: string }} Action payloadに相当するデータ
+     */
+    constructor({ id, name }) {
+        if (typeof id === "number") {
+            this.id = id;
+            projectIdx = Math.max(projectIdx, id + 1);
+        } else {
+            this.id = projectIdx++;
+        }
+        this.name = name;
+    }
+
+    /**
+     * 次に採番されるIDを返す
+     * @returns {number}
+     */
+    static getNextId() {
+        return projectIdx;
+    }
+
+    /**
+     * IDの連番を復元する - 保存済みのStateから再開する場合に使う
+     * @param {number} nextId 次に採番するID
+     */
+    static restoreNextId(nextId) {
+        projectIdx = Math.max(projectIdx, nextId);
+    }
+
+    /**
+     * 最初から存在するプロジェクトを生成する
+     * @returns {ProjectModel}
+     */
+    static createDefault() {
+        return new ProjectModel({ id: DEFAULT_PROJECT_ID, name: DEFAULT_PROJECT_NAME });
+    }
+
+    /**
+     * @returns {boolean} 名前が空（空白のみを含む）の場合true
+     */
+    isEmptyName() {
+        return this.name.trim().length === 0;
+    }
+
+    /**
+     * 保存用のプレーンなオブジェクトに変換する
+     * @returns {{ id: number, name: string }}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name
+        };
+    }
+}
@@ -18,16 +18,88 @@
  *
  * TodoItemModelは上記のbyId内の個別オブジェクトに相当し、
  * 以下の特徴を持ちます：
- * - イミュータブル（不変）なデータ構造として扱われるべき
+ * - イミュータブル（不変）なデータ構造として扱われるべき（todoReducerはObject.freeze()で凍結する）
  * - 一意のID（プライマリーキー）を持つ
- * - ビジネスロジック（isEmptyTitle）を含む
+ * - ビジネスロジック（isEmptyTitle、getDueStatus）を含む
+ * - 親のTodoのID（parentId）を持つことで、サブタスクの木構造を表す
+ * - 優先度（priority）を持つ（TodoPriorityのいずれか）
+ * - 繰り返しのルール（recurrence）を持つ場合は、完了すると次の回のTodoが作られる（TodoListModel#updateTodo）
  *
  * このパターンにより、StateのCRUD操作が効率的に行えます。
  */
 
+import { DEFAULT_PROJECT_ID } from "./ProjectModel.js";
+import { normalizeRecurrence } from "./recurrence.js";
+
 // ユニークなIDを管理する変数（Reduxではuuidやnanoidがよく使われる）
+// 連番はタブごとに持つため、複数のタブで同時に追加して重複したIDはTabSyncが付け直す
 let todoIdx = 0;
 
+/**
+ * 期限の状態
+ */
+export const DueStatus = Object.freeze({
+    OVERDUE: "overdue",
+    DUE_TODAY: "due-today"
+});
+
+/**
+ * 優先度
+ */
+export const TodoPriority = Object.freeze({
+    HIGH: "high",
+    MEDIUM: "medium",
+    LOW: "low",
+    NONE: "none"
+});
+
+const PRIORITIES = new Set(Object.values(TodoPriority));
+
+/**
+ * 優先度を正規化する
+ * @param {string|null|undefined} priority
+ * @returns {string} TodoPriorityのいずれか。不正な値の場合はTodoPriority.NONE
+ */
+export function normalizePriority(priority) {
+    return PRIORITIES.has(priority) ? priority : TodoPriority.NONE;
+}
+
+/**
+ * 期限の文字列を正規化する
+ *
+ * 期限は`<input type="datetime-local">`の値と同じ、タイムゾーンを含まない
+ * ローカル日時の文字列（"2024-05-01T09:00"）で表します。
+ * 日付だけ（"2024-05-01"）が指定された場合は、その日の0時とみなします。
+ * `new Date("2024-05-01")`はUTCとして解釈されるため、日付だけのまま扱わないようにしています。
+ * "2026-02-30"のように存在しない日時は、Dateが別の日時に繰り上げてしまうため不正な形式として扱います。
+ *
+ * @param {string|null|undefined} dueDate
+ * @returns {string|null} 正規化した期限。期限が無い、または不正な形式の場合はnull
+ */
+export function normalizeDueDate(dueDate) {
+    if (typeof dueDate !== "string") {
+        return null;
+    }
+    const match = dueDate.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?$/);
+    if (!match) {
+        return null;
+    }
+    const [year, month, day, hours = 0, minutes = 0] = match.slice(1).map(value => value === undefined ? undefined : Number(value));
+    // 夏時間の切り替えで存在しないローカル時刻を不正と判定しないよう、暦の上での日時をUTCで確かめる
+    // （setUTCFullYear()は、0〜99年を1900年代とみなさないため）
+    const date = new Date(Date.UTC(2000, month - 1, day, hours, minutes));
+    date.setUTCFullYear(year);
+    const isValidDate = date.getUTCFullYear() === year
+        && date.getUTCMonth() === month - 1
+        && date.getUTCDate() === day
+        && date.getUTCHours() === hours
+        && date.getUTCMinutes() === minutes;
+    if (!isValidDate) {
+        return null;
+    }
+    return match[4] === undefined ? `${dueDate}T00:00` : dueDate;
+}
+
 export class TodoItemModel {
     /** @type {number} TodoアイテムのID */
     id;
@@ -35,6 +107,16 @@ export class TodoItemModel {
     title;
     /** @type {boolean} Todoアイテムが完了済みならばtrue、そうでない場合はfalse */
     completed;
+    /** @type {string|null} 期限（ローカル日時の"YYYY-MM-DDTHH:mm"）。期限が無い場合はnull */
+    dueDate;
+    /** @type {number} 所属するプロジェクト（ProjectModel）のID */
+    projectId;
+    /** @type {number|null} 親のTodoアイテムのID（サブタスクでなければnull） */
+    parentId;
+    /** @type {string} 優先度（TodoPriorityのいずれか） */
+    priority;
+    /** @type {string|null} 繰り返しのルール（recurrence.jsのRRULE形式）。繰り返さない場合はnull */
+    recurrence;
     /**
      * コンストラクタ - ReduxのAction payloadからエンティティを生成
      *
@@ -42,13 +124,51 @@ export class TodoItemModel {
      * データを基にエンティティが作成されます。
      * IDの自動採番は、ReduxではミドルウェアやReducer内で行われます。
      *
-     * @param {{ title: string, completed: boolean }} Action payloadに相当するデータ
+     * 保存済みのデータから復元する場合はidを指定します。
+     * その場合も、以降に採番されるidが復元したidと重複しないように連番を進めます。
+     *
+     * プロジェクトを指定しない場合は、最初から存在するプロジェクトに所属します。
+     * サブタスクの場合は親のTodoのIDをparentIdに指定します（親と同じプロジェクトに所属させる）。
+     *
+     * 優先度を指定しない場合は、優先度なし（TodoPriority.NONE）になります。
+     *
+     * @param {{ id?: number, title: string, completed: boolean, dueDate?: string|null, projectId?: number, parentId?: number|null, priority?: string, recurrence?: string|null }} Action payloadに相当するデータ
      */
-    constructor({ title, completed }) {
-        // idは連番となり、それぞれのインスタンス毎に異なるものとする
-        this.id = todoIdx++;
+    constructor({ id, title, completed, dueDate = null, projectId = DEFAULT_PROJECT_ID, parentId = null, priority = TodoPriority.NONE, recurrence = null }) {
+        if (typeof id === "number") {
+            this.id = id;
+            todoIdx = Math.max(todoIdx, id + 1);
+        } else {
+            // idは連番となり、それぞれのインスタンス毎に異なるものとする
+            this.id = todoIdx++;
+        }
         this.title = title;
         this.completed = completed;
+        this.dueDate = normalizeDueDate(dueDate);
+        this.projectId = projectId;
+        this.parentId = parentId;
+        this.priority = normalizePriority(priority);
+        this.recurrence = normalizeRecurrence(recurrence);
+    }
+
+    /**
+     * 次に採番されるIDを返す
+     * @returns {number}
+     */
+    static getNextId() {
+        return todoIdx;
+    }
+
+    /**
+     * IDの連番を復元する - 保存済みのStateから再開する場合に使う
+     *
+     * 削除済みのアイテムに使われていたIDも再利用しないよう、
+     * 保存時点の連番より小さい値には戻しません。
+     *
+     * @param {number} nextId 次に採番するID
+     */
+    static restoreNextId(nextId) {
+        todoIdx = Math.max(todoIdx, nextId);
     }
 
     /**
@@ -64,4 +184,52 @@ export class TodoItemModel {
     isEmptyTitle() {
         return this.title.length === 0;
     }
+
+    /**
+     * 期限のDateを返す
+     * @returns {Date|null} 期限が無い場合はnull
+     */
+    getDueTime() {
+        return this.dueDate === null ? null : new Date(this.dueDate);
+    }
+
+    /**
+     * 指定した時刻における期限の状態を返す
+     *
+     * 完了済みのTodoや期限の無いTodoは、期限の状態を持ちません。
+     *
+     * @param {Date} now 現在時刻
+     * @returns {string|null} 期限切れならDueStatus.OVERDUE、今日が期限ならDueStatus.DUE_TODAY、それ以外はnull
+     */
+    getDueStatus(now) {
+        const dueTime = this.getDueTime();
+        if (this.completed || dueTime === null) {
+            return null;
+        }
+        if (dueTime <= now) {
+            return DueStatus.OVERDUE;
+        }
+        return dueTime.toDateString() === now.toDateString() ? DueStatus.DUE_TODAY : null;
+    }
+
+    /**
+     * 保存用のプレーンなオブジェクトに変換する
+     *
+     * フィールドを追加・変更した場合は、保存済みのデータを読み込めるよう、
+     * todoSchema.jsのTODO_SCHEMA_VERSIONを上げて移行処理を追加します。
+     *
+     * @returns {{ id: number, title: string, completed: boolean, dueDate: string|null, projectId: number, parentId: number|null, priority: string, recurrence: string|null }}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            title: this.title,
+            completed: this.completed,
+            dueDate: this.dueDate,
+            projectId: this.projectId,
+            parentId: this.parentId,
+            priority: this.priority,
+            recurrence: this.recurrence
+        };
+    }
 }
@@ -1,56 +1,257 @@
 /**
- * TodoListModelクラス - ReduxのStore + Reducerを統合した状態管理
+ * TodoListModelクラス - ReduxのStoreに相当する状態管理
  *
  * このクラスは、Reduxにおける以下の要素を1つにまとめています：
  * 1. Store: アプリケーション全体の状態（State）を保持する唯一の場所
- * 2. Reducer: Actionを受け取ってStateを更新する純粋関数の役割
+ * 2. dispatch: Actionを受け取り、Middlewareを経由してReducerへ渡す
  * 3. Container Component: 状態を管理し、子コンポーネントに配布する親コンポーネント
  *
  * ReduxのStore構造:
- * - #items: アプリケーションのState（Todoリストの状態）
- * - EventEmitter継承: dispatch/subscribeメカニズムの実装
+ * - #state: アプリケーションのState（Todoリストの状態、イミュータブル）
+ * - todoReducer: Actionを受け取り新しいStateを返す純粋関数（todoReducer.js）
+ * - EventEmitter継承: subscribeメカニズムの実装
  *
- * Reducerの機能:
- * - addTodo(): ADD_TODO actionに相当
- * - updateTodo(): UPDATE_TODO actionに相当
- * - deleteTodo(): DELETE_TODO actionに相当
+ * Action Creator（dispatchまで行うメソッド）:
+ * - addTodo(): ADD_TODO actionをdispatchする
+ * - updateTodo(): UPDATE_TODO actionをdispatchする
+ * - deleteTodo(): DELETE_TODO actionをdispatchする
+ * - toggleAll(): TOGGLE_ALL actionをdispatchする（変更の通知は1回）
+ * - clearCompleted(): CLEAR_COMPLETED actionをdispatchする（変更の通知は1回）
+ * - moveTodo(): MOVE actionをdispatchする（並び順の変更）
+ * - importTodos(): 読み込んだTodoを追加するBATCH actionをdispatchする
+ * - addProject()/renameProject()/deleteProject(): プロジェクト（名前付きのTodoリスト）を操作する
+ * - moveTodoToProject(): Todoを別のプロジェクトへ移す
+ * - completeSubtasks(): サブタスクをまとめて完了にする
+ * - skipOccurrence()/stopRecurrence(): 繰り返すTodoの今回をスキップする/繰り返しをやめる
+ *
+ * プロジェクト:
+ * すべてのプロジェクトのTodoを1つのStateで管理し、各Todoは所属するプロジェクトのIDを持ちます。
+ * 件数の取得や一括操作のメソッドは、projectIdを指定するとそのプロジェクトだけを対象にします。
+ * 1つのStoreにまとめることで、プロジェクトをまたぐ操作も1回で元に戻せます。
+ *
+ * サブタスク:
+ * TodoItemModelのparentIdで親子関係を表します。
+ * 子の完了状態を変えると親の完了状態も合わせ、親子の変更を1回のBATCH Actionとしてdispatchします。
+ *
+ * 繰り返すTodo:
+ * 繰り返しのルール（TodoItemModelのrecurrence）を持つTodoを完了にすると、次の期限の新しいTodoを作り、
+ * ルールを新しいTodoへ移します。完了と次の回の作成は、1回のBATCH Actionとしてdispatchします（1回で元に戻せる）。
  *
  * データフローの実装:
  * 1. UI操作（ボタンクリックなど）
- * 2. メソッド呼び出し（addTodo等 = Action dispatch）
- * 3. State（#items）の更新（Reducer処理）
- * 4. emitChange()でイベント発火（Store通知）
- * 5. 登録されたリスナーが実行（View再レンダリング）
+ * 2. dispatch(action)（addTodo等のメソッドも内部でdispatchする）
+ * 3. Middlewareの実行（applyMiddlewareで指定したもの）
+ * 4. todoReducerによる新しいStateの生成
+ * 5. emitChange()でイベント発火（Store通知）
+ * 6. 登録されたリスナーが実行（View再レンダリング）
  *
  * このパターンにより、Reduxの単方向データフローが実現されています。
+ *
+ * 永続化（redux-persistに相当）:
+ * - load(): StorageAdapterから保存済みのStateを読み込む（REHYDRATE）
+ *   古いバージョンで保存したデータは、todoSchema.jsの移行処理で現在のバージョンに変換する
+ * - emitChange(): 変更の通知と同時にStorageAdapterへStateを保存する
+ *
+ * 元に戻す/やり直す（redux-undoに相当）:
+ * - Stateを変更したActionは、取り消すためのActionと組にしてHistoryに記録される
+ * - undo()/redo(): 記録した操作を取り消す/やり直す
+ * - canUndo()/canRedo(): 取り消し/やり直しができるかどうか
  */
 
 import { EventEmitter } from "../EventEmitter.js";
+import { parseTodos, stringifyTodos } from "../io/todoFormats.js";
+import { History } from "./History.js";
+import {
+    HistoryActionType,
+    addProjectAction,
+    addTodoAction,
+    batchAction,
+    clearCompletedAction,
+    deleteProjectAction,
+    deleteTodoAction,
+    moveTodoAction,
+    redoAction,
+    renameProjectAction,
+    toggleAllAction,
+    undoAction,
+    updateTodoAction
+} from "./todoActions.js";
+import { createTodoState, invertTodoAction, todoReducer } from "./todoReducer.js";
+import {
+    getDescendantIds,
+    selectActiveCount,
+    selectAllItems,
+    selectCompletedCount,
+    selectCompletionPercentage,
+    selectFilteredItems,
+    selectLeafItems,
+    selectProject,
+    selectProjects,
+    selectTotalCount
+} from "./todoSelectors.js";
+import { ProjectModel } from "./ProjectModel.js";
+import { TodoItemModel } from "./TodoItemModel.js";
+import { TODO_SCHEMA_VERSION, migrateTodoData, validateTodoData } from "./todoSchema.js";
+import { getNextDueDate } from "./recurrence.js";
+import { systemClock } from "../reminder/ReminderScheduler.js";
+
+/**
+ * 2つのStateを比較し、追加・更新・削除されたTodoのIDと、並び順やプロジェクトが変わったかどうかを求める
+ *
+ * Stateはイミュータブルなため、同じIDでもインスタンスが異なれば更新されたとみなします。
+ *
+ * @param {{ projects: ProjectModel[], items: TodoItemModel[] }} prevState 変更前のState
+ * @param {{ projects: ProjectModel[], items: TodoItemModel[] }} nextState 変更後のState
+ * @returns {{ added: number[], updated: number[], removed: number[], reordered: boolean, projectsChanged: boolean }}
+ */
+function diffTodoState(prevState, nextState) {
+    const prevItemById = new Map(prevState.items.map(todoItem => [todoItem.id, todoItem]));
+    const nextIds = new Set(nextState.items.map(todoItem => todoItem.id));
+    const added = [];
+    const updated = [];
+    nextState.items.forEach(todoItem => {
+        if (!prevItemById.has(todoItem.id)) {
+            added.push(todoItem.id);
+        } else if (prevItemById.get(todoItem.id) !== todoItem) {
+            updated.push(todoItem.id);
+        }
+    });
+    const removed = prevState.items
+        .filter(todoItem => !nextIds.has(todoItem.id))
+        .map(todoItem => todoItem.id);
+    // 変更前後の両方に存在するTodoの並び順を比較する
+    const keptPrevIds = prevState.items.map(todoItem => todoItem.id).filter(id => nextIds.has(id));
+    const keptNextIds = nextState.items.map(todoItem => todoItem.id).filter(id => prevItemById.has(id));
+    const reordered = keptPrevIds.some((id, index) => id !== keptNextIds[index]);
+    const projectsChanged = prevState.projects !== nextState.projects;
+    return { added, updated, removed, reordered, projectsChanged };
+}
 
 export class TodoListModel extends EventEmitter {
-    #items;
+    #state;
+    /** @type {import("../storage/StorageAdapter.js").StorageAdapter|null} */
+    #storage;
+    /** @type {import("../storage/StorageAdapter.js").StorageAdapter|null} */
+    #backupStorage;
+    // 保存処理を直列に実行するためのPromise（書き込み順序の逆転を防ぐ）
+    #pendingSave = Promise.resolve();
+    #history;
+    // Middlewareを適用したdispatch（Middlewareが無い場合は#baseDispatch）
+    #dispatch;
+    // 繰り返すTodoの次の期限を求めるときの現在時刻の実装
+    #clock;
     /**
      * @param {TodoItemModel[]} [items] 初期アイテム一覧（デフォルトは空の配列）
+     * @param {{ storage?: import("../storage/StorageAdapter.js").StorageAdapter, backupStorage?: import("../storage/StorageAdapter.js").StorageAdapter, historyLimit?: number, enhancer?: Function, clock?: { now: function(): number } }} [options]
+     *   storage: Stateの保存先（省略した場合は永続化しない）
+     *   backupStorage: 読み込めなかった、または修復した保存済みのデータを、元のまま退避する保存先
+     *   historyLimit: 元に戻せる操作の最大数
+     *   enhancer: applyMiddleware()の戻り値（ReduxのcreateStoreの第3引数に相当）
+     *   clock: 現在時刻の実装（省略した場合はsystemClock）
      */
-    constructor(items = []) {
+    constructor(items = [], { storage = null, backupStorage = null, historyLimit = 100, enhancer = null, clock = systemClock } = {}) {
         super();
-        this.#items = items;
+        this.#clock = clock;
+        this.#state = createTodoState(items);
+        this.#storage = storage;
+        this.#backupStorage = backupStorage;
+        this.#history = new History({ limit: historyLimit });
+        this.#dispatch = enhancer
+            ? enhancer({ getState: () => this.getState(), dispatch: (action) => this.dispatch(action) }, this.#baseDispatch)
+            : this.#baseDispatch;
+    }
+
+    /**
+     * 現在のStateを返す - ReduxのStore.getState()に相当
+     * 返すStateは凍結されているため、変更する場合はActionをdispatchする
+     * @returns {{ projects: ProjectModel[], items: TodoItemModel[] }}
+     */
+    getState() {
+        return this.#state;
+    }
+
+    /**
+     * プロジェクトの一覧を返す
+     * @returns {ProjectModel[]}
+     */
+    getProjects() {
+        return selectProjects(this.#state);
+    }
+
+    /**
+     * IDに一致するプロジェクトを返す
+     * @param {number} projectId
+     * @returns {ProjectModel|undefined}
+     */
+    getProject(projectId) {
+        return selectProject(this.#state, projectId);
     }
 
     /**
      * TodoItemの合計個数を返す
+     * @param {number|null} [projectId] 対象のプロジェクトのID（nullの場合はすべてのプロジェクト）
      * @returns {number}
      */
-    getTotalCount() {
-        return this.#items.length;
+    getTotalCount(projectId = null) {
+        return selectTotalCount(this.#state, projectId);
+    }
+
+    /**
+     * 子を持たない（末端の）TodoItemの個数を返す
+     *
+     * getTotalCount()と異なり、サブタスクを持つTodoは数えません。
+     *
+     * @param {number|null} [projectId]
+     * @returns {number}
+     */
+    getLeafCount(projectId = null) {
+        return selectLeafItems(this.#state, projectId).length;
     }
 
     /**
      * 表示できるTodoItemの配列を返す
+     * @param {number|null} [projectId]
+     * @returns {TodoItemModel[]}
+     */
+    getTodoItems(projectId = null) {
+        return selectAllItems(this.#state, projectId);
+    }
+
+    /**
+     * 表示フィルターに一致するTodoItemの配列を返す
+     * @param {string} filter TodoFilterのいずれか
+     * @param {number|null} [projectId]
      * @returns {TodoItemModel[]}
      */
-    getTodoItems() {
-        return this.#items;
+    getFilteredItems(filter, projectId = null) {
+        return selectFilteredItems(this.#state, filter, projectId);
+    }
+
+    /**
+     * 未完了のTodoItemの個数を返す
+     * @param {number|null} [projectId]
+     * @returns {number}
+     */
+    getActiveCount(projectId = null) {
+        return selectActiveCount(this.#state, projectId);
+    }
+
+    /**
+     * 完了済みのTodoItemの個数を返す
+     * @param {number|null} [projectId]
+     * @returns {number}
+     */
+    getCompletedCount(projectId = null) {
+        return selectCompletedCount(this.#state, projectId);
+    }
+
+    /**
+     * 完了済みのTodoItemの割合を0〜100の整数で返す（Todoが無い場合は0）
+     * @param {number|null} [projectId]
+     * @returns {number}
+     */
+    getCompletionPercentage(projectId = null) {
+        return selectCompletionPercentage(this.#state, projectId);
     }
 
     /**
@@ -60,10 +261,15 @@ export class TodoListModel extends EventEmitter {
      * 変更時に再レンダリングを行うためのメカニズム。
      * React-Reduxのconnect関数の内部でも同様の処理が行われています。
      *
-     * @param {Function} listener State変更時に実行される関数
+     * リスナーは、どのTodoが追加・更新・削除されたかを表す
+     * 変更内容（{ added, updated, removed }はそれぞれIDの配列、reorderedは並び順が変わったかどうか、
+     * projectsChangedはプロジェクトの一覧が変わったかどうか）を引数に受け取ります。
+     *
+     * @param {function({ added: number[], updated: number[], removed: number[], reordered: boolean, projectsChanged: boolean }): void} listener State変更時に実行される関数
+     * @returns {function(): void} リスナーを解除する関数
      */
     onChange(listener) {
-        this.addEventListener("change", listener);
+        return this.addEventListener("change", listener);
     }
 
     /**
@@ -74,68 +280,589 @@ export class TodoListModel extends EventEmitter {
         this.removeEventListener("change", listener);
     }
 
+    /**
+     * State変更リスナーの登録 - ReduxのStore.subscribe()と同じ形式
+     *
+     * onChange()と同じくchangeイベントを購読し、
+     * 購読を解除する関数を返します。
+     * Reduxの仕様に合わせ、リスナーには引数を渡しません。
+     *
+     * @param {Function} listener State変更時に実行される関数
+     * @returns {function(): void} 購読を解除する関数
+     */
+    subscribe(listener) {
+        return this.onChange(() => listener());
+    }
+
     /**
      * State変更の通知 - ReduxのStore変更通知に相当
      *
      * ReducerでStateが更新された後、すべてのサブスクライバーに
      * 変更を通知します。これによりViewの再レンダリングがトリガーされ、
      * UIが最新のStateを反映した状態に更新されます。
+     *
+     * @param {{ added: number[], updated: number[], removed: number[], reordered: boolean, projectsChanged: boolean }} [changes] 変更内容
+     */
+    emitChange(changes = { added: [], updated: [], removed: [], reordered: false, projectsChanged: false }) {
+        this.emit("change", changes);
+        this.#save();
+    }
+
+    /**
+     * Actionのdispatch - ReduxのStore.dispatch()に相当
+     *
+     * Middlewareが指定されている場合は、Middlewareを順に経由してから
+     * Reducerへ渡されます。thunkMiddlewareを使う場合は関数もdispatchできます。
+     *
+     * @param {{ type: string, payload?: object }|Function} action
+     * @returns {any} Middlewareの戻り値（Middlewareが無い場合はaction）
+     */
+    dispatch(action) {
+        return this.#dispatch(action);
+    }
+
+    /**
+     * Middlewareを経由した後に呼ばれる本来のdispatch
+     *
+     * Reducerで新しいStateを求め、Stateが変わった場合だけ
+     * 操作履歴への記録と変更の通知を行います。
+     * UNDO/REDO Actionは、履歴に記録したActionをReducerへ渡して処理します。
+     *
+     * @param {{ type: string, payload?: object }} action
+     * @returns {{ type: string, payload?: object }}
+     */
+    #baseDispatch = (action) => {
+        if (typeof action !== "object" || action === null || typeof action.type !== "string") {
+            throw new TypeError("Actionはtypeプロパティを持つプレーンなオブジェクトである必要があります");
+        }
+        switch (action.type) {
+            case HistoryActionType.UNDO: {
+                const entry = this.#history.undo();
+                if (entry) {
+                    this.#setState(todoReducer(this.#state, entry.undo));
+                }
+                break;
+            }
+            case HistoryActionType.REDO: {
+                const entry = this.#history.redo();
+                if (entry) {
+                    this.#setState(todoReducer(this.#state, entry.redo));
+                }
+                break;
+            }
+            default: {
+                const prevState = this.#state;
+                const nextState = todoReducer(prevState, action);
+                if (nextState === prevState) {
+                    break;
+                }
+                const inverseAction = invertTodoAction(prevState, action);
+                if (inverseAction) {
+                    this.#history.push({ type: action.type, undo: inverseAction, redo: action });
+                }
+                this.#setState(nextState);
+            }
+        }
+        return action;
+    };
+
+    /**
+     * Stateを置き換え、変更があれば通知する
+     * @param {{ projects: ProjectModel[], items: TodoItemModel[] }} nextState
+     */
+    #setState(nextState) {
+        if (nextState === this.#state) {
+            return;
+        }
+        const prevState = this.#state;
+        this.#state = nextState;
+        this.emitChange(diffTodoState(prevState, nextState));
+    }
+
+    /**
+     * 保存用のプレーンなオブジェクトに変換する
+     * @returns {{ version: number, nextId: number, nextProjectId: number, projects: object[], items: object[] }}
+     */
+    toJSON() {
+        return {
+            version: TODO_SCHEMA_VERSION,
+            nextId: TodoItemModel.getNextId(),
+            nextProjectId: ProjectModel.getNextId(),
+            projects: this.#state.projects.map(project => project.toJSON()),
+            items: this.#state.items.map(todoItem => todoItem.toJSON())
+        };
+    }
+
+    /**
+     * 保存済みのStateの読み込み - redux-persistのREHYDRATEに相当
+     *
+     * StorageAdapterから読み込んだデータでStateを置き換え、
+     * IDの連番を復元してから変更を通知します。
+     * 読み込んだ内容をそのまま保存し直す必要はないため、
+     * emitChange()ではなくchangeイベントだけを発行します。
+     *
+     * 古いバージョンで保存したデータは現在のバージョンへ移行し、不正なレコードは修復してから読み込みます。
+     * 修復した場合は、元のデータをbackupStorageへ退避します。
+     * 移行できなかった場合は、元のデータを退避してから例外を投げます（Stateは変更しません）。
+     * StorageAdapterから読み込めなかった場合（JSONとして壊れている場合など）も、保存されている形のまま退避してから例外を投げます。
+     * 退避できなかった場合は、元のデータを上書きしないよう、以降の保存を行いません。
+     *
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const prevState = this.#state;
+        let savedData = null;
+        if (this.#storage) {
+            try {
+                savedData = await this.#storage.load();
+            } catch (error) {
+                await this.#backupUnreadableData(error);
+                throw new Error("保存済みのTodoリストを読み込めませんでした", { cause: error });
+            }
+        }
+        if (savedData) {
+            let data;
+            try {
+                const result = validateTodoData(migrateTodoData(savedData));
+                data = result.data;
+                if (result.problems.length > 0) {
+                    console.warn("保存済みのTodoリストの一部を修復しました", result.problems);
+                    await this.#backup(savedData, result.problems);
+                }
+            } catch (error) {
+                await this.#backup(savedData, [error.message]);
+                throw new Error("保存済みのTodoリストを読み込めませんでした", { cause: error });
+            }
+            TodoItemModel.restoreNextId(data.nextId);
+            ProjectModel.restoreNextId(data.nextProjectId);
+            this.#state = createTodoState(
+                data.items.map(item => new TodoItemModel(item)),
+                data.projects.map(project => new ProjectModel(project))
+            );
+        }
+        // 読み込み前のStateに対する操作は取り消せないようにする
+        this.#history.clear();
+        this.emit("change", diffTodoState(prevState, this.#state));
+    }
+
+    /**
+     * 読み込めなかった、または修復した保存済みのデータを、元のままbackupStorageへ退避する
+     *
+     * 以前に退避したデータも失わないよう、backupStorageには退避したデータを順に追加していきます。
+     * 退避できなかった場合は、元のデータがStorageAdapterに残るよう、以降の保存を止めます。
+     *
+     * @param {*} savedData StorageAdapterから読み込んだデータ（読み込めなかった場合は保存されている形のままのデータ）
+     * @param {string[]} problems 退避する理由
+     * @returns {Promise<void>}
      */
-    emitChange() {
-        this.emit("change");
+    async #backup(savedData, problems) {
+        try {
+            if (!this.#backupStorage) {
+                throw new Error("backupStorageが指定されていません");
+            }
+            const backups = (await this.#backupStorage.load())?.backups ?? [];
+            await this.#backupStorage.save({
+                backups: [...backups, { backedUpAt: new Date().toISOString(), problems, data: savedData }]
+            });
+        } catch (error) {
+            console.error("保存済みのTodoリストを退避できなかったため、以降の変更は保存しません", error);
+            this.#storage = null;
+        }
     }
 
     /**
-     * Todo追加処理 - ReduxのADD_TODO Action処理に相当
+     * StorageAdapterから読み込めなかったデータを、保存されている形のまま退避する
+     *
+     * 保存されている形のままでも取り出せなかった場合は、元のデータを上書きしないよう、以降の保存を止めます。
      *
-     * Reducerのcase 'ADD_TODO':に相当する処理。
-     * 新しいTodoをStateに追加し、変更を通知します。
-     * Reduxと同様に、Stateの不変性を保つために
-     * 新しい配列を作成することが推奨されます。
+     * @param {Error} error 読み込めなかった理由
+     * @returns {Promise<void>}
+     */
+    async #backupUnreadableData(error) {
+        let rawData;
+        try {
+            rawData = await this.#storage.loadRaw();
+        } catch (rawError) {
+            console.error("保存済みのTodoリストを取り出せなかったため、以降の変更は保存しません", rawError);
+            this.#storage = null;
+            return;
+        }
+        await this.#backup(rawData, [error.message]);
+    }
+
+    /**
+     * 現在のStateをStorageAdapterへ保存する
+     * 保存に失敗してもアプリケーションの動作は継続させる
+     */
+    #save() {
+        if (!this.#storage) {
+            return;
+        }
+        const storage = this.#storage;
+        const data = this.toJSON();
+        this.#pendingSave = this.#pendingSave
+            .then(() => storage.save(data))
+            .catch(error => {
+                console.error("Todoリストの保存に失敗しました", error);
+            });
+    }
+
+    /**
+     * Todo追加処理 - ADD_TODO ActionのAction Creator
+     *
+     * 新しいTodoを末尾に追加するActionをdispatchします。
+     * タイトルが空のTodoはReducerで無視されます。
+     * 完了済みの親に未完了のサブタスクを追加した場合は、親も未完了に戻します。
      *
      * @param {TodoItemModel} todoItem 追加するTodoアイテム
      */
     addTodo(todoItem) {
-        // タイトルが空のものは追加しない
-        if (todoItem.isEmptyTitle()) {
+        const action = addTodoAction(todoItem);
+        const nextState = todoReducer(this.#state, action);
+        const actions = nextState === this.#state
+            ? []
+            : this.#createAncestorCompletionActions(nextState, todoItem.parentId, todoItem.completed);
+        this.dispatch(actions.length === 0 ? action : batchAction([action, ...actions]));
+    }
+
+    /**
+     * Todo更新処理 - UPDATE_TODO ActionのAction Creator
+     *
+     * idで指定したTodoに対して、指定したプロパティだけを更新する
+     * Actionをdispatchします（部分的な変更）。
+     * 変更後のタイトルが空になる場合は、そのTodoを削除します。
+     *
+     * 完了状態を変更した場合は、親の完了状態も合わせます。
+     * - 最後の未完了のサブタスクを完了にすると、親も完了にする
+     * - サブタスクを未完了に戻すと、完了済みの親も未完了に戻す
+     * これらは祖先までたどって適用し、1回のBATCH Actionとしてdispatchします。
+     *
+     * 繰り返すTodoを完了にした場合は、その直後に次の回のTodoを追加し、繰り返しのルールを移します。
+     * 次の回のTodoは未完了のため、サブタスクの場合は親を完了にしません。
+     *
+     * @param {{ id:number, title?: string, completed?: boolean }} Action payloadに相当するオブジェクト
+     */
+    updateTodo({ id, ...changes }) {
+        const todoItem = this.#state.items.find(todo => todo.id === id);
+        if (todoItem && new TodoItemModel({ ...todoItem.toJSON(), ...changes }).isEmptyTitle()) {
+            this.deleteTodo({ id });
+            return;
+        }
+        const action = updateTodoAction({ id, ...changes });
+        if (!todoItem || typeof changes.completed !== "boolean" || changes.completed === todoItem.completed) {
+            this.dispatch(action);
+            return;
+        }
+        const completionActions = changes.completed
+            ? [action, ...this.#createNextOccurrenceActions(todoReducer(this.#state, action), [todoItem])]
+            : [action];
+        const nextState = completionActions.reduce(todoReducer, this.#state);
+        const actions = [...completionActions, ...this.#createAncestorCompletionActions(nextState, todoItem.parentId, changes.completed)];
+        this.dispatch(actions.length === 1 ? action : batchAction(actions));
+    }
+
+    /**
+     * 完了にした繰り返すTodoから、次の回のTodoへ繰り返しを引き継ぐActionを生成する
+     *
+     * Todoを完了にするどの操作（updateTodo()、toggleAll()、completeSubtasks()、親の自動完了）でも、
+     * 完了にするActionの後にこれらのActionを続け、1回のBATCH Actionとしてdispatchします。
+     * 完了にしたTodoから繰り返しのルールを外し、その直後に未完了の次の回を追加します。
+     * 次の回がサブタスクの場合は、完了済みの祖先も未完了に戻します。
+     *
+     * @param {{ projects: ProjectModel[], items: TodoItemModel[] }} state Todoを完了にした後のState
+     * @param {TodoItemModel[]} todoItems 完了にしたTodo（完了にする前の値。繰り返さないTodoは無視する）
+     * @returns {Array<{ type: string, payload: object }>}
+     */
+    #createNextOccurrenceActions(state, todoItems) {
+        const actions = [];
+        let currentState = state;
+        const append = (action) => {
+            actions.push(action);
+            currentState = todoReducer(currentState, action);
+        };
+        todoItems.filter(todoItem => todoItem.recurrence !== null).forEach(todoItem => {
+            append(updateTodoAction({ id: todoItem.id, recurrence: null }));
+            append(this.#createNextOccurrenceAction(currentState, todoItem));
+            this.#createAncestorCompletionActions(currentState, todoItem.parentId, false).forEach(append);
+        });
+        return actions;
+    }
+
+    /**
+     * 繰り返すTodoの次の回を、そのTodoの直後に追加するActionを生成する
+     *
+     * タイトルや優先度、所属するプロジェクトと親は引き継ぎ、サブタスクは引き継ぎません。
+     *
+     * @param {{ projects: ProjectModel[], items: TodoItemModel[] }} state 次の回を追加する直前のState
+     * @param {TodoItemModel} todoItem 完了にする繰り返すTodo
+     * @returns {{ type: string, payload: object }}
+     */
+    #createNextOccurrenceAction(state, todoItem) {
+        const nextTodoItem = new TodoItemModel({
+            ...todoItem.toJSON(),
+            id: undefined,
+            completed: false,
+            dueDate: getNextDueDate(todoItem.recurrence, todoItem.dueDate, new Date(this.#clock.now()))
+        });
+        return addTodoAction(nextTodoItem, state.items.findIndex(todo => todo.id === todoItem.id) + 1);
+    }
+
+    /**
+     * 繰り返すTodoの今回をスキップする
+     *
+     * 完了にせず、期限を次の回へ進めます。繰り返さないTodoの場合は何もしません。
+     *
+     * @param {{ id: number }} payload
+     */
+    skipOccurrence({ id }) {
+        const todoItem = this.#state.items.find(todo => todo.id === id);
+        if (!todoItem || todoItem.recurrence === null) {
             return;
         }
-        this.#items.push(todoItem);
-        this.emitChange();
+        this.dispatch(updateTodoAction({
+            id,
+            dueDate: getNextDueDate(todoItem.recurrence, todoItem.dueDate, new Date(this.#clock.now()))
+        }));
+    }
+
+    /**
+     * 繰り返しをやめる（Todoそのものは残す）
+     * @param {{ id: number }} payload
+     */
+    stopRecurrence({ id }) {
+        this.dispatch(updateTodoAction({ id, recurrence: null }));
+    }
+
+    /**
+     * サブタスクの完了状態の変更に合わせて、祖先の完了状態を変えるActionを生成する
+     * @param {{ projects: ProjectModel[], items: TodoItemModel[] }} state サブタスクを変更（追加）した後のState
+     * @param {number|null} parentId サブタスクの親のID
+     * @param {boolean} completed サブタスクの変更後の完了状態
+     * @returns {Array<{ type: string, payload: object }>}
+     */
+    #createAncestorCompletionActions(state, parentId, completed) {
+        const actions = [];
+        let currentState = state;
+        let parent = currentState.items.find(todo => todo.id === parentId);
+        while (parent && parent.completed !== completed) {
+            // 完了にする場合は、兄弟がすべて完了しているときだけ親を完了にする
+            const siblings = currentState.items.filter(todo => todo.parentId === parent.id);
+            if (completed && !siblings.every(todo => todo.completed)) {
+                break;
+            }
+            const action = updateTodoAction({ id: parent.id, completed });
+            actions.push(action);
+            currentState = todoReducer(currentState, action);
+            if (completed) {
+                // 繰り返す親は次の回（未完了）が兄弟に加わるため、それより上の祖先は完了にならない
+                const recurrenceActions = this.#createNextOccurrenceActions(currentState, [parent]);
+                actions.push(...recurrenceActions);
+                currentState = recurrenceActions.reduce(todoReducer, currentState);
+            }
+            const grandparentId = parent.parentId;
+            parent = currentState.items.find(todo => todo.id === grandparentId);
+        }
+        return actions;
     }
 
     /**
-     * Todo更新処理 - ReduxのUPDATE_TODO Action処理に相当
+     * サブタスクをまとめて完了にする
      *
-     * Reducerのcase 'UPDATE_TODO':に相当する処理。
-     * Action payloadに含まれるidとcompletedの情報を基に
-     * State内の該当するTodoを更新します。
+     * 子孫のうち未完了のものを完了にし、1回のBATCH Actionとしてdispatchします。
+     * 繰り返すサブタスクは、updateTodo()と同じく次の回を追加します。
      *
-     * @param {{ id:number, completed: boolean }} Action payloadに相当するオブジェクト
+     * @param {{ id: number }} payload 親のTodoのID
      */
-    updateTodo({ id, completed }) {
-        const todoItem = this.#items.find(todo => todo.id === id);
-        if (!todoItem) {
+    completeSubtasks({ id }) {
+        const descendantIds = new Set(getDescendantIds(this.#state.items, id));
+        const todoItems = this.#state.items.filter(todo => descendantIds.has(todo.id) && !todo.completed);
+        if (todoItems.length === 0) {
             return;
         }
-        todoItem.completed = completed;
-        this.emitChange();
+        const actions = todoItems.map(todo => updateTodoAction({ id: todo.id, completed: true }));
+        const nextState = actions.reduce(todoReducer, this.#state);
+        this.dispatch(batchAction([...actions, ...this.#createNextOccurrenceActions(nextState, todoItems)]));
     }
 
     /**
-     * Todo削除処理 - ReduxのDELETE_TODO Action処理に相当
+     * Todo削除処理 - DELETE_TODO ActionのAction Creator
      *
-     * Reducerのcase 'DELETE_TODO':に相当する処理。
-     * filterメソッドを使って新しい配列を作成することで
-     * Stateの不変性を保ちながら要素を削除します。
+     * サブタスクを持つTodoを削除すると、その子孫もまとめて削除します。
      *
      * @param {{ id: number }} Action payloadに相当する削除対象ID
      */
     deleteTodo({ id }) {
-        // `id`に一致しないTodoItemだけを残すことで、`id`に一致するTodoItemを削除する
-        this.#items = this.#items.filter(todo => {
-            return todo.id !== id;
+        this.dispatch(deleteTodoAction({ id }));
+    }
+
+    /**
+     * 一括完了処理 - TOGGLE_ALL ActionのAction Creator
+     *
+     * すべてのTodoの完了状態をまとめて変更します。
+     * updateTodo()を繰り返す場合と異なり、変更の通知は1回だけです。
+     * 繰り返すTodoを完了にした場合は、updateTodo()と同じく次の回を追加し、1回のBATCH Actionとしてdispatchします。
+     *
+     * @param {boolean} completed すべてのTodoに設定する完了状態
+     * @param {number|null} [projectId] 対象のプロジェクトのID（nullの場合はすべてのプロジェクト）
+     */
+    toggleAll(completed, projectId = null) {
+        const action = toggleAllAction({ completed, projectId });
+        const nextState = todoReducer(this.#state, action);
+        // TOGGLE_ALLは並び順を変えないため、同じ位置の要素が置き換わったTodoが完了状態を変えたもの
+        const toggledItems = this.#state.items.filter((todo, index) => nextState.items[index] !== todo);
+        const recurrenceActions = completed ? this.#createNextOccurrenceActions(nextState, toggledItems) : [];
+        this.dispatch(recurrenceActions.length === 0 ? action : batchAction([action, ...recurrenceActions]));
+    }
+
+    /**
+     * 完了済みTodoの一括削除処理 - CLEAR_COMPLETED ActionのAction Creator
+     *
+     * deleteTodo()を繰り返す場合と異なり、変更の通知は1回だけです。
+     *
+     * @param {number|null} [projectId] 対象のプロジェクトのID（nullの場合はすべてのプロジェクト）
+     */
+    clearCompleted(projectId = null) {
+        this.dispatch(clearCompletedAction({ projectId }));
+    }
+
+    /**
+     * Todo並び替え処理 - MOVE ActionのAction Creator
+     *
+     * @param {{ id: number, toIndex: number }} Action payloadに相当するオブジェクト
+     *   toIndex: 移動後の位置（表示フィルターに関係なく、リスト全体でのインデックス）
+     */
+    moveTodo({ id, toIndex }) {
+        this.dispatch(moveTodoAction({ id, toIndex }));
+    }
+
+    /**
+     * Todoを別のプロジェクトへ移す
+     *
+     * 移したTodoは、移動先のプロジェクトの末尾に並びます。
+     * サブタスクも一緒に移し、移したTodoは移動先では最上位のTodoになります。
+     * 所属の変更と並び替えを1回のBATCH Actionとしてdispatchするため、まとめて元に戻せます。
+     *
+     * @param {{ id: number, projectId: number }} payload projectId: 移動先のプロジェクトのID
+     */
+    moveTodoToProject({ id, projectId }) {
+        const todoItem = this.#state.items.find(todo => todo.id === id);
+        if (!todoItem || todoItem.projectId === projectId || !this.getProject(projectId)) {
+            return;
+        }
+        const descendantIds = new Set(getDescendantIds(this.#state.items, id));
+        // 元の並び順を保ったまま、順に末尾へ移す
+        const movedItems = this.#state.items.filter(todo => todo.id === id || descendantIds.has(todo.id));
+        const lastIndex = this.#state.items.length - 1;
+        this.dispatch(batchAction([
+            updateTodoAction({ id, projectId, parentId: null }),
+            ...[...descendantIds].map(descendantId => updateTodoAction({ id: descendantId, projectId })),
+            ...movedItems.map(todo => moveTodoAction({ id: todo.id, toIndex: lastIndex }))
+        ]));
+    }
+
+    /**
+     * プロジェクト追加処理 - ADD_PROJECT ActionのAction Creator
+     *
+     * 名前が空のプロジェクトはReducerで無視されます。
+     *
+     * @param {ProjectModel} project 追加するプロジェクト
+     */
+    addProject(project) {
+        this.dispatch(addProjectAction(project));
+    }
+
+    /**
+     * プロジェクトの名前の変更処理 - RENAME_PROJECT ActionのAction Creator
+     *
+     * 変更後の名前が空の場合はReducerで無視されます。
+     *
+     * @param {{ id: number, name: string }} payload
+     */
+    renameProject({ id, name }) {
+        this.dispatch(renameProjectAction({ id, name }));
+    }
+
+    /**
+     * プロジェクト削除処理 - DELETE_PROJECT ActionのAction Creator
+     *
+     * 所属するTodoもまとめて削除します。
+     * 最後に残ったプロジェクトはReducerで削除されずに残ります。
+     *
+     * @param {{ id: number }} payload
+     */
+    deleteProject({ id }) {
+        this.dispatch(deleteProjectAction({ id }));
+    }
+
+    /**
+     * Todoリストを指定した形式の文字列に変換する
+     * @param {string} format TodoFormatのいずれか（"json"、"csv"、"markdown"）
+     * @param {number|null} [projectId] 対象のプロジェクトのID（nullの場合はすべてのプロジェクト）
+     * @returns {string}
+     */
+    exportTodos(format, projectId = null) {
+        return stringifyTodos(selectAllItems(this.#state, projectId), format);
+    }
+
+    /**
+     * 指定した形式の文字列からTodoを読み込む
+     *
+     * 入力に1つでも不正な行があれば何も変更せず、エラーの一覧を返します。
+     * 読み込んだTodoには新しいIDを採番します。
+     * 1回のBATCH Actionとしてdispatchするため、変更の通知は1回で、まとめて元に戻せます。
+     *
+     * @param {string} text 読み込む文字列
+     * @param {{ format: string, mode?: "merge"|"replace", projectId?: number|null }} options
+     *   format: TodoFormatのいずれか
+     *   mode: "merge"なら既存のTodoの後ろに追加し、"replace"なら既存のTodoを置き換える
+     *   projectId: 読み込んだTodoを追加するプロジェクトのID。"replace"の場合はこのプロジェクトのTodoだけを置き換える
+     *     （nullの場合はすべてのTodoを置き換え、先頭のプロジェクトへ追加する）
+     * @returns {{ importedCount: number, errors: Array<{ line: number, code: string, params: object }> }}
+     */
+    importTodos(text, { format, mode = "merge", projectId = null }) {
+        const { items, errors } = parseTodos(text, format);
+        if (errors.length > 0) {
+            return { importedCount: 0, errors };
+        }
+        const deleteActions = mode === "replace"
+            ? selectAllItems(this.#state, projectId).map(todoItem => deleteTodoAction({ id: todoItem.id }))
+            : [];
+        const targetProjectId = projectId ?? this.#state.projects[0].id;
+        const addActions = items.map(({ title, completed, dueDate }) => {
+            return addTodoAction(new TodoItemModel({ title, completed, dueDate, projectId: targetProjectId }));
         });
-        this.emitChange();
+        this.dispatch(batchAction([...deleteActions, ...addActions]));
+        // Reducerが追加しなかったTodoは数えない
+        const addedIds = new Set(addActions.map(action => action.payload.todoItem.id));
+        const importedCount = this.#state.items.filter(todoItem => addedIds.has(todoItem.id)).length;
+        return { importedCount, errors: [] };
+    }
+
+    /**
+     * 直前の操作を取り消す - redux-undoのUNDO Actionに相当
+     */
+    undo() {
+        this.dispatch(undoAction());
+    }
+
+    /**
+     * 取り消した操作をやり直す - redux-undoのREDO Actionに相当
+     */
+    redo() {
+        this.dispatch(redoAction());
+    }
+
+    /**
+     * @returns {boolean} 元に戻せる操作があるならtrue
+     */
+    canUndo() {
+        return this.#history.canUndo();
+    }
+
+    /**
+     * @returns {boolean} やり直せる操作があるならtrue
+     */
+    canRedo() {
+        return this.#history.canRedo();
     }
 }
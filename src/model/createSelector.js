@@ -0,0 +1,59 @@
+/**
+ * createSelector - メモ化したSelectorを作る（reselectのcreateSelectorに相当）
+ *
+ * Selectorは呼ばれるたびにStateから値を計算し直すため、フィルターした配列などは
+ * 呼ぶたびに新しい配列になり、件数の計算なども毎回やり直しになります。
+ * createSelector()で作ったSelectorは、計算結果を次の2段階でキャッシュします。
+ *
+ * 1. Stateごとのキャッシュ: 同じState（同じインスタンス）と同じ引数なら、前回の結果をそのまま返す
+ *    Stateはイミュータブルなため、インスタンスが同じなら結果も変わりません。
+ *    キャッシュはWeakMapで持つため、使われなくなったStateと一緒に破棄されます。
+ * 2. 入力ごとのキャッシュ: Stateが変わっても、入力Selectorの結果がすべて前回と同じなら、
+ *    結果を計算する関数を呼ばずに前回の結果を返す
+ *    例えばTodoだけが変わった場合、プロジェクトの一覧から求める値は計算し直しません。
+ *
+ * 使用例:
+ * ```js
+ * const selectActiveCount = createSelector(
+ *     (state, projectId = null) => selectAllItems(state, projectId),
+ *     (todoItems) => todoItems.filter(todoItem => !todoItem.completed).length
+ * );
+ * selectActiveCount(state, 1);
+ * ```
+ *
+ * State以外の引数（プロジェクトのIDや表示フィルターなど）は、JSONに変換できるプリミティブな値にします。
+ * 引数ごとにキャッシュを分けるためのキーとして使うためです。
+ */
+
+/**
+ * メモ化したSelectorを作る
+ * @param {...Function} functions 入力Selector（(state, ...args) => 値）を0個以上と、
+ *   最後に入力Selectorの結果を受け取って結果を計算する関数
+ * @returns {function(object, ...any): any} (state, ...args) => 結果
+ */
+export function createSelector(...functions) {
+    const resultFunc = functions[functions.length - 1];
+    const inputSelectors = functions.slice(0, -1);
+    // Stateごとに、引数のキーと結果の対応を持つ
+    const resultsByState = new WeakMap();
+    // 引数のキーごとに、最後に計算したときの入力と結果を持つ
+    const lastComputations = new Map();
+    return (state, ...args) => {
+        if (!resultsByState.has(state)) {
+            resultsByState.set(state, new Map());
+        }
+        const results = resultsByState.get(state);
+        const key = JSON.stringify(args);
+        if (results.has(key)) {
+            return results.get(key);
+        }
+        const inputs = inputSelectors.map(inputSelector => inputSelector(state, ...args));
+        const lastComputation = lastComputations.get(key);
+        const result = lastComputation && inputs.every((input, index) => input === lastComputation.inputs[index])
+            ? lastComputation.result
+            : resultFunc(...inputs);
+        lastComputations.set(key, { inputs, result });
+        results.set(key, result);
+        return result;
+    };
+}
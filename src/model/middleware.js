@@ -0,0 +1,67 @@
+/**
+ * middleware - ReduxのMiddlewareとapplyMiddleware()
+ *
+ * Middlewareは、dispatchされたActionがReducerに届くまでの間に
+ * 処理を差し込むための仕組みです。
+ *
+ * Middlewareの形式（Reduxと同じ）:
+ * ({ getState, dispatch }) => next => action => { ... }
+ *
+ * - getState: 現在のStateを返す関数
+ * - dispatch: Middlewareの先頭からActionをdispatchし直す関数
+ * - next: 次のMiddleware（最後はReducerを呼び出す本来のdispatch）
+ *
+ * 使用例:
+ * ```js
+ * new TodoListModel([], {
+ *     enhancer: applyMiddleware(thunkMiddleware, loggerMiddleware)
+ * });
+ * ```
+ */
+
+/**
+ * Middlewareを連結してdispatchを拡張する関数を返す - ReduxのapplyMiddleware()に相当
+ *
+ * 先に指定したMiddlewareほど外側（Actionを先に受け取る側）になります。
+ *
+ * @param {...Function} middlewares 連結するMiddleware
+ * @returns {function({ getState: Function, dispatch: Function }, Function): Function}
+ *   middlewareAPIと本来のdispatchを受け取り、拡張したdispatchを返す関数
+ */
+export function applyMiddleware(...middlewares) {
+    return ({ getState, dispatch }, baseDispatch) => {
+        const middlewareAPI = {
+            getState,
+            dispatch: (action) => dispatch(action)
+        };
+        const chain = middlewares.map(middleware => middleware(middlewareAPI));
+        return chain.reduceRight((next, middleware) => middleware(next), baseDispatch);
+    };
+}
+
+/**
+ * 関数のActionを実行するMiddleware - redux-thunkに相当
+ *
+ * Actionとして関数がdispatchされた場合、その関数に
+ * dispatchとgetStateを渡して実行します。
+ * 非同期処理や、複数のActionをまとめてdispatchする処理に使います。
+ */
+export const thunkMiddleware = ({ getState, dispatch }) => next => action => {
+    if (typeof action === "function") {
+        return action(dispatch, getState);
+    }
+    return next(action);
+};
+
+/**
+ * dispatchされたActionと前後のStateをコンソールに出力するMiddleware - redux-loggerに相当
+ */
+export const loggerMiddleware = ({ getState }) => next => action => {
+    console.groupCollapsed(`action ${action.type}`);
+    console.log("prev state", getState());
+    console.log("action", action);
+    const result = next(action);
+    console.log("next state", getState());
+    console.groupEnd();
+    return result;
+};
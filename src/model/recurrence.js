@@ -0,0 +1,195 @@
+/**
+ * recurrence - 繰り返しのルールと、次の期限の計算
+ *
+ * 繰り返しのルールは、iCalendar（RFC 5545）のRRULEのうち次の形式の文字列で表します。
+ * 文字列にすることで、期限（dueDate）と同じく===で比較でき、そのままJSONとして保存・同期できます。
+ *
+ * - 毎日: "FREQ=DAILY"
+ * - N日ごと: "FREQ=DAILY;INTERVAL=3"
+ * - 毎週（曜日を指定）: "FREQ=WEEKLY;BYDAY=MO,WE,FR"
+ * - 毎月（日を指定）: "FREQ=MONTHLY;BYMONTHDAY=15"（その月に無い日は月末にする）
+ *
+ * 使用例:
+ * ```js
+ * getNextDueDate("FREQ=WEEKLY;BYDAY=MO", "2024-05-01T09:00", new Date(2024, 4, 1)); // "2024-05-06T09:00"
+ * ```
+ */
+
+/**
+ * 繰り返しの種類（繰り返しの設定画面で選ぶもの）
+ */
+export const RecurrenceType = Object.freeze({
+    DAILY: "daily",
+    WEEKLY: "weekly",
+    MONTHLY: "monthly",
+    // N日ごと
+    INTERVAL: "interval"
+});
+
+// RRULEの曜日と、Date#getDay()の値（日曜日が0）の対応
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+/**
+ * 繰り返しのルールを解析する
+ * @param {string|null|undefined} rule RRULE形式の文字列
+ * @returns {{ type: string, days?: number, weekdays?: number[], monthDay?: number }|null}
+ *   type: RecurrenceTypeのいずれか
+ *   days: N日ごとの日数（2以上）
+ *   weekdays: 毎週の曜日（日曜日が0）の昇順の配列
+ *   monthDay: 毎月の日（1〜31）
+ *   対応していない形式の場合はnull
+ */
+export function parseRecurrence(rule) {
+    if (typeof rule !== "string") {
+        return null;
+    }
+    const parts = new Map(rule.split(";").map(part => {
+        const [name, value = ""] = part.split("=");
+        return [name.trim().toUpperCase(), value.trim().toUpperCase()];
+    }));
+    const interval = parts.has("INTERVAL") ? Number(parts.get("INTERVAL")) : 1;
+    if (!Number.isInteger(interval) || interval < 1) {
+        return null;
+    }
+    switch (parts.get("FREQ")) {
+        case "DAILY":
+            return interval === 1 ? { type: RecurrenceType.DAILY } : { type: RecurrenceType.INTERVAL, days: interval };
+        case "WEEKLY": {
+            const weekdays = (parts.get("BYDAY") ?? "").split(",").map(code => WEEKDAY_CODES.indexOf(code));
+            if (interval !== 1 || weekdays.length === 0 || weekdays.includes(-1)) {
+                return null;
+            }
+            return { type: RecurrenceType.WEEKLY, weekdays: [...new Set(weekdays)].sort((a, b) => a - b) };
+        }
+        case "MONTHLY": {
+            const monthDay = Number(parts.get("BYMONTHDAY"));
+            if (interval !== 1 || !Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31) {
+                return null;
+            }
+            return { type: RecurrenceType.MONTHLY, monthDay };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * 解析した繰り返しのルールを、RRULE形式の文字列にする（値は検証しない）
+ * @param {{ type: string, days?: number, weekdays?: number[], monthDay?: number }} recurrence
+ * @returns {string}
+ */
+function toRule({ type, days, weekdays = [], monthDay }) {
+    switch (type) {
+        case RecurrenceType.DAILY:
+            return "FREQ=DAILY";
+        case RecurrenceType.INTERVAL:
+            return `FREQ=DAILY;INTERVAL=${days}`;
+        case RecurrenceType.WEEKLY:
+            return `FREQ=WEEKLY;BYDAY=${weekdays.map(weekday => WEEKDAY_CODES[weekday]).join(",")}`;
+        default:
+            return `FREQ=MONTHLY;BYMONTHDAY=${monthDay}`;
+    }
+}
+
+/**
+ * 繰り返しのルールを正規化する
+ *
+ * 同じルールが常に同じ文字列になるよう、曜日の順序などを揃えます。
+ *
+ * @param {string|null|undefined} rule
+ * @returns {string|null} 正規化したルール。繰り返さない、または不正な形式の場合はnull
+ */
+export function normalizeRecurrence(rule) {
+    const recurrence = parseRecurrence(rule);
+    return recurrence === null ? null : toRule(recurrence);
+}
+
+/**
+ * 解析した形式の繰り返しのルールを、RRULE形式の文字列にする
+ *
+ * 繰り返しの設定画面で入力した値から、ルールを組み立てるのに使います。
+ *
+ * @param {{ type: string, days?: number, weekdays?: number[], monthDay?: number }} recurrence parseRecurrence()の戻り値と同じ形式
+ * @returns {string|null} 正規化したルール。値が不正な場合はnull
+ */
+export function formatRecurrence(recurrence) {
+    return Object.values(RecurrenceType).includes(recurrence.type) ? normalizeRecurrence(toRule(recurrence)) : null;
+}
+
+/**
+ * @param {number} year
+ * @param {number} month 0〜11
+ * @returns {number} その月の日数
+ */
+function getDaysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * 日付を、ルールに従って次の回へ進める
+ *
+ * 日付の計算はUTCのDateで行い、夏時間の切り替えで日付がずれないようにします。
+ *
+ * @param {{ type: string, days?: number, weekdays?: number[], monthDay?: number }} recurrence
+ * @param {Date} date UTCの0時を表すDate
+ * @returns {Date}
+ */
+function advanceDate(recurrence, date) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+    switch (recurrence.type) {
+        case RecurrenceType.DAILY:
+            return new Date(Date.UTC(year, month, day + 1));
+        case RecurrenceType.INTERVAL:
+            return new Date(Date.UTC(year, month, day + recurrence.days));
+        case RecurrenceType.WEEKLY: {
+            // 翌日から1週間のうち、最初に指定した曜日になる日
+            const offset = [1, 2, 3, 4, 5, 6, 7].find(days => recurrence.weekdays.includes((date.getUTCDay() + days) % 7));
+            return new Date(Date.UTC(year, month, day + offset));
+        }
+        default: {
+            const dayInThisMonth = Math.min(recurrence.monthDay, getDaysInMonth(year, month));
+            if (dayInThisMonth > day) {
+                return new Date(Date.UTC(year, month, dayInThisMonth));
+            }
+            return new Date(Date.UTC(year, month + 1, Math.min(recurrence.monthDay, getDaysInMonth(year, month + 1))));
+        }
+    }
+}
+
+/**
+ * @param {Date} date UTCの0時を表すDate
+ * @returns {string} "YYYY-MM-DD"
+ */
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * 繰り返すTodoの、次の回の期限を求める
+ *
+ * 現在の期限の次の回を求めます。期限を過ぎてから完了した場合も予定がずれないよう、
+ * 完了した日ではなく期限を基準にします。ただし、次の回がすでに過去の日になる場合は、
+ * 今日以降の最初の回まで進めます（期限切れのTodoを作らないため）。
+ * 期限の無いTodoは、今日を基準にします。期限の時刻はそのまま引き継ぎます。
+ *
+ * @param {string} rule RRULE形式の繰り返しのルール
+ * @param {string|null} dueDate 現在の期限（ローカル日時の"YYYY-MM-DDTHH:mm"）
+ * @param {Date} now 現在時刻
+ * @returns {string|null} 次の回の期限。ルールが不正な場合はnull
+ */
+export function getNextDueDate(rule, dueDate, now) {
+    const recurrence = parseRecurrence(rule);
+    if (recurrence === null) {
+        return null;
+    }
+    const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+    const [datePart, timePart] = dueDate === null ? [formatDate(today), "00:00"] : dueDate.split("T");
+    const [year, month, day] = datePart.split("-").map(Number);
+    let nextDate = advanceDate(recurrence, new Date(Date.UTC(year, month - 1, day)));
+    while (nextDate < today) {
+        nextDate = advanceDate(recurrence, nextDate);
+    }
+    return `${formatDate(nextDate)}T${timePart}`;
+}
@@ -0,0 +1,189 @@
+/**
+ * todoActions - ReduxのAction TypeとAction Creator
+ *
+ * Reduxでは、Stateを変更する操作をすべて「何が起きたか」を表す
+ * プレーンなオブジェクト（Action）として表現します。
+ *
+ * Actionの形式（Flux Standard Action）:
+ * {
+ *   type: "todo/add",          // 操作の種類
+ *   payload: { todoItem }      // 操作に必要なデータ
+ * }
+ *
+ * Action Creatorは、Actionオブジェクトを生成するだけの関数です。
+ * 生成したActionはTodoListModel#dispatch()に渡して使います。
+ */
+
+/**
+ * Todoリストに対するAction Type
+ */
+export const TodoActionType = Object.freeze({
+    ADD: "todo/add",
+    UPDATE: "todo/update",
+    DELETE: "todo/delete",
+    TOGGLE_ALL: "todo/toggleAll",
+    CLEAR_COMPLETED: "todo/clearCompleted",
+    MOVE: "todo/move",
+    SYNC: "todo/sync",
+    BATCH: "todo/batch"
+});
+
+/**
+ * プロジェクト（名前付きのTodoリスト）に対するAction Type
+ */
+export const ProjectActionType = Object.freeze({
+    ADD: "project/add",
+    RENAME: "project/rename",
+    DELETE: "project/delete"
+});
+
+/**
+ * 操作履歴に対するAction Type（redux-undoのActionTypesに相当）
+ */
+export const HistoryActionType = Object.freeze({
+    UNDO: "history/undo",
+    REDO: "history/redo"
+});
+
+/**
+ * ADD_TODO Actionを生成する
+ *
+ * indexを指定した場合はその位置に、省略した場合は末尾に追加します。
+ * indexは主に削除を元に戻す際に、元の位置へ戻すために使います。
+ *
+ * @param {import("./TodoItemModel.js").TodoItemModel} todoItem 追加するTodoアイテム
+ * @param {number} [index] 追加する位置
+ * @returns {{ type: string, payload: { todoItem: import("./TodoItemModel.js").TodoItemModel, index?: number } }}
+ */
+export function addTodoAction(todoItem, index) {
+    const payload = index === undefined ? { todoItem } : { todoItem, index };
+    return { type: TodoActionType.ADD, payload };
+}
+
+/**
+ * UPDATE_TODO Actionを生成する
+ *
+ * id以外のプロパティは部分的な変更（patch）として扱い、
+ * 指定したプロパティだけを更新します。
+ *
+ * @param {{ id: number, title?: string, completed?: boolean }} payload
+ * @returns {{ type: string, payload: { id: number, title?: string, completed?: boolean } }}
+ */
+export function updateTodoAction({ id, ...changes }) {
+    return { type: TodoActionType.UPDATE, payload: { id, ...changes } };
+}
+
+/**
+ * DELETE_TODO Actionを生成する
+ * @param {{ id: number }} payload
+ * @returns {{ type: string, payload: { id: number } }}
+ */
+export function deleteTodoAction({ id }) {
+    return { type: TodoActionType.DELETE, payload: { id } };
+}
+
+/**
+ * TOGGLE_ALL Actionを生成する - すべてのTodoの完了状態をまとめて変更する
+ * @param {{ completed: boolean, projectId?: number|null }} payload
+ *   projectId: 対象のプロジェクトのID（nullの場合はすべてのプロジェクトが対象）
+ * @returns {{ type: string, payload: { completed: boolean, projectId: number|null } }}
+ */
+export function toggleAllAction({ completed, projectId = null }) {
+    return { type: TodoActionType.TOGGLE_ALL, payload: { completed, projectId } };
+}
+
+/**
+ * CLEAR_COMPLETED Actionを生成する - 完了済みのTodoをまとめて削除する
+ * @param {{ projectId?: number|null }} [payload]
+ *   projectId: 対象のプロジェクトのID（nullの場合はすべてのプロジェクトが対象）
+ * @returns {{ type: string, payload: { projectId: number|null } }}
+ */
+export function clearCompletedAction({ projectId = null } = {}) {
+    return { type: TodoActionType.CLEAR_COMPLETED, payload: { projectId } };
+}
+
+/**
+ * MOVE Actionを生成する - Todoの並び順を変更する
+ * @param {{ id: number, toIndex: number }} payload toIndex: 移動後の位置（リスト全体でのインデックス）
+ * @returns {{ type: string, payload: { id: number, toIndex: number } }}
+ */
+export function moveTodoAction({ id, toIndex }) {
+    return { type: TodoActionType.MOVE, payload: { id, toIndex } };
+}
+
+/**
+ * SYNC Actionを生成する - 他のタブなど外部で行われた変更を反映する
+ *
+ * 外部で確定した変更を取り込むためのActionのため、操作履歴には記録されません。
+ *
+ * @param {{ upserted: import("./TodoItemModel.js").TodoItemModel[], removed: number[], order: number[]|null, projects?: import("./ProjectModel.js").ProjectModel[]|null }} payload
+ *   upserted: 追加または更新されたTodo
+ *   removed: 削除されたTodoのID
+ *   order: 変更後の並び順（IDの配列）。並び順が変わらない場合はnull
+ *   projects: 変更後のプロジェクトの一覧。プロジェクトが変わらない場合はnull
+ * @returns {{ type: string, payload: object }}
+ */
+export function syncTodosAction({ upserted, removed, order, projects = null }) {
+    return { type: TodoActionType.SYNC, payload: { upserted, removed, order, projects } };
+}
+
+/**
+ * ADD_PROJECT Actionを生成する
+ *
+ * indexを指定した場合はその位置に、省略した場合は末尾に追加します。
+ *
+ * @param {import("./ProjectModel.js").ProjectModel} project 追加するプロジェクト
+ * @param {number} [index] 追加する位置
+ * @returns {{ type: string, payload: { project: import("./ProjectModel.js").ProjectModel, index?: number } }}
+ */
+export function addProjectAction(project, index) {
+    const payload = index === undefined ? { project } : { project, index };
+    return { type: ProjectActionType.ADD, payload };
+}
+
+/**
+ * RENAME_PROJECT Actionを生成する
+ * @param {{ id: number, name: string }} payload
+ * @returns {{ type: string, payload: { id: number, name: string } }}
+ */
+export function renameProjectAction({ id, name }) {
+    return { type: ProjectActionType.RENAME, payload: { id, name } };
+}
+
+/**
+ * DELETE_PROJECT Actionを生成する - プロジェクトと、所属するTodoをまとめて削除する
+ * @param {{ id: number }} payload
+ * @returns {{ type: string, payload: { id: number } }}
+ */
+export function deleteProjectAction({ id }) {
+    return { type: ProjectActionType.DELETE, payload: { id } };
+}
+
+/**
+ * BATCH Actionを生成する - redux-batched-actionsのbatchActions()に相当
+ *
+ * 複数のActionを順にReducerへ適用し、1回のState更新として扱います。
+ * 変更の通知や操作履歴への記録も1回になります。
+ *
+ * @param {Array<{ type: string, payload?: object }>} actions
+ * @returns {{ type: string, payload: { actions: Array<{ type: string, payload?: object }> } }}
+ */
+export function batchAction(actions) {
+    return { type: TodoActionType.BATCH, payload: { actions } };
+}
+
+/**
+ * UNDO Actionを生成する
+ * @returns {{ type: string }}
+ */
+export function undoAction() {
+    return { type: HistoryActionType.UNDO };
+}
+
+/**
+ * REDO Actionを生成する
+ * @returns {{ type: string }}
+ */
+export function redoAction() {
+    return { type: HistoryActionType.REDO };
+}
@@ -0,0 +1,324 @@
+/**
+ * todoReducer - ReduxのReducer（純粋関数）
+ *
+ * Reducerは (state, action) => newState という形の純粋関数です。
+ * - 引数のstateを変更せず、変更が必要な場合は新しいstateを返す
+ * - 変更が不要な場合は、受け取ったstateをそのまま返す
+ * - 副作用（通信、保存、DOM操作など）を持たない
+ *
+ * Stateの構造:
+ * {
+ *   projects: ProjectModel[], // プロジェクト（名前付きのTodoリスト）の一覧（表示順、常に1つ以上）
+ *   items: TodoItemModel[]    // すべてのプロジェクトのTodoアイテムの一覧（表示順）
+ * }
+ *
+ * サブタスクは入れ子にせず、子から親へのID（parentId）で木構造を表します。
+ * 親を削除するときは、その子孫もまとめて削除します。
+ *
+ * 返すStateとTodoItemModelはObject.freeze()で凍結し、
+ * 誤って直接変更されることを防ぎます。
+ */
+import {
+    ProjectActionType,
+    TodoActionType,
+    addProjectAction,
+    addTodoAction,
+    batchAction,
+    deleteProjectAction,
+    deleteTodoAction,
+    moveTodoAction,
+    renameProjectAction,
+    updateTodoAction
+} from "./todoActions.js";
+import { ProjectModel } from "./ProjectModel.js";
+import { TodoItemModel } from "./TodoItemModel.js";
+import { getDescendantIds } from "./todoSelectors.js";
+
+/**
+ * 初期Stateを生成する
+ * @param {TodoItemModel[]} [items]
+ * @param {ProjectModel[]} [projects] 省略した場合は最初から存在するプロジェクトだけを持つ
+ * @returns {{ projects: ProjectModel[], items: TodoItemModel[] }}
+ */
+export function createTodoState(items = [], projects = [ProjectModel.createDefault()]) {
+    return Object.freeze({
+        projects: Object.freeze(projects.map(project => Object.freeze(project))),
+        items: Object.freeze(items.map(todoItem => Object.freeze(todoItem)))
+    });
+}
+
+/**
+ * Todoアイテムの一覧だけを置き換えた新しいStateを生成する
+ * @param {{ projects: ProjectModel[], items: TodoItemModel[] }} state
+ * @param {TodoItemModel[]} items
+ * @returns {{ projects: ProjectModel[], items: TodoItemModel[] }}
+ */
+function withItems(state, items) {
+    return createTodoState(items, state.projects);
+}
+
+/**
+ * Todoが操作の対象のプロジェクトに所属しているかどうか
+ * @param {TodoItemModel} todoItem
+ * @param {number|null} projectId nullの場合はすべてのプロジェクトが対象
+ * @returns {boolean}
+ */
+function isInProject(todoItem, projectId) {
+    return projectId === null || todoItem.projectId === projectId;
+}
+
+/**
+ * 完了済みのTodoを一括削除するときに、削除するTodoのIDを返す
+ *
+ * 未完了の子孫を持つTodoは、子孫を残したまま親だけを消さないよう、完了済みでも削除しません。
+ *
+ * @param {TodoItemModel[]} items
+ * @param {number|null} projectId nullの場合はすべてのプロジェクトが対象
+ * @returns {Set<number>}
+ */
+function getClearableIds(items, projectId) {
+    const itemById = new Map(items.map(todo => [todo.id, todo]));
+    // 未完了のTodoとその祖先を残す
+    const keptIds = new Set();
+    items.filter(todo => !todo.completed).forEach(todo => {
+        for (let current = todo; current && !keptIds.has(current.id); current = itemById.get(current.parentId)) {
+            keptIds.add(current.id);
+        }
+    });
+    return new Set(items
+        .filter(todo => isInProject(todo, projectId) && !keptIds.has(todo.id))
+        .map(todo => todo.id));
+}
+
+/**
+ * TodoItemModelの一部を変更した新しいTodoItemModelを生成する
+ * @param {TodoItemModel} todoItem
+ * @param {object} changes 変更するプロパティ
+ * @returns {TodoItemModel}
+ */
+function updateItem(todoItem, changes) {
+    return Object.freeze(new TodoItemModel({ ...todoItem.toJSON(), ...changes }));
+}
+
+/**
+ * Todoリストのreducer
+ * @param {{ projects: ProjectModel[], items: TodoItemModel[] }} state 現在のState
+ * @param {{ type: string, payload?: object }} action 処理するAction
+ * @returns {{ projects: ProjectModel[], items: TodoItemModel[] }} 新しいState（変更がない場合は引数のstate）
+ */
+export function todoReducer(state, action) {
+    switch (action.type) {
+        case TodoActionType.ADD: {
+            const { todoItem, index = state.items.length } = action.payload;
+            // タイトルが空のものは追加しない
+            if (todoItem.isEmptyTitle()) {
+                return state;
+            }
+            return withItems(state, [
+                ...state.items.slice(0, index),
+                todoItem,
+                ...state.items.slice(index)
+            ]);
+        }
+        case TodoActionType.UPDATE: {
+            const { id, ...changes } = action.payload;
+            const todoItem = state.items.find(todo => todo.id === id);
+            // 該当するTodoが無い、または値が変わらない場合はStateをそのまま返す
+            if (!todoItem || Object.keys(changes).every(key => todoItem[key] === changes[key])) {
+                return state;
+            }
+            return withItems(state, state.items.map(todo => {
+                return todo.id === id ? updateItem(todo, changes) : todo;
+            }));
+        }
+        case TodoActionType.DELETE: {
+            const { id } = action.payload;
+            if (!state.items.some(todo => todo.id === id)) {
+                return state;
+            }
+            // `id`に一致するTodoItemとその子孫以外を残すことで、サブタスクごと削除する
+            const deletedIds = new Set([id, ...getDescendantIds(state.items, id)]);
+            return withItems(state, state.items.filter(todo => !deletedIds.has(todo.id)));
+        }
+        case TodoActionType.TOGGLE_ALL: {
+            const { completed, projectId } = action.payload;
+            const shouldToggle = (todo) => isInProject(todo, projectId) && todo.completed !== completed;
+            if (!state.items.some(shouldToggle)) {
+                return state;
+            }
+            return withItems(state, state.items.map(todo => {
+                return shouldToggle(todo) ? updateItem(todo, { completed }) : todo;
+            }));
+        }
+        case TodoActionType.CLEAR_COMPLETED: {
+            const clearableIds = getClearableIds(state.items, action.payload.projectId);
+            if (clearableIds.size === 0) {
+                return state;
+            }
+            return withItems(state, state.items.filter(todo => !clearableIds.has(todo.id)));
+        }
+        case TodoActionType.MOVE: {
+            const { id } = action.payload;
+            const fromIndex = state.items.findIndex(todo => todo.id === id);
+            // 移動先はリストの範囲内に収める
+            const toIndex = Math.min(Math.max(action.payload.toIndex, 0), state.items.length - 1);
+            if (fromIndex === -1 || fromIndex === toIndex) {
+                return state;
+            }
+            const items = state.items.filter(todo => todo.id !== id);
+            items.splice(toIndex, 0, state.items[fromIndex]);
+            return withItems(state, items);
+        }
+        case TodoActionType.SYNC: {
+            const { upserted, removed, order, projects } = action.payload;
+            const upsertedById = new Map(upserted.map(todo => [todo.id, todo]));
+            const removedIds = new Set(removed);
+            let items = state.items
+                .filter(todo => !removedIds.has(todo.id))
+                .map(todo => upsertedById.get(todo.id) ?? todo);
+            const existingIds = new Set(items.map(todo => todo.id));
+            items = items.concat(upserted.filter(todo => !existingIds.has(todo.id)));
+            if (order) {
+                // orderに含まれないTodoは、元の相対的な順序のまま末尾に並べる（sortは安定ソート）
+                const rankById = new Map(order.map((id, index) => [id, index]));
+                const getRank = (todo) => rankById.get(todo.id) ?? order.length;
+                items.sort((a, b) => getRank(a) - getRank(b));
+            }
+            const isSameItems = items.length === state.items.length && items.every((todo, index) => todo === state.items[index]);
+            if (isSameItems && !projects) {
+                return state;
+            }
+            return createTodoState(items, projects ?? state.projects);
+        }
+        case ProjectActionType.ADD: {
+            const { project, index = state.projects.length } = action.payload;
+            if (project.isEmptyName() || state.projects.some(current => current.id === project.id)) {
+                return state;
+            }
+            return createTodoState(state.items, [
+                ...state.projects.slice(0, index),
+                project,
+                ...state.projects.slice(index)
+            ]);
+        }
+        case ProjectActionType.RENAME: {
+            const { id, name } = action.payload;
+            const project = state.projects.find(current => current.id === id);
+            if (!project || project.name === name || name.trim().length === 0) {
+                return state;
+            }
+            return createTodoState(state.items, state.projects.map(current => {
+                return current.id === id ? new ProjectModel({ ...current.toJSON(), name }) : current;
+            }));
+        }
+        case ProjectActionType.DELETE: {
+            const { id } = action.payload;
+            // 最後のプロジェクトは削除できない（Todoを追加する先が無くなるため）
+            if (state.projects.length <= 1 || !state.projects.some(project => project.id === id)) {
+                return state;
+            }
+            return createTodoState(
+                state.items.filter(todo => todo.projectId !== id),
+                state.projects.filter(project => project.id !== id)
+            );
+        }
+        case TodoActionType.BATCH:
+            return action.payload.actions.reduce(todoReducer, state);
+        default:
+            return state;
+    }
+}
+
+/**
+ * Actionを取り消すためのActionを生成する - 元に戻す（undo）の実装に使う
+ *
+ * Actionを適用する前のStateを基に、適用後のStateから
+ * 適用前のStateへ戻すActionを返します。
+ *
+ * @param {{ projects: ProjectModel[], items: TodoItemModel[] }} state Actionを適用する前のState
+ * @param {{ type: string, payload?: object }} action 取り消す対象のAction
+ * @returns {{ type: string, payload?: object }|null} 取り消すためのAction（取り消せない場合はnull）
+ */
+export function invertTodoAction(state, action) {
+    switch (action.type) {
+        case TodoActionType.ADD:
+            return deleteTodoAction({ id: action.payload.todoItem.id });
+        case TodoActionType.UPDATE: {
+            // 変更したプロパティだけを、変更前の値に戻す
+            const { id, ...changes } = action.payload;
+            const todoItem = state.items.find(todo => todo.id === id);
+            // Reducerと同じく、存在しないTodoの変更は何もしない（同じBATCHの中で先に削除された場合など）
+            if (!todoItem) {
+                return batchAction([]);
+            }
+            const previousValues = Object.fromEntries(Object.keys(changes).map(key => [key, todoItem[key]]));
+            return updateTodoAction({ id, ...previousValues });
+        }
+        case TodoActionType.DELETE: {
+            // 削除したTodoと子孫を、前から順に削除前の位置へ戻す
+            const { id } = action.payload;
+            const deletedIds = new Set([id, ...getDescendantIds(state.items, id)]);
+            const actions = [];
+            state.items.forEach((todo, index) => {
+                if (deletedIds.has(todo.id)) {
+                    actions.push(addTodoAction(todo, index));
+                }
+            });
+            return batchAction(actions);
+        }
+        case TodoActionType.TOGGLE_ALL: {
+            // 完了状態が変わるTodoだけを、それぞれ元の状態へ戻す
+            const { completed, projectId } = action.payload;
+            return batchAction(state.items
+                .filter(todo => isInProject(todo, projectId) && todo.completed !== completed)
+                .map(todo => updateTodoAction({ id: todo.id, completed: todo.completed })));
+        }
+        case TodoActionType.CLEAR_COMPLETED: {
+            // 前から順に元の位置へ挿入すれば、削除前の並び順に戻る
+            const clearableIds = getClearableIds(state.items, action.payload.projectId);
+            const actions = [];
+            state.items.forEach((todo, index) => {
+                if (clearableIds.has(todo.id)) {
+                    actions.push(addTodoAction(todo, index));
+                }
+            });
+            return batchAction(actions);
+        }
+        case TodoActionType.MOVE: {
+            const { id } = action.payload;
+            return moveTodoAction({ id, toIndex: state.items.findIndex(todo => todo.id === id) });
+        }
+        case ProjectActionType.ADD:
+            return deleteProjectAction({ id: action.payload.project.id });
+        case ProjectActionType.RENAME: {
+            const { id } = action.payload;
+            return renameProjectAction({ id, name: state.projects.find(project => project.id === id).name });
+        }
+        case ProjectActionType.DELETE: {
+            // プロジェクトを元の位置へ戻してから、所属していたTodoを前から順に元の位置へ戻す
+            const { id } = action.payload;
+            const index = state.projects.findIndex(project => project.id === id);
+            const actions = [addProjectAction(state.projects[index], index)];
+            state.items.forEach((todo, todoIndex) => {
+                if (todo.projectId === id) {
+                    actions.push(addTodoAction(todo, todoIndex));
+                }
+            });
+            return batchAction(actions);
+        }
+        case TodoActionType.BATCH: {
+            // 各Actionを適用する直前のStateから取り消しActionを求め、逆順に並べる
+            const inverseActions = [];
+            action.payload.actions.reduce((currentState, currentAction) => {
+                const inverseAction = invertTodoAction(currentState, currentAction);
+                if (inverseAction) {
+                    inverseActions.unshift(inverseAction);
+                }
+                return todoReducer(currentState, currentAction);
+            }, state);
+            return batchAction(inverseActions);
+        }
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,188 @@
+/**
+ * todoSchema - 保存するStateのスキーマのバージョンと移行処理（redux-persistのversionとcreateMigrateに相当）
+ *
+ * TodoListModel.toJSON()で保存するデータには、スキーマのバージョン（version）を付けます。
+ * TodoItemModelにフィールドを追加するなど保存するデータの形を変えたときは、
+ * TODO_SCHEMA_VERSIONを1つ上げ、前のバージョンのデータを変換する関数をtodoMigrationsに追加します。
+ * 読み込むときは、保存されたバージョンから現在のバージョンまで、移行処理を順に適用します。
+ *
+ * バージョンの履歴:
+ * - v1: { nextId, items: [{ id, title, completed }] }
+ * - v2: Todoに期限（dueDate）を追加
+ * - v3: プロジェクト（projects、nextProjectId）と、Todoの所属するプロジェクト（projectId）を追加
+ * - v4: Todoの親のID（parentId）を追加
+ * - v5: Todoの優先度（priority）を追加
+ * - v6: Todoの繰り返しのルール（recurrence）を追加
+ *
+ * バージョンを持たないデータ（バージョンを付ける前に保存したデータ）はv1として扱います。
+ * ただし、その中には既にv2以降のフィールドを持つデータもあるため、
+ * 各移行処理は既に存在する値を上書きしないようにします。
+ *
+ * 移行したデータはvalidateTodoData()で検証し、不正なレコードは修復するか取り除きます。
+ */
+
+import { DEFAULT_PROJECT_ID, DEFAULT_PROJECT_NAME } from "./ProjectModel.js";
+import { TodoPriority, normalizeDueDate, normalizePriority } from "./TodoItemModel.js";
+import { normalizeRecurrence } from "./recurrence.js";
+
+/**
+ * 現在のスキーマのバージョン
+ */
+export const TODO_SCHEMA_VERSION = 6;
+
+/**
+ * 移行処理の一覧
+ *
+ * キーは移行後のバージョンで、値は1つ前のバージョンのデータを受け取り、
+ * そのバージョンのデータを返す関数です。受け取ったデータは変更しません。
+ */
+export const todoMigrations = Object.freeze({
+    2: (data) => migrateItems(data, item => ({ ...item, dueDate: item.dueDate ?? null })),
+    3: (data) => ({
+        // プロジェクトが無かったころのTodoは、すべて最初から存在するプロジェクトに所属させる
+        ...migrateItems(data, item => ({ ...item, projectId: item.projectId ?? DEFAULT_PROJECT_ID })),
+        nextProjectId: data.nextProjectId ?? DEFAULT_PROJECT_ID + 1,
+        projects: data.projects ?? [{ id: DEFAULT_PROJECT_ID, name: DEFAULT_PROJECT_NAME }]
+    }),
+    4: (data) => migrateItems(data, item => ({ ...item, parentId: item.parentId ?? null })),
+    5: (data) => migrateItems(data, item => ({ ...item, priority: item.priority ?? TodoPriority.NONE })),
+    6: (data) => migrateItems(data, item => ({ ...item, recurrence: item.recurrence ?? null }))
+});
+
+/**
+ * 各Todoに移行処理を適用する
+ *
+ * オブジェクトではない不正なTodo（nullなど）は変更せずに残し、validateTodoData()で取り除きます。
+ *
+ * @param {{ items: any[] }} data
+ * @param {function(object): object} migrateItem
+ * @returns {object}
+ */
+function migrateItems(data, migrateItem) {
+    return { ...data, items: data.items.map(item => isObject(item) ? migrateItem(item) : item) };
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean} nullではないオブジェクト（配列を除く）の場合true
+ */
+function isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * 保存されたデータを現在のバージョンへ移行する
+ *
+ * 次の場合は例外を投げます（データは変更しません）。
+ * - データがTodoリストのデータではない
+ * - 現在より新しいバージョンのアプリで保存されたデータ
+ * - 移行処理が見つからない、または移行処理が例外を投げた
+ *
+ * @param {object} data 保存されたデータ
+ * @param {{ migrations?: Object<number, Function>, version?: number }} [options]
+ *   migrations: 移行処理の一覧（デフォルトはtodoMigrations）
+ *   version: 移行先のバージョン（デフォルトはTODO_SCHEMA_VERSION）
+ * @returns {object} 移行したデータ（versionを含む）
+ */
+export function migrateTodoData(data, { migrations = todoMigrations, version = TODO_SCHEMA_VERSION } = {}) {
+    if (!isObject(data) || !Array.isArray(data.items)) {
+        throw new Error("Todoリストのデータではありません");
+    }
+    const savedVersion = data.version ?? 1;
+    if (!Number.isInteger(savedVersion) || savedVersion < 1) {
+        throw new Error(`不正なバージョンです: ${savedVersion}`);
+    }
+    if (savedVersion > version) {
+        throw new Error(`新しいバージョン（v${savedVersion}）のアプリで保存されたデータは読み込めません`);
+    }
+    let migratedData = data;
+    for (let nextVersion = savedVersion + 1; nextVersion <= version; nextVersion++) {
+        const migrate = migrations[nextVersion];
+        if (typeof migrate !== "function") {
+            throw new Error(`v${nextVersion}への移行処理がありません`);
+        }
+        try {
+            migratedData = migrate(migratedData);
+        } catch (error) {
+            throw new Error(`v${nextVersion}への移行に失敗しました`, { cause: error });
+        }
+    }
+    return { ...migratedData, version };
+}
+
+/**
+ * 現在のバージョンのデータを検証し、不正なレコードを修復する
+ *
+ * - IDやタイトルが不正なTodo、IDが重複するTodoは取り除く
+ * - 名前やIDが不正なプロジェクト、IDが重複するプロジェクトは取り除く（1つも残らない場合は最初のプロジェクトを作る）
+ * - 完了状態や期限、優先度、繰り返しのルールが不正な値は、真偽値や期限なし、優先度なし、繰り返しなしに直す
+ * - 存在しないプロジェクトに所属するTodoは、最初のプロジェクトへ移す
+ * - 存在しないTodo（または自分自身）を親に持つTodoは、親の無いTodoにする
+ *
+ * @param {object} data migrateTodoData()で移行したデータ
+ * @returns {{ data: object, problems: string[] }} 修復したデータと、見つかった問題の一覧（問題が無ければ空の配列）
+ */
+export function validateTodoData(data) {
+    if (!isObject(data) || !Array.isArray(data.items)) {
+        throw new Error("Todoリストのデータではありません");
+    }
+    const problems = [];
+    const projectIds = new Set();
+    const projects = (Array.isArray(data.projects) ? data.projects : []).filter((project, index) => {
+        if (!isObject(project) || !Number.isInteger(project.id) || projectIds.has(project.id) || typeof project.name !== "string") {
+            problems.push(`projects[${index}]: 不正なプロジェクトを取り除きました`);
+            return false;
+        }
+        projectIds.add(project.id);
+        return true;
+    });
+    if (projects.length === 0) {
+        problems.push("projects: プロジェクトが無いため、最初のプロジェクトを作りました");
+        projects.push({ id: DEFAULT_PROJECT_ID, name: DEFAULT_PROJECT_NAME });
+        projectIds.add(DEFAULT_PROJECT_ID);
+    }
+    const itemIds = new Set();
+    const validItems = data.items.filter((item, index) => {
+        if (!isObject(item) || !Number.isInteger(item.id) || itemIds.has(item.id) || typeof item.title !== "string") {
+            problems.push(`items[${index}]: 不正なTodoを取り除きました`);
+            return false;
+        }
+        itemIds.add(item.id);
+        return true;
+    });
+    const items = validItems.map(item => {
+        const repairedItem = { ...item };
+        if (typeof item.completed !== "boolean") {
+            problems.push(`Todo ${item.id}: 完了状態を真偽値に直しました`);
+            repairedItem.completed = Boolean(item.completed);
+        }
+        if (item.dueDate !== null && normalizeDueDate(item.dueDate) === null) {
+            problems.push(`Todo ${item.id}: 不正な期限を取り除きました`);
+            repairedItem.dueDate = null;
+        }
+        if (normalizePriority(item.priority) !== item.priority) {
+            problems.push(`Todo ${item.id}: 不正な優先度を取り除きました`);
+            repairedItem.priority = TodoPriority.NONE;
+        }
+        if (item.recurrence !== null && normalizeRecurrence(item.recurrence) === null) {
+            problems.push(`Todo ${item.id}: 不正な繰り返しのルールを取り除きました`);
+            repairedItem.recurrence = null;
+        }
+        if (!projectIds.has(item.projectId)) {
+            problems.push(`Todo ${item.id}: 存在しないプロジェクトから最初のプロジェクトへ移しました`);
+            repairedItem.projectId = projects[0].id;
+        }
+        if (item.parentId !== null && (item.parentId === item.id || !itemIds.has(item.parentId))) {
+            problems.push(`Todo ${item.id}: 存在しない親との関係を解除しました`);
+            repairedItem.parentId = null;
+        }
+        return repairedItem;
+    });
+    // IDの連番は、復元したIDより小さくならないようTodoItemModelとProjectModelが調整する
+    const nextId = Number.isInteger(data.nextId) ? data.nextId : 0;
+    const nextProjectId = Number.isInteger(data.nextProjectId) ? data.nextProjectId : 0;
+    return {
+        data: { ...data, nextId, nextProjectId, projects, items },
+        problems
+    };
+}
@@ -0,0 +1,371 @@
+/**
+ * todoSelectors - ReduxのSelector関数
+ *
+ * Selectorは、Stateから画面に必要な値を取り出す（派生させる）関数です。
+ * Stateそのものには「表示中のアイテム」などの派生データを持たせず、
+ * 必要なときにSelectorで計算します。
+ *
+ * 使用例:
+ * ```js
+ * const activeItems = selectActiveItems(todoListModel.getState());
+ * ```
+ *
+ * 配列や件数を計算するSelectorはcreateSelector()でメモ化しているため、
+ * Stateが変わらない限り、何度呼んでも計算し直しません。
+ */
+
+import { matchesQuery } from "../search/textMatch.js";
+import { createSelector } from "./createSelector.js";
+import { TodoPriority } from "./TodoItemModel.js";
+
+/**
+ * 表示フィルターの種類
+ */
+export const TodoFilter = Object.freeze({
+    ALL: "all",
+    ACTIVE: "active",
+    COMPLETED: "completed"
+});
+
+/**
+ * プロジェクト（名前付きのTodoリスト）の一覧を返す
+ * @param {{ projects: import("./ProjectModel.js").ProjectModel[] }} state
+ * @returns {import("./ProjectModel.js").ProjectModel[]}
+ */
+export function selectProjects(state) {
+    return state.projects;
+}
+
+/**
+ * IDに一致するプロジェクトを返す
+ * @param {{ projects: import("./ProjectModel.js").ProjectModel[] }} state
+ * @param {number} projectId
+ * @returns {import("./ProjectModel.js").ProjectModel|undefined}
+ */
+export function selectProject(state, projectId) {
+    return state.projects.find(project => project.id === projectId);
+}
+
+/**
+ * すべてのTodoItemを返す
+ *
+ * 以降のSelectorも同様に、projectIdを指定した場合はそのプロジェクトに所属するTodoItemだけを対象にします。
+ * createSelector()でメモ化しているため、同じStateに対しては同じ配列を返します。
+ *
+ * @param {{ items: import("./TodoItemModel.js").TodoItemModel[] }} state
+ * @param {number|null} [projectId] 対象のプロジェクトのID（nullの場合はすべてのプロジェクト）
+ * @returns {import("./TodoItemModel.js").TodoItemModel[]}
+ */
+export const selectAllItems = createSelector(
+    (state) => state.items,
+    (state, projectId = null) => projectId,
+    (todoItems, projectId) => {
+        return projectId === null ? todoItems : todoItems.filter(todoItem => todoItem.projectId === projectId);
+    }
+);
+
+/**
+ * 未完了のTodoItemを返す
+ * @param {{ items: import("./TodoItemModel.js").TodoItemModel[] }} state
+ * @param {number|null} [projectId]
+ * @returns {import("./TodoItemModel.js").TodoItemModel[]}
+ */
+export const selectActiveItems = createSelector(
+    selectAllItems,
+    (todoItems) => todoItems.filter(todoItem => !todoItem.completed)
+);
+
+/**
+ * 完了済みのTodoItemを返す
+ * @param {{ items: import("./TodoItemModel.js").TodoItemModel[] }} state
+ * @param {number|null} [projectId]
+ * @returns {import("./TodoItemModel.js").TodoItemModel[]}
+ */
+export const selectCompletedItems = createSelector(
+    selectAllItems,
+    (todoItems) => todoItems.filter(todoItem => todoItem.completed)
+);
+
+/**
+ * TodoItemの個数を返す
+ * @param {{ items: import("./TodoItemModel.js").TodoItemModel[] }} state
+ * @param {number|null} [projectId]
+ * @returns {number}
+ */
+export const selectTotalCount = createSelector(
+    selectAllItems,
+    (todoItems) => todoItems.length
+);
+
+/**
+ * 未完了のTodoItemの個数を返す
+ * @param {{ items: import("./TodoItemModel.js").TodoItemModel[] }} state
+ * @param {number|null} [projectId]
+ * @returns {number}
+ */
+export const selectActiveCount = createSelector(
+    selectActiveItems,
+    (todoItems) => todoItems.length
+);
+
+/**
+ * 完了済みのTodoItemの個数を返す
+ * @param {{ items: import("./TodoItemModel.js").TodoItemModel[] }} state
+ * @param {number|null} [projectId]
+ * @returns {number}
+ */
+export const selectCompletedCount = createSelector(
+    selectCompletedItems,
+    (todoItems) => todoItems.length
+);
+
+/**
+ * 完了済みのTodoItemの割合を0〜100の整数で返す（Todoが無い場合は0）
+ * @param {{ items: import("./TodoItemModel.js").TodoItemModel[] }} state
+ * @param {number|null} [projectId]
+ * @returns {number}
+ */
+export const selectCompletionPercentage = createSelector(
+    selectTotalCount,
+    selectCompletedCount,
+    (totalCount, completedCount) => totalCount === 0 ? 0 : Math.round(completedCount / totalCount * 100)
+);
+
+/**
+ * 子を持たない（末端の）TodoItemを返す
+ *
+ * サブタスクを持つTodoは、サブタスクをまとめる入れ物として数えずに済みます。
+ *
+ * @param {{ items: import("./TodoItemModel.js").TodoItemModel[] }} state
+ * @param {number|null} [projectId]
+ * @returns {import("./TodoItemModel.js").TodoItemModel[]}
+ */
+export const selectLeafItems = createSelector(
+    (state) => state.items,
+    selectAllItems,
+    (allTodoItems, todoItems) => {
+        const parentIds = new Set(allTodoItems.map(todoItem => todoItem.parentId));
+        return todoItems.filter(todoItem => !parentIds.has(todoItem.id));
+    }
+);
+
+/**
+ * 表示フィルターに一致するTodoItemを返す
+ *
+ * フィルターごとに、メモ化した上のSelectorの結果をそのまま返します。
+ *
+ * @param {{ items: import("./TodoItemModel.js").TodoItemModel[] }} state
+ * @param {string} filter TodoFilterのいずれか
+ * @param {number|null} [projectId]
+ * @returns {import("./TodoItemModel.js").TodoItemModel[]}
+ */
+export function selectFilteredItems(state, filter, projectId = null) {
+    switch (filter) {
+        case TodoFilter.ACTIVE:
+            return selectActiveItems(state, projectId);
+        case TodoFilter.COMPLETED:
+            return selectCompletedItems(state, projectId);
+        default:
+            return selectAllItems(state, projectId);
+    }
+}
+
+/**
+ * 並び順の種類
+ */
+export const TodoSort = Object.freeze({
+    // 手動で並べた順（Stateの並び順）
+    MANUAL: "manual",
+    // 期限が近い順（期限の無いTodoは最後）
+    DUE_DATE: "dueDate",
+    // 優先度が高い順（優先度の無いTodoは最後）
+    PRIORITY: "priority",
+    // 作成した順
+    CREATED: "created",
+    // タイトルの五十音順・アルファベット順
+    TITLE: "title",
+    // 未完了のTodoを先に、完了済みのTodoを後ろに並べる
+    COMPLETED_LAST: "completedLast"
+});
+
+// 優先度ごとの順位（小さいほど先に並べる）
+const PRIORITY_RANKS = new Map([
+    [TodoPriority.HIGH, 0],
+    [TodoPriority.MEDIUM, 1],
+    [TodoPriority.LOW, 2],
+    [TodoPriority.NONE, 3]
+]);
+
+// タイトルの比較に使うCollator
+// 日本語のロケールでは、ひらがなとカタカナを同じ読みとして並べ、漢字はJIS X 0208の順に並べる
+// numeric: "タスク2"を"タスク10"より前に並べる
+const titleCollator = new Intl.Collator("ja", { numeric: true, sensitivity: "base" });
+
+/**
+ * 並び順ごとの比較関数（Array.prototype.sortに渡す関数）
+ *
+ * 同じ順位の場合は0を返し、次の並び順（無ければ手動で並べた順）で比べます。
+ */
+const TODO_COMPARATORS = Object.freeze({
+    [TodoSort.MANUAL]: () => 0,
+    // "YYYY-MM-DDTHH:mm"形式の文字列は、文字列の大小と日時の前後が一致する
+    [TodoSort.DUE_DATE]: (a, b) => {
+        if (a.dueDate === b.dueDate) {
+            return 0;
+        }
+        if (a.dueDate === null) {
+            return 1;
+        }
+        if (b.dueDate === null) {
+            return -1;
+        }
+        return a.dueDate < b.dueDate ? -1 : 1;
+    },
+    [TodoSort.PRIORITY]: (a, b) => PRIORITY_RANKS.get(a.priority) - PRIORITY_RANKS.get(b.priority),
+    // IDは作成した順に採番されるため、IDの大小を作成した順とみなす
+    [TodoSort.CREATED]: (a, b) => a.id - b.id,
+    [TodoSort.TITLE]: (a, b) => titleCollator.compare(a.title, b.title),
+    [TodoSort.COMPLETED_LAST]: (a, b) => Number(a.completed) - Number(b.completed)
+});
+
+/**
+ * TodoItemの配列を指定した並び順に並べ替えた新しい配列を返す
+ *
+ * 並び順を配列で指定すると、先頭の並び順で比べ、同じ順位なら次の並び順で比べます
+ * （SQLの`ORDER BY priority, title`に相当）。
+ * Array.prototype.sortは安定ソートのため、すべての並び順で同じ順位のTodoは手動で並べた順を保ちます。
+ *
+ * @param {import("./TodoItemModel.js").TodoItemModel[]} todoItems
+ * @param {string|string[]} sort TodoSortのいずれか、またはその配列（優先する順）
+ * @returns {import("./TodoItemModel.js").TodoItemModel[]}
+ */
+export function sortTodoItems(todoItems, sort) {
+    const comparators = (Array.isArray(sort) ? sort : [sort])
+        .filter(key => key !== TodoSort.MANUAL && Object.hasOwn(TODO_COMPARATORS, key))
+        .map(key => TODO_COMPARATORS[key]);
+    if (comparators.length === 0) {
+        return todoItems;
+    }
+    return [...todoItems].sort((a, b) => {
+        for (const compare of comparators) {
+            const result = compare(a, b);
+            if (result !== 0) {
+                return result;
+            }
+        }
+        return 0;
+    });
+}
+
+/**
+ * タイトルが検索語に一致するTodoItemだけを返す
+ *
+ * 大文字と小文字、全角と半角は区別しません。
+ * 検索語が空の場合は、受け取った配列をそのまま返します。
+ *
+ * @param {import("./TodoItemModel.js").TodoItemModel[]} todoItems
+ * @param {string} query 検索語
+ * @returns {import("./TodoItemModel.js").TodoItemModel[]}
+ */
+export function searchTodoItems(todoItems, query) {
+    if (query.trim().length === 0) {
+        return todoItems;
+    }
+    return todoItems.filter(todoItem => matchesQuery(todoItem.title, query));
+}
+
+/**
+ * 親のIDごとに子のTodoItemをまとめる（子は配列の並び順のまま）
+ *
+ * 親が配列に含まれないTodo（親が無い、または別のプロジェクトにある）は、
+ * nullをキーとして最上位にまとめます。
+ *
+ * @param {import("./TodoItemModel.js").TodoItemModel[]} todoItems
+ * @returns {Map<number|null, import("./TodoItemModel.js").TodoItemModel[]>}
+ */
+function groupByParent(todoItems) {
+    const ids = new Set(todoItems.map(todoItem => todoItem.id));
+    const childrenByParentId = new Map();
+    todoItems.forEach(todoItem => {
+        const parentId = ids.has(todoItem.parentId) ? todoItem.parentId : null;
+        if (!childrenByParentId.has(parentId)) {
+            childrenByParentId.set(parentId, []);
+        }
+        childrenByParentId.get(parentId).push(todoItem);
+    });
+    return childrenByParentId;
+}
+
+/**
+ * 子孫（子、孫、…）のTodoItemのIDを返す
+ * @param {import("./TodoItemModel.js").TodoItemModel[]} todoItems
+ * @param {number} id
+ * @returns {number[]} 自分自身は含まない
+ */
+export function getDescendantIds(todoItems, id) {
+    const childrenByParentId = groupByParent(todoItems);
+    const descendantIds = [];
+    const visit = (parentId) => {
+        (childrenByParentId.get(parentId) ?? []).forEach(child => {
+            // 不正なデータで親子関係が循環していても止まるようにする
+            if (child.id !== id && !descendantIds.includes(child.id)) {
+                descendantIds.push(child.id);
+                visit(child.id);
+            }
+        });
+    };
+    visit(id);
+    return descendantIds;
+}
+
+/**
+ * Todoの木構造を、表示順に並べた行の配列に変換する
+ *
+ * 親の直後にその子孫が続くように並べ、各行に階層の深さと子の進捗を付けます。
+ * - includedIds: 表示フィルターや検索に一致したTodoのID。一致したTodoの祖先も、
+ *   木構造が分かるように表示します（nullの場合はすべて表示する）
+ * - collapsedIds: 折りたたんだTodoのID。その子孫は表示しません
+ * - sort: 兄弟の間での並び順（TodoSortのいずれか、またはその配列。sortTodoItems()を参照）
+ *
+ * @param {import("./TodoItemModel.js").TodoItemModel[]} todoItems
+ * @param {{ includedIds?: Set<number>|null, collapsedIds?: Set<number>, sort?: string|string[] }} [options]
+ * @returns {Array<{ todoItem: import("./TodoItemModel.js").TodoItemModel, depth: number, childCount: number, completedChildCount: number, isCollapsed: boolean }>}
+ */
+export function flattenTodoTree(todoItems, { includedIds = null, collapsedIds = new Set(), sort = TodoSort.MANUAL } = {}) {
+    const childrenByParentId = groupByParent(todoItems);
+    let visibleIds = null;
+    if (includedIds) {
+        const itemById = new Map(todoItems.map(todoItem => [todoItem.id, todoItem]));
+        visibleIds = new Set();
+        includedIds.forEach(id => {
+            // 一致したTodoから親をたどり、祖先も表示する
+            for (let todoItem = itemById.get(id); todoItem && !visibleIds.has(todoItem.id); todoItem = itemById.get(todoItem.parentId)) {
+                visibleIds.add(todoItem.id);
+            }
+        });
+    }
+    const rows = [];
+    const visitedIds = new Set();
+    const visit = (parentId, depth) => {
+        sortTodoItems(childrenByParentId.get(parentId) ?? [], sort).forEach(todoItem => {
+            if (visitedIds.has(todoItem.id) || (visibleIds && !visibleIds.has(todoItem.id))) {
+                return;
+            }
+            visitedIds.add(todoItem.id);
+            const children = childrenByParentId.get(todoItem.id) ?? [];
+            const isCollapsed = children.length > 0 && collapsedIds.has(todoItem.id);
+            rows.push({
+                todoItem,
+                depth,
+                childCount: children.length,
+                completedChildCount: children.filter(child => child.completed).length,
+                isCollapsed
+            });
+            if (!isCollapsed) {
+                visit(todoItem.id, depth + 1);
+            }
+        });
+    };
+    visit(null, 0);
+    return rows;
+}
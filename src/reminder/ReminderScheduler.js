@@ -0,0 +1,111 @@
+/**
+ * ReminderSchedulerクラス - Todoの期限が来たときに通知するスケジューラー
+ *
+ * 未完了のTodoのうち、次に期限が来るものに合わせてタイマーを1つだけ設定します。
+ * タイマーが発火すると、前回確認した時刻から現在までに期限が来たTodoを通知し、
+ * 次のタイマーを設定し直します。
+ *
+ * 起動した時点ですでに期限が過ぎているTodoは「期限が来た」とはみなさず、通知しません。
+ *
+ * テストでは、現在時刻とタイマーを差し替えるためにclockを指定できます。
+ */
+
+// setTimeoutに指定できる最大の待ち時間（約24.8日）
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+/**
+ * 実際の時刻とタイマーを使うclock
+ */
+export const systemClock = Object.freeze({
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (timerId) => clearTimeout(timerId)
+});
+
+export class ReminderScheduler {
+    #clock;
+    #onDue;
+    #todoItems = [];
+    #timerId = null;
+    // 前回期限を確認した時刻（この時刻より後に期限が来たTodoを通知する）
+    #checkedAt;
+
+    /**
+     * @param {{ onDue: function(import("../model/TodoItemModel.js").TodoItemModel[]): void, clock?: { now: function(): number, setTimeout: Function, clearTimeout: Function } }} options
+     *   onDue: 期限が来たTodoの配列を受け取る関数
+     *   clock: 現在時刻とタイマーの実装（省略した場合はsystemClock）
+     */
+    constructor({ onDue, clock = systemClock }) {
+        this.#onDue = onDue;
+        this.#clock = clock;
+        this.#checkedAt = clock.now();
+    }
+
+    /**
+     * 通知の対象となるTodoを設定し、タイマーを設定し直す
+     *
+     * Todoリストが変わるたびに呼び出します。
+     *
+     * @param {import("../model/TodoItemModel.js").TodoItemModel[]} todoItems
+     */
+    schedule(todoItems) {
+        this.#todoItems = todoItems;
+        this.#setTimer();
+    }
+
+    /**
+     * タイマーを解除し、通知を止める
+     */
+    cancel() {
+        if (this.#timerId !== null) {
+            this.#clock.clearTimeout(this.#timerId);
+            this.#timerId = null;
+        }
+        this.#todoItems = [];
+    }
+
+    /**
+     * 次に期限が来るTodoに合わせてタイマーを設定する
+     */
+    #setTimer() {
+        if (this.#timerId !== null) {
+            this.#clock.clearTimeout(this.#timerId);
+            this.#timerId = null;
+        }
+        const nextDueTime = this.#getPendingDueTimes()
+            .filter(dueTime => dueTime > this.#checkedAt)
+            .reduce((min, dueTime) => Math.min(min, dueTime), Infinity);
+        if (nextDueTime === Infinity) {
+            return;
+        }
+        const delay = Math.min(Math.max(nextDueTime - this.#clock.now(), 0), MAX_TIMEOUT);
+        this.#timerId = this.#clock.setTimeout(this.#handleTimeout, delay);
+    }
+
+    /**
+     * 未完了で期限のあるTodoの期限（ミリ秒）を返す
+     * @returns {number[]}
+     */
+    #getPendingDueTimes() {
+        return this.#todoItems
+            .filter(todoItem => !todoItem.completed && todoItem.dueDate !== null)
+            .map(todoItem => todoItem.getDueTime().getTime());
+    }
+
+    #handleTimeout = () => {
+        this.#timerId = null;
+        const now = this.#clock.now();
+        const dueItems = this.#todoItems.filter(todoItem => {
+            if (todoItem.completed || todoItem.dueDate === null) {
+                return false;
+            }
+            const dueTime = todoItem.getDueTime().getTime();
+            return dueTime > this.#checkedAt && dueTime <= now;
+        });
+        this.#checkedAt = now;
+        if (dueItems.length > 0) {
+            this.#onDue(dueItems);
+        }
+        this.#setTimer();
+    };
+}
@@ -0,0 +1,99 @@
+/**
+ * textMatch - 検索語によるテキストの照合
+ *
+ * 大文字と小文字、全角と半角を区別せずに照合します。
+ * 「ＴＯＤＯ」「todo」や「ｶﾞｲﾄﾞ」「ガイド」は、それぞれ同じ文字列として扱います。
+ *
+ * 照合の手順:
+ * 1. テキストを書記素（見た目上の1文字）ごとに区切る
+ *    半角カナの濁点（ｶﾞ）は、前の文字と合わせて1文字として扱う
+ * 2. 1文字ずつUnicode正規化（NFKC）し、小文字に変換する
+ * 3. 変換後の文字列から検索語を探し、一致した範囲を元のテキストの位置に戻す
+ *
+ * 正規化で文字数が変わる場合（ｶﾞ→ガ、㍿→株式会社など）も、
+ * 元のテキストのどの範囲が一致したかを求められるよう、1文字ずつ変換しています。
+ */
+
+const graphemeSegmenter = typeof Intl.Segmenter === "function"
+    ? new Intl.Segmenter(undefined, { granularity: "grapheme" })
+    : null;
+
+/**
+ * テキストを書記素ごとに区切る
+ * Intl.Segmenterが使えない環境では、コードポイントごとに区切る
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitGraphemes(text) {
+    return graphemeSegmenter
+        ? Array.from(graphemeSegmenter.segment(text), ({ segment }) => segment)
+        : Array.from(text);
+}
+
+/**
+ * 照合用にテキストを正規化する（全角・半角と大文字・小文字の違いをなくす）
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeForSearch(text) {
+    return text.normalize("NFKC").toLowerCase();
+}
+
+/**
+ * テキストの中で検索語に一致する範囲を返す
+ *
+ * 範囲は元のテキストでのインデックスで、重ならないものを前から順に返します。
+ * 検索語が空（空白のみを含む）の場合は空の配列を返します。
+ *
+ * @param {string} text 照合するテキスト
+ * @param {string} query 検索語
+ * @returns {Array<{ start: number, end: number }>} 一致した範囲（endは含まない）
+ */
+export function findMatches(text, query) {
+    const normalizedQuery = normalizeForSearch(query.trim());
+    if (normalizedQuery.length === 0) {
+        return [];
+    }
+    // 正規化した文字ごとに、元のテキストでの範囲を記録する
+    const segments = [];
+    let normalizedText = "";
+    let offset = 0;
+    splitGraphemes(text).forEach(grapheme => {
+        const normalized = normalizeForSearch(grapheme);
+        segments.push({ normalizedStart: normalizedText.length, start: offset, end: offset + grapheme.length });
+        normalizedText += normalized;
+        offset += grapheme.length;
+    });
+    // 正規化した位置を含む文字の、元のテキストでの範囲を求める
+    const findSegment = (normalizedIndex) => {
+        return segments.findLast(segment => segment.normalizedStart <= normalizedIndex);
+    };
+    const matches = [];
+    let index = normalizedText.indexOf(normalizedQuery);
+    while (index !== -1) {
+        const matchEnd = index + normalizedQuery.length;
+        const start = findSegment(index).start;
+        const end = findSegment(matchEnd - 1).end;
+        const lastMatch = matches[matches.length - 1];
+        // 1文字が複数の文字に正規化される場合、隣り合う一致が同じ文字にかかることがある
+        if (lastMatch && start < lastMatch.end) {
+            lastMatch.end = Math.max(lastMatch.end, end);
+        } else {
+            matches.push({ start, end });
+        }
+        index = normalizedText.indexOf(normalizedQuery, matchEnd);
+    }
+    return matches;
+}
+
+/**
+ * テキストが検索語に一致するかどうか
+ * 検索語が空の場合は、すべてのテキストが一致するとみなす
+ * ハイライトする範囲と食い違わないよう、findMatches()と同じ方法で照合する
+ * @param {string} text
+ * @param {string} query
+ * @returns {boolean}
+ */
+export function matchesQuery(text, query) {
+    return query.trim().length === 0 || findMatches(text, query).length > 0;
+}
@@ -0,0 +1,106 @@
+/**
+ * IndexedDBStorageAdapterクラス - IndexedDBにデータを保存するStorageAdapter
+ *
+ * redux-persistでlocalforageなどをstorageとして使う場合に相当します。
+ * localStorageよりも大きなデータを扱え、メインスレッドをブロックしません。
+ * データは1つのオブジェクトストアの1つのキーに、構造化複製されて保存されます。
+ */
+import { StorageAdapter } from "./StorageAdapter.js";
+
+/**
+ * IDBRequestをPromiseに変換する
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.addEventListener("success", () => resolve(request.result));
+        request.addEventListener("error", () => reject(request.error));
+    });
+}
+
+/**
+ * IDBTransactionの完了をPromiseに変換する
+ *
+ * リクエストが成功しても、容量の超過などでトランザクションが中断されると書き込みは反映されません。
+ * 中断された場合は失敗として扱います。
+ *
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.addEventListener("complete", () => resolve());
+        transaction.addEventListener("abort", () => reject(transaction.error ?? new Error("IndexedDBのトランザクションが中断されました")));
+    });
+}
+
+export class IndexedDBStorageAdapter extends StorageAdapter {
+    #databaseName;
+    #storeName;
+    #key;
+    #indexedDB;
+    // 開いたデータベースへの接続（初回アクセス時に開く。開けなかった場合は次のアクセスで開き直す）
+    #databasePromise = null;
+
+    /**
+     * @param {{ databaseName: string, storeName?: string, key?: string, indexedDB?: IDBFactory }} options
+     */
+    constructor({ databaseName, storeName = "state", key = "root", indexedDB = window.indexedDB }) {
+        super();
+        this.#databaseName = databaseName;
+        this.#storeName = storeName;
+        this.#key = key;
+        this.#indexedDB = indexedDB;
+    }
+
+    /**
+     * データベースを開く。オブジェクトストアが無ければ作成する
+     * @returns {Promise<IDBDatabase>}
+     */
+    #openDatabase() {
+        if (!this.#databasePromise) {
+            const request = this.#indexedDB.open(this.#databaseName, 1);
+            request.addEventListener("upgradeneeded", () => {
+                request.result.createObjectStore(this.#storeName);
+            });
+            this.#databasePromise = promisifyRequest(request).catch(error => {
+                this.#databasePromise = null;
+                throw error;
+            });
+        }
+        return this.#databasePromise;
+    }
+
+    /**
+     * オブジェクトストアに対する1つのリクエストをトランザクション内で実行する
+     *
+     * リクエストの結果は、トランザクションが完了してから返します。
+     *
+     * @param {IDBTransactionMode} mode
+     * @param {function(IDBObjectStore): IDBRequest} callback
+     * @returns {Promise<any>}
+     */
+    async #request(mode, callback) {
+        const database = await this.#openDatabase();
+        const transaction = database.transaction(this.#storeName, mode);
+        const [result] = await Promise.all([
+            promisifyRequest(callback(transaction.objectStore(this.#storeName))),
+            promisifyTransaction(transaction)
+        ]);
+        return result;
+    }
+
+    async load() {
+        const data = await this.#request("readonly", store => store.get(this.#key));
+        return data === undefined ? null : data;
+    }
+
+    async save(data) {
+        await this.#request("readwrite", store => store.put(data, this.#key));
+    }
+
+    async clear() {
+        await this.#request("readwrite", store => store.delete(this.#key));
+    }
+}
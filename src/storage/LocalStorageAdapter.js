@@ -0,0 +1,39 @@
+/**
+ * LocalStorageAdapterクラス - localStorageにデータを保存するStorageAdapter
+ *
+ * redux-persistのデフォルトのstorage（redux-persist/lib/storage）に相当します。
+ * データはJSON文字列として1つのキーに保存されます。
+ */
+import { StorageAdapter } from "./StorageAdapter.js";
+
+export class LocalStorageAdapter extends StorageAdapter {
+    #key;
+    #storage;
+
+    /**
+     * @param {string} key 保存先のキー
+     * @param {Storage} [storage] 保存先のStorage（デフォルトはwindow.localStorage）
+     */
+    constructor(key, storage = window.localStorage) {
+        super();
+        this.#key = key;
+        this.#storage = storage;
+    }
+
+    async load() {
+        const json = this.#storage.getItem(this.#key);
+        return json === null ? null : JSON.parse(json);
+    }
+
+    async loadRaw() {
+        return this.#storage.getItem(this.#key);
+    }
+
+    async save(data) {
+        this.#storage.setItem(this.#key, JSON.stringify(data));
+    }
+
+    async clear() {
+        this.#storage.removeItem(this.#key);
+    }
+}
@@ -0,0 +1,36 @@
+/**
+ * MemoryStorageAdapterクラス - メモリ上にデータを保持するStorageAdapter
+ *
+ * ページをリロードするとデータは失われます。
+ * テストや、永続化を行いたくない場合に使用します。
+ * 保存時にJSONへ変換して保持するため、呼び出し元のオブジェクトを
+ * 後から変更しても保存済みのデータには影響しません。
+ */
+import { StorageAdapter } from "./StorageAdapter.js";
+
+export class MemoryStorageAdapter extends StorageAdapter {
+    // JSON文字列として保持したデータ（未保存の場合はnull）
+    #json = null;
+
+    /**
+     * @param {object|null} [initialData] 初期データ
+     */
+    constructor(initialData = null) {
+        super();
+        if (initialData !== null) {
+            this.#json = JSON.stringify(initialData);
+        }
+    }
+
+    async load() {
+        return this.#json === null ? null : JSON.parse(this.#json);
+    }
+
+    async save(data) {
+        this.#json = JSON.stringify(data);
+    }
+
+    async clear() {
+        this.#json = null;
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * StorageAdapterクラス - redux-persistのStorage Engineに相当するインターフェース
+ *
+ * redux-persistでは、Stateの保存先（localStorage、IndexedDB、AsyncStorageなど）を
+ * storageオプションとして差し替えられるようになっています。
+ * このクラスはその差し替え可能な保存先の共通インターフェースを定義します。
+ *
+ * 実装クラスは以下の非同期メソッドを提供します：
+ * - load(): 保存済みのデータを読み込む（存在しない場合はnull）
+ * - save(data): データを保存する
+ * - clear(): 保存済みのデータを削除する
+ * - loadRaw(): 保存済みのデータを保存されている形のまま読み込む（load()で読み込めないデータを退避するために使う）
+ *
+ * 保存するデータはJSONとしてシリアライズできるプレーンなオブジェクトです。
+ */
+export class StorageAdapter {
+    /**
+     * 保存済みのデータを読み込む
+     * @returns {Promise<object|null>} 保存済みのデータ。存在しない場合はnull
+     */
+    async load() {
+        throw new Error(`${this.constructor.name}#load() is not implemented`);
+    }
+
+    /**
+     * 保存済みのデータを、保存されている形のまま読み込む
+     *
+     * load()が失敗した（壊れたデータが保存されている）場合に、そのデータを退避するために使います。
+     * 保存するときに変換する実装クラスは、変換する前の値（JSON文字列など）を返すようオーバーライドします。
+     *
+     * @returns {Promise<*>} 保存済みのデータ。存在しない場合はnull
+     */
+    async loadRaw() {
+        return this.load();
+    }
+
+    /**
+     * データを保存する
+     * @param {object} data JSONとしてシリアライズできるデータ
+     * @returns {Promise<void>}
+     */
+    async save(data) {
+        throw new Error(`${this.constructor.name}#save() is not implemented`);
+    }
+
+    /**
+     * 保存済みのデータを削除する
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        throw new Error(`${this.constructor.name}#clear() is not implemented`);
+    }
+}
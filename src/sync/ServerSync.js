@@ -0,0 +1,603 @@
+/**
+ * ServerSyncクラス - RESTのサーバーとTodoリストを同期する（オフラインファースト）
+ *
+ * redux-offlineのように、操作はまずローカルのStateに反映し、サーバーへの送信は後から行います。
+ * オフラインの間に変更したTodoやプロジェクトは「未同期」として記録し、
+ * 接続が戻ったら再送します。通信に失敗した場合は、間隔を倍にしながら再試行します（指数バックオフ）。
+ *
+ * 未同期の変更の記録:
+ * 操作（Action）の列ではなく、サーバーから最後に受け取った内容（とリビジョン番号）を記録し、
+ * ローカルの内容と異なるTodoやプロジェクトを未同期とみなします。
+ * 同じTodoを何度変更しても、送信するのは最新の内容の1回だけです。
+ * 変更してから元に戻した場合（undoなど）は、未同期ではなくなります。
+ *
+ * サーバーのAPI（baseUrlからの相対パス、collectionは"projects"または"todos"）:
+ * - GET    {collection}              → 200 { records: [{ id, revision, data }] }
+ * - PUT    {collection}/{id}         本文 { baseRevision, data }
+ *                                     → 200 { record }、競合した場合は409 { record }
+ * - DELETE {collection}/{id}?baseRevision=n
+ *                                     → 204（404も削除済みとして扱う）、競合した場合は409 { record }
+ *                                     サーバーから受け取っていないレコード（送信中に応答を受け取れなかった新規作成など）は
+ *                                     baseRevisionを付けずに削除する
+ * revisionはレコードごとの番号で、サーバーで変更されるたびに増えます。
+ * baseRevisionは、送信する変更の元になったリビジョンです（新規作成の場合はnull）。
+ * サーバーのレコードのリビジョンがbaseRevisionと異なる場合、サーバーは変更せずに409と現在のレコード
+ * （削除済みならnull）を返します。
+ *
+ * 競合の解決:
+ * - 両方で変更した場合: ローカルで変更したプロパティはローカルの値を、それ以外はサーバーの値を採用する
+ * - 一方で削除した場合: 削除を優先する
+ * - 別の端末で同じIDのレコードを作成していた場合: 内容が同じなら同じものとみなし、
+ *   異なればローカルのレコードに新しいIDを付け直してから送信する
+ * Todoの並び順は同期しません。サーバーから受け取った新しいTodoは末尾に並びます。
+ */
+import { EventEmitter } from "../EventEmitter.js";
+import { syncTodosAction } from "../model/todoActions.js";
+import { ProjectModel } from "../model/ProjectModel.js";
+import { TodoItemModel } from "../model/TodoItemModel.js";
+import { systemClock } from "../reminder/ReminderScheduler.js";
+
+// 同期するレコードの種類（プロジェクトを先に送信する）
+const COLLECTIONS = ["projects", "todos"];
+
+/**
+ * レコードを識別するキーを返す
+ * @param {string} collection
+ * @param {number} id
+ * @returns {string} "todos/1"のような文字列
+ */
+function toKey(collection, id) {
+    return `${collection}/${id}`;
+}
+
+/**
+ * キーをレコードの種類とIDに分ける
+ * @param {string} key
+ * @returns {{ collection: string, id: number }}
+ */
+function parseKey(key) {
+    const [collection, id] = key.split("/");
+    return { collection, id: Number(id) };
+}
+
+/**
+ * 2つのレコードの内容（toJSON()の値）が同じかどうか
+ * @param {object|null|undefined} a
+ * @param {object|null|undefined} b
+ * @returns {boolean}
+ */
+function isSameData(a, b) {
+    if (!a || !b) {
+        return !a && !b;
+    }
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => a[key] === b[key]);
+}
+
+/**
+ * 両方で変更したレコードを、プロパティごとにマージする
+ * @param {object|null} baseData 両方の変更の元になった内容（新規作成の場合はnull）
+ * @param {object} localData ローカルの内容
+ * @param {object} remoteData サーバーの内容
+ * @returns {object}
+ */
+function mergeData(baseData, localData, remoteData) {
+    const merged = { ...remoteData };
+    Object.keys(localData).forEach(key => {
+        if (!baseData || localData[key] !== baseData[key]) {
+            merged[key] = localData[key];
+        }
+    });
+    return merged;
+}
+
+/**
+ * 再試行しても成功する見込みがあるHTTPステータスかどうか
+ * @param {number} status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+export class ServerSync extends EventEmitter {
+    #todoListModel;
+    #baseUrl;
+    #fetch;
+    #storage;
+    #window;
+    #clock;
+    #retryDelay;
+    #maxRetryDelay;
+    #pollInterval;
+    // キーごとに、サーバーから最後に受け取ったレコード { revision, data }
+    #serverRecords = new Map();
+    // ローカルの内容がサーバーと異なるレコードのキー
+    #pendingKeys = new Set();
+    // 連続して失敗した回数（成功すると0に戻る）
+    #failureCount = 0;
+    #timerId = null;
+    #isFlushing = false;
+    #isStarted = false;
+    #unsubscribe = null;
+    // 保存処理を直列に実行するためのPromise
+    #pendingSave = Promise.resolve();
+
+    /**
+     * @param {import("../model/TodoListModel.js").TodoListModel} todoListModel 同期するTodoListModel
+     * @param {object} options
+     *   baseUrl: サーバーのAPIのURL（"http://localhost:3000/api/"など）
+     *   storage: サーバーから受け取ったレコードの保存先（省略した場合は保存せず、起動するたびにすべて照合する）
+     *   fetch: HTTPリクエストの実装（テストでは差し替えられる）
+     *   window: online/offlineイベントを購読するwindow
+     *   clock: 現在時刻とタイマーの実装
+     *   retryDelay: 最初の再試行までの待ち時間（ミリ秒）。失敗するたびに倍にする
+     *   maxRetryDelay: 再試行までの待ち時間の上限（ミリ秒）
+     *   pollInterval: サーバーの変更を取得する間隔（ミリ秒、0の場合は定期的に取得しない）
+     */
+    constructor(todoListModel, {
+        baseUrl,
+        storage = null,
+        fetch = (...args) => globalThis.fetch(...args),
+        window: targetWindow = window,
+        clock = systemClock,
+        retryDelay = 1000,
+        maxRetryDelay = 60000,
+        pollInterval = 30000
+    }) {
+        super();
+        this.#todoListModel = todoListModel;
+        // 相対パスを連結できるよう、末尾を"/"にそろえる
+        this.#baseUrl = baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`;
+        this.#storage = storage;
+        this.#fetch = fetch;
+        this.#window = targetWindow;
+        this.#clock = clock;
+        this.#retryDelay = retryDelay;
+        this.#maxRetryDelay = maxRetryDelay;
+        this.#pollInterval = pollInterval;
+    }
+
+    /**
+     * 同期を開始する
+     *
+     * 保存済みのStateを読み込んだ後に呼び出します。
+     * 読み込む前に開始すると、サーバーのレコードがローカルで削除されたとみなされるためです。
+     *
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.#isStarted) {
+            return;
+        }
+        this.#isStarted = true;
+        let data;
+        try {
+            data = this.#storage ? await this.#storage.load() : null;
+        } catch (error) {
+            // 読み込めなかった場合は、もう一度start()を呼べば開始し直せるようにする
+            this.#isStarted = false;
+            throw error;
+        }
+        (data?.records ?? []).forEach(({ key, revision, data: recordData }) => {
+            this.#serverRecords.set(key, { revision, data: recordData });
+        });
+        if (!this.#isStarted) {
+            return;
+        }
+        this.#unsubscribe = this.#todoListModel.onChange(this.#handleLocalChange);
+        this.#window.addEventListener("online", this.#handleOnline);
+        this.#window.addEventListener("offline", this.#handleOffline);
+        this.#updatePendingKeys(this.#getAllKeys());
+        this.#scheduleFlush(0);
+    }
+
+    /**
+     * 同期を終了する（未同期の変更は、次に開始したときに送信する）
+     */
+    stop() {
+        if (!this.#isStarted) {
+            return;
+        }
+        this.#isStarted = false;
+        this.#unsubscribe?.();
+        this.#unsubscribe = null;
+        this.#window.removeEventListener("online", this.#handleOnline);
+        this.#window.removeEventListener("offline", this.#handleOffline);
+        this.#cancelFlush();
+    }
+
+    /**
+     * 同期の状態の変更リスナーを登録する（未同期のレコードやオンライン状態が変わったときに呼ばれる）
+     * @param {function(): void} listener
+     * @returns {function(): void} リスナーを解除する関数
+     */
+    onChange(listener) {
+        return this.addEventListener("change", listener);
+    }
+
+    /**
+     * `onChange`で登録したリスナー関数を解除する
+     * @param {Function} listener
+     */
+    offChange(listener) {
+        this.removeEventListener("change", listener);
+    }
+
+    /**
+     * 未同期の変更があるTodoのIDを返す（削除したTodoは含まない）
+     * @returns {Set<number>}
+     */
+    getPendingTodoIds() {
+        const todoIds = new Set(this.#todoListModel.getTodoItems().map(todoItem => todoItem.id));
+        return new Set([...this.#pendingKeys]
+            .map(parseKey)
+            .filter(({ collection, id }) => collection === "todos" && todoIds.has(id))
+            .map(({ id }) => id));
+    }
+
+    /**
+     * @returns {boolean} オフラインならtrue
+     */
+    isOffline() {
+        return this.#window.navigator?.onLine === false;
+    }
+
+    /**
+     * ローカルでの変更を未同期として記録し、送信を予約する
+     * @param {{ added: number[], updated: number[], removed: number[], projectsChanged: boolean }} changes
+     */
+    #handleLocalChange = ({ added, updated, removed, projectsChanged }) => {
+        const keys = [...added, ...updated, ...removed].map(id => toKey("todos", id));
+        if (projectsChanged) {
+            keys.push(...this.#getAllKeys().filter(key => key.startsWith("projects/")));
+        }
+        this.#updatePendingKeys(keys);
+        // 再試行を待っている間は、待ち時間が過ぎるまで送信しない
+        if (this.#failureCount === 0) {
+            this.#scheduleFlush(0);
+        }
+    };
+
+    #handleOnline = () => {
+        this.#failureCount = 0;
+        this.emit("change");
+        this.#scheduleFlush(0);
+    };
+
+    #handleOffline = () => {
+        this.emit("change");
+    };
+
+    /**
+     * ローカルとサーバーの両方にあるレコードのキーを返す
+     * @returns {string[]}
+     */
+    #getAllKeys() {
+        const keys = new Set(this.#serverRecords.keys());
+        this.#todoListModel.getProjects().forEach(project => keys.add(toKey("projects", project.id)));
+        this.#todoListModel.getTodoItems().forEach(todoItem => keys.add(toKey("todos", todoItem.id)));
+        return [...keys];
+    }
+
+    /**
+     * ローカルのレコードの内容を返す
+     * @param {string} key
+     * @returns {object|null} 存在しない（削除した）場合はnull
+     */
+    #getLocalData(key) {
+        const { collection, id } = parseKey(key);
+        const records = collection === "projects" ? this.#todoListModel.getProjects() : this.#todoListModel.getTodoItems();
+        return records.find(record => record.id === id)?.toJSON() ?? null;
+    }
+
+    /**
+     * 指定したレコードが未同期かどうかを、ローカルとサーバーの内容を比べて更新する
+     * @param {string[]} keys
+     */
+    #updatePendingKeys(keys) {
+        let isChanged = false;
+        keys.forEach(key => {
+            const isPending = !isSameData(this.#getLocalData(key), this.#serverRecords.get(key)?.data);
+            if (isPending !== this.#pendingKeys.has(key)) {
+                isChanged = true;
+                if (isPending) {
+                    this.#pendingKeys.add(key);
+                } else {
+                    this.#pendingKeys.delete(key);
+                }
+            }
+        });
+        if (isChanged) {
+            this.emit("change");
+        }
+    }
+
+    /**
+     * 送信と取得を予約する
+     * @param {number} delay
+     */
+    #scheduleFlush(delay) {
+        this.#cancelFlush();
+        this.#timerId = this.#clock.setTimeout(() => {
+            this.#timerId = null;
+            this.#flush();
+        }, delay);
+    }
+
+    #cancelFlush() {
+        if (this.#timerId !== null) {
+            this.#clock.clearTimeout(this.#timerId);
+            this.#timerId = null;
+        }
+    }
+
+    /**
+     * 未同期の変更を送信し、サーバーの変更を取得する
+     *
+     * 同時に1つだけ実行します。実行中に変更された場合も、ループの中で続けて送信します。
+     * 通信に失敗した場合は、待ち時間を倍にしながら再試行を予約します。
+     */
+    async #flush() {
+        if (this.#isFlushing || !this.#isStarted || this.isOffline()) {
+            return;
+        }
+        this.#isFlushing = true;
+        // 競合が繰り返し起こる場合に送信し続けないよう、1回の実行で同じレコードを送る回数を制限する
+        const attempts = new Map();
+        try {
+            let key;
+            while (this.#isStarted && (key = this.#nextPendingKey()) !== undefined) {
+                attempts.set(key, (attempts.get(key) ?? 0) + 1);
+                if (attempts.get(key) > 3) {
+                    throw new Error(`${key}の競合を解決できませんでした`);
+                }
+                await this.#push(key);
+            }
+            if (this.#isStarted) {
+                await this.#pull();
+            }
+            this.#failureCount = 0;
+            if (this.#pollInterval > 0 && this.#isStarted && this.#timerId === null) {
+                this.#scheduleFlush(this.#pollInterval);
+            }
+        } catch (error) {
+            console.error("サーバーとの同期に失敗しました", error);
+            this.#failureCount++;
+            if (this.#isStarted) {
+                this.#scheduleFlush(Math.min(this.#retryDelay * 2 ** (this.#failureCount - 1), this.#maxRetryDelay));
+            }
+        } finally {
+            this.#isFlushing = false;
+            this.emit("change");
+        }
+    }
+
+    /**
+     * 次に送信するレコードのキーを返す（プロジェクトを先に送る）
+     * @returns {string|undefined}
+     */
+    #nextPendingKey() {
+        const pendingKeys = [...this.#pendingKeys];
+        return pendingKeys.find(key => key.startsWith("projects/")) ?? pendingKeys[0];
+    }
+
+    /**
+     * HTTPリクエストを送る
+     *
+     * 通信エラーや再試行できるステータスの場合は例外を投げます。
+     *
+     * @param {string} method
+     * @param {string} path baseUrlからの相対パス
+     * @param {object} [body]
+     * @returns {Promise<{ status: number, body: any }>}
+     */
+    async #request(method, path, body) {
+        const response = await this.#fetch(new URL(path, this.#baseUrl).toString(), {
+            method,
+            headers: body === undefined ? {} : { "Content-Type": "application/json" },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        if (isRetryableStatus(response.status)) {
+            throw new Error(`${method} ${path}: HTTP ${response.status}`);
+        }
+        const text = await response.text();
+        return { status: response.status, body: text === "" ? null : JSON.parse(text) };
+    }
+
+    /**
+     * 1つのレコードの変更（作成・更新・削除）を送信する
+     * @param {string} key
+     */
+    async #push(key) {
+        const { collection, id } = parseKey(key);
+        const localData = this.#getLocalData(key);
+        const serverRecord = this.#serverRecords.get(key);
+        const baseRevision = serverRecord?.revision ?? null;
+        const deleteQuery = baseRevision === null ? "" : `?${new URLSearchParams({ baseRevision })}`;
+        const response = localData
+            ? await this.#request("PUT", `${collection}/${id}`, { baseRevision, data: localData })
+            : await this.#request("DELETE", `${collection}/${id}${deleteQuery}`);
+        if (response.status === 409) {
+            this.#resolveConflict(key, localData, response.body.record);
+        } else if (response.status >= 200 && response.status < 300 || (!localData && response.status === 404)) {
+            // 送信した内容をサーバーの内容として記録する（送信中に変更されていれば未同期のまま残る）
+            if (localData) {
+                this.#serverRecords.set(key, { revision: response.body.record.revision, data: localData });
+            } else {
+                this.#serverRecords.delete(key);
+            }
+        } else {
+            // 再試行しても成功しないため、次にローカルで変更されるまで送信しない
+            console.error(`${key}を同期できませんでした: HTTP ${response.status}`);
+            this.#pendingKeys.delete(key);
+            return;
+        }
+        this.#saveServerRecords();
+        this.#updatePendingKeys([key]);
+    }
+
+    /**
+     * 送信した変更がサーバーの変更と競合した場合に、ローカルのレコードを解決する
+     *
+     * 解決後もローカルの内容がサーバーと異なる場合は未同期のまま残し、
+     * サーバーの新しいリビジョンを元にして送信し直します。
+     *
+     * @param {string} key
+     * @param {object|null} localData 送信したローカルの内容（削除した場合はnull）
+     * @param {{ id: number, revision: number, data: object }|null} remoteRecord サーバーの現在のレコード（削除済みならnull）
+     */
+    #resolveConflict(key, localData, remoteRecord) {
+        const baseData = this.#serverRecords.get(key)?.data ?? null;
+        if (!remoteRecord) {
+            // サーバーで削除されていた場合は、削除を優先してローカルでも削除する
+            this.#serverRecords.delete(key);
+            if (localData) {
+                this.#applyRemoteRecords([{ key, data: null }]);
+            }
+            return;
+        }
+        this.#serverRecords.set(key, { revision: remoteRecord.revision, data: remoteRecord.data });
+        if (!localData) {
+            // ローカルで削除していた場合は、削除を優先する（新しいリビジョンで削除し直す）
+            return;
+        }
+        if (!baseData && !isSameData(localData, remoteRecord.data)) {
+            // 別の端末で同じIDのレコードが作成されていた
+            this.#reassignLocalId(key, remoteRecord.data);
+            return;
+        }
+        const mergedData = mergeData(baseData, localData, remoteRecord.data);
+        this.#applyRemoteRecords([{ key, data: mergedData }]);
+    }
+
+    /**
+     * サーバーのレコードを取得し、ローカルに反映する
+     *
+     * 未同期のレコードは、送信するときに競合として解決するため上書きしません。
+     * 以前に受け取ったレコードがサーバーに無ければ、サーバーで削除されたとみなします。
+     */
+    async #pull() {
+        const changes = [];
+        const receivedKeys = new Set();
+        for (const collection of COLLECTIONS) {
+            const { body } = await this.#request("GET", collection);
+            body.records.forEach(({ id, revision, data }) => {
+                const key = toKey(collection, id);
+                receivedKeys.add(key);
+                const serverRecord = this.#serverRecords.get(key);
+                if (this.#pendingKeys.has(key) || (serverRecord && serverRecord.revision >= revision)) {
+                    return;
+                }
+                this.#serverRecords.set(key, { revision, data });
+                changes.push({ key, data });
+            });
+        }
+        [...this.#serverRecords.keys()].forEach(key => {
+            if (!receivedKeys.has(key) && !this.#pendingKeys.has(key)) {
+                this.#serverRecords.delete(key);
+                changes.push({ key, data: null });
+            }
+        });
+        if (changes.length > 0) {
+            this.#saveServerRecords();
+            this.#applyRemoteRecords(changes);
+        }
+    }
+
+    /**
+     * サーバーのレコード（またはマージした内容）をSYNC Actionでローカルに反映する
+     *
+     * SYNC Actionは操作履歴に記録されないため、サーバーからの変更は元に戻す対象になりません。
+     * 反映による変更もchangeイベントで受け取り、サーバーの内容と比べて未同期かどうかを更新します。
+     *
+     * @param {Array<{ key: string, data: object|null }>} changes dataがnullのレコードは削除する
+     */
+    #applyRemoteRecords(changes) {
+        const upserted = [];
+        const removed = [];
+        const projectById = new Map(this.#todoListModel.getProjects().map(project => [project.id, project]));
+        let projectsChanged = false;
+        changes.forEach(({ key, data }) => {
+            const { collection, id } = parseKey(key);
+            if (collection === "todos") {
+                if (data) {
+                    upserted.push(new TodoItemModel({ ...data, id }));
+                } else {
+                    removed.push(id);
+                }
+                return;
+            }
+            projectsChanged = true;
+            if (data) {
+                projectById.set(id, new ProjectModel({ ...data, id }));
+            } else {
+                projectById.delete(id);
+            }
+        });
+        // プロジェクトが1つも無くならないよう、その場合はプロジェクトの一覧を変更しない
+        const projects = projectsChanged && projectById.size > 0 ? [...projectById.values()] : null;
+        this.#todoListModel.dispatch(syncTodosAction({ upserted, removed, order: null, projects }));
+    }
+
+    /**
+     * ローカルで作成したレコードに新しいIDを付け直し、同じIDのサーバーのレコードをローカルに反映する
+     *
+     * Todoの場合はサブタスクの親のIDを、プロジェクトの場合は所属するTodoのプロジェクトのIDを付け直します。
+     * 付け直したレコードは、新規作成として後から送信されます。
+     *
+     * @param {string} key
+     * @param {object} remoteData 同じIDのサーバーのレコードの内容
+     */
+    #reassignLocalId(key, remoteData) {
+        const { collection, id } = parseKey(key);
+        const todoItems = this.#todoListModel.getTodoItems();
+        if (collection === "todos") {
+            const todoItem = todoItems.find(todo => todo.id === id);
+            // idを指定しなければ新しいIDが採番される
+            const newTodoItem = new TodoItemModel({ ...todoItem.toJSON(), id: undefined });
+            const children = todoItems
+                .filter(todo => todo.parentId === id)
+                .map(todo => new TodoItemModel({ ...todo.toJSON(), parentId: newTodoItem.id }));
+            // 付け直したTodoは元の位置に、サーバーのTodoは末尾に並べる
+            this.#todoListModel.dispatch(syncTodosAction({
+                upserted: [newTodoItem, ...children, new TodoItemModel({ ...remoteData, id })],
+                removed: [],
+                order: todoItems.map(todo => todo.id === id ? newTodoItem.id : todo.id)
+            }));
+            return;
+        }
+        const projects = this.#todoListModel.getProjects();
+        const project = projects.find(current => current.id === id);
+        const newProject = new ProjectModel({ name: project.name });
+        this.#todoListModel.dispatch(syncTodosAction({
+            upserted: todoItems
+                .filter(todo => todo.projectId === id)
+                .map(todo => new TodoItemModel({ ...todo.toJSON(), projectId: newProject.id })),
+            removed: [],
+            order: null,
+            projects: [
+                ...projects.map(current => current.id === id ? newProject : current),
+                new ProjectModel({ ...remoteData, id })
+            ]
+        }));
+    }
+
+    /**
+     * サーバーから受け取ったレコードを保存する
+     * 保存に失敗しても同期は継続する（次に起動したときにすべて照合し直す）
+     */
+    #saveServerRecords() {
+        if (!this.#storage) {
+            return;
+        }
+        const data = {
+            records: [...this.#serverRecords].map(([key, { revision, data: recordData }]) => ({ key, revision, data: recordData }))
+        };
+        this.#pendingSave = this.#pendingSave
+            .then(() => this.#storage.save(data))
+            .catch(error => {
+                console.error("同期の状態の保存に失敗しました", error);
+            });
+    }
+}
@@ -0,0 +1,270 @@
+/**
+ * TabSyncクラス - 複数のブラウザタブ間でTodoリストを同期する
+ *
+ * redux-state-sync（Redux StoreのActionをタブ間で共有するライブラリ）に相当します。
+ * 同じアプリを複数のタブで開いたとき、あるタブでの変更を他のタブへ送り、
+ * 各タブのTodoListModelを同じ状態に保ちます。
+ *
+ * 同期の流れ:
+ * 1. TodoListModelのchangeイベントで、変更されたTodo（変更内容）を受け取る
+ * 2. 変更されたTodoの内容をBroadcastChannelで他のタブへ送る
+ *    （BroadcastChannelが使えない環境ではlocalStorageのstorageイベントを使う）
+ * 3. 受け取ったタブはSYNC Actionをdispatchして変更を反映する
+ *    反映による変更は送り返さない
+ *
+ * 競合の解決（Last Writer Wins）:
+ * 同じIDのTodoが複数のタブでほぼ同時に変更された場合、
+ * 変更ごとに付けたタイムスタンプが新しい方を採用します。
+ * タイムスタンプが同じ場合はタブIDの文字列比較で大きい方を採用するため、
+ * どのタブでも同じ結果になります。
+ * タイムスタンプは受け取った変更のものより必ず大きくなるように進めます（Lamport時計）。
+ * プロジェクトの一覧は、並び順と同じく一覧全体を1つの値として扱い、新しい方を採用します。
+ *
+ * IDの重複:
+ * TodoのIDは各タブの連番で採番するため、複数のタブでほぼ同時に追加すると、別々のTodoに同じIDが付くことがあります。
+ * 他のタブで追加されたTodoと同じIDのTodoを、このタブでも追加していた場合は、同じ規則で新しい方の追加にIDを譲り、
+ * 古い方を追加したタブが自分のTodoに新しいIDを付け直して送り直します（どのタブでも同じ側が付け直すため、両方のTodoが残ります）。
+ */
+import { syncTodosAction } from "../model/todoActions.js";
+import { ProjectModel } from "../model/ProjectModel.js";
+import { TodoItemModel } from "../model/TodoItemModel.js";
+
+/**
+ * 変更の新しさを比較する
+ * @param {{ timestamp: number, tabId: string }} a
+ * @param {{ timestamp: number, tabId: string }} b
+ * @returns {number} aの方が新しければ正の数、古ければ負の数、同じなら0
+ */
+function compareStamps(a, b) {
+    if (a.timestamp !== b.timestamp) {
+        return a.timestamp - b.timestamp;
+    }
+    if (a.tabId === b.tabId) {
+        return 0;
+    }
+    return a.tabId > b.tabId ? 1 : -1;
+}
+
+/**
+ * タブを識別するIDを生成する
+ * @returns {string}
+ */
+function createTabId() {
+    if (globalThis.crypto && typeof globalThis.crypto.randomUUID === "function") {
+        return globalThis.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+export class TabSync {
+    #todoListModel;
+    #channelName;
+    #window;
+    #tabId = createTabId();
+    // BroadcastChannel（使えない環境ではnull）
+    #channel = null;
+    // 最後に採用した変更のタイムスタンプ（Lamport時計）
+    #clock = 0;
+    // TodoのIDごとに、最後に採用した変更のスタンプ（削除も含む）
+    #stamps = new Map();
+    // 最後に採用した並び順の変更のスタンプ
+    #orderStamp = null;
+    // 最後に採用したプロジェクトの一覧の変更のスタンプ
+    #projectsStamp = null;
+    // 受け取った変更を反映している間はtrue（反映による変更を送り返さないため）
+    #isApplyingRemote = false;
+    #unsubscribe = null;
+
+    /**
+     * @param {import("../model/TodoListModel.js").TodoListModel} todoListModel 同期するTodoListModel
+     * @param {{ channelName: string, window?: Window }} options
+     *   channelName: BroadcastChannelの名前（storageイベントを使う場合はlocalStorageのキー）
+     */
+    constructor(todoListModel, { channelName, window: targetWindow = window }) {
+        this.#todoListModel = todoListModel;
+        this.#channelName = channelName;
+        this.#window = targetWindow;
+    }
+
+    /**
+     * 同期を開始する
+     */
+    start() {
+        if (this.#unsubscribe) {
+            return;
+        }
+        this.#unsubscribe = this.#todoListModel.onChange(this.#handleLocalChange);
+        if (typeof this.#window.BroadcastChannel === "function") {
+            this.#channel = new this.#window.BroadcastChannel(this.#channelName);
+            this.#channel.addEventListener("message", this.#handleChannelMessage);
+        } else {
+            this.#window.addEventListener("storage", this.#handleStorage);
+        }
+    }
+
+    /**
+     * 同期を終了する
+     */
+    stop() {
+        if (!this.#unsubscribe) {
+            return;
+        }
+        this.#unsubscribe();
+        this.#unsubscribe = null;
+        if (this.#channel) {
+            this.#channel.removeEventListener("message", this.#handleChannelMessage);
+            this.#channel.close();
+            this.#channel = null;
+        } else {
+            this.#window.removeEventListener("storage", this.#handleStorage);
+        }
+    }
+
+    /**
+     * このタブでの変更を他のタブへ送る
+     * @param {{ added: number[], updated: number[], removed: number[], reordered: boolean, projectsChanged: boolean }} changes
+     */
+    #handleLocalChange = ({ added, updated, removed, reordered, projectsChanged }) => {
+        if (this.#isApplyingRemote) {
+            return;
+        }
+        const stamp = this.#nextStamp();
+        const upsertedIds = new Set([...added, ...updated]);
+        [...upsertedIds, ...removed].forEach(id => {
+            this.#stamps.set(id, stamp);
+        });
+        const todoItems = this.#todoListModel.getTodoItems();
+        // 追加された場合も、他のタブで同じ位置に並ぶよう並び順を送る
+        const order = reordered || added.length > 0 ? todoItems.map(todoItem => todoItem.id) : null;
+        if (order) {
+            this.#orderStamp = stamp;
+        }
+        const projects = projectsChanged ? this.#todoListModel.getProjects().map(project => project.toJSON()) : null;
+        if (projects) {
+            this.#projectsStamp = stamp;
+        }
+        this.#post({
+            ...stamp,
+            upserted: todoItems.filter(todoItem => upsertedIds.has(todoItem.id)).map(todoItem => todoItem.toJSON()),
+            added,
+            removed,
+            order,
+            projects
+        });
+    };
+
+    #handleChannelMessage = (event) => {
+        this.#applyRemoteChange(event.data);
+    };
+
+    #handleStorage = (event) => {
+        if (event.key !== this.#channelName || event.newValue === null) {
+            return;
+        }
+        // 他のスクリプトが同じキーに書き込んだ値など、読み込めない値は無視する
+        let message;
+        try {
+            message = JSON.parse(event.newValue);
+        } catch (error) {
+            console.error("他のタブからの変更を読み込めませんでした", error);
+            return;
+        }
+        this.#applyRemoteChange(message);
+    };
+
+    /**
+     * 他のタブへメッセージを送る
+     * @param {object} message
+     */
+    #post(message) {
+        if (this.#channel) {
+            this.#channel.postMessage(message);
+            return;
+        }
+        // storageイベントは値が変わったときだけ発生するため、毎回異なる値を書き込む
+        this.#window.localStorage.setItem(this.#channelName, JSON.stringify({ ...message, nonce: Math.random() }));
+    }
+
+    /**
+     * このタブで使う新しいスタンプを発行する
+     * @returns {{ timestamp: number, tabId: string }}
+     */
+    #nextStamp() {
+        this.#clock = Math.max(Date.now(), this.#clock + 1);
+        return { timestamp: this.#clock, tabId: this.#tabId };
+    }
+
+    /**
+     * 他のタブから受け取った変更のうち、競合に勝ったものだけを反映する
+     * @param {{ timestamp: number, tabId: string, upserted: object[], added?: number[], removed: number[], order: number[]|null, projects?: object[]|null }} message
+     *   added: upsertedのうち、送ったタブで新しく追加したTodoのID
+     */
+    #applyRemoteChange({ timestamp, tabId, upserted, added = [], removed, order, projects = null }) {
+        if (tabId === this.#tabId) {
+            return;
+        }
+        const stamp = { timestamp, tabId };
+        this.#clock = Math.max(this.#clock, timestamp);
+        // このタブでも同じIDのTodoを追加していて、他のタブの追加の方が新しければ、このタブのTodoのIDを付け直す
+        // （このタブの追加の方が新しい場合は、他のタブが付け直したTodoを後から受け取る）
+        const localIds = new Set(this.#todoListModel.getTodoItems().map(todoItem => todoItem.id));
+        added.forEach(id => {
+            const currentStamp = this.#stamps.get(id);
+            if (localIds.has(id) && currentStamp?.tabId === this.#tabId && compareStamps(stamp, currentStamp) > 0) {
+                this.#reassignLocalId(id);
+            }
+        });
+        const isNewer = (id) => {
+            const currentStamp = this.#stamps.get(id);
+            return !currentStamp || compareStamps(stamp, currentStamp) > 0;
+        };
+        const acceptedUpserted = upserted.filter(item => isNewer(item.id));
+        const acceptedRemoved = removed.filter(id => isNewer(id));
+        [...acceptedUpserted.map(item => item.id), ...acceptedRemoved].forEach(id => {
+            this.#stamps.set(id, stamp);
+        });
+        const acceptedOrder = order && (!this.#orderStamp || compareStamps(stamp, this.#orderStamp) > 0) ? order : null;
+        if (acceptedOrder) {
+            this.#orderStamp = stamp;
+        }
+        const acceptedProjects = projects && (!this.#projectsStamp || compareStamps(stamp, this.#projectsStamp) > 0) ? projects : null;
+        if (acceptedProjects) {
+            this.#projectsStamp = stamp;
+        }
+        this.#isApplyingRemote = true;
+        try {
+            this.#todoListModel.dispatch(syncTodosAction({
+                upserted: acceptedUpserted.map(item => new TodoItemModel(item)),
+                removed: acceptedRemoved,
+                order: acceptedOrder,
+                projects: acceptedProjects && acceptedProjects.map(project => new ProjectModel(project))
+            }));
+        } finally {
+            this.#isApplyingRemote = false;
+        }
+    }
+
+    /**
+     * このタブで追加したTodoに新しいIDを付け直す
+     *
+     * サブタスクの親のIDも付け直します。付け直した変更はchangeイベントで他のタブへ送られ、
+     * 元のIDは、同じIDで追加した他のタブのTodoが使います。
+     *
+     * @param {number} id 付け直すTodoのID
+     */
+    #reassignLocalId(id) {
+        const todoItems = this.#todoListModel.getTodoItems();
+        const todoItem = todoItems.find(todo => todo.id === id);
+        // idを指定しなければ新しいIDが採番される
+        const newTodoItem = new TodoItemModel({ ...todoItem.toJSON(), id: undefined });
+        const children = todoItems
+            .filter(todo => todo.parentId === id)
+            .map(todo => new TodoItemModel({ ...todo.toJSON(), parentId: newTodoItem.id }));
+        // 付け直したTodoは元の位置に並べる（元のIDのTodoは、他のタブのTodoで置き換えられる）
+        this.#todoListModel.dispatch(syncTodosAction({
+            upserted: [newTodoItem, ...children],
+            removed: [],
+            order: todoItems.flatMap(todo => todo.id === id ? [newTodoItem.id, id] : [todo.id])
+        }));
+    }
+}
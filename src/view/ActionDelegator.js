@@ -0,0 +1,169 @@
+/**
+ * ActionDelegatorクラス - イベントデリゲーション（ReactのSynthetic Eventsのルートでのイベント集約に相当）
+ *
+ * Reactは各要素にイベントリスナーを登録せず、ルート要素でまとめてイベントを受け取り、
+ * イベントが発生した要素に対応するハンドラーを呼び出します。
+ * このクラスも同じく、コンテナ要素にイベントの種類ごとに1つだけリスナーを登録し、
+ * イベントが発生した要素のdata-action属性とdata-id属性から、登録されたハンドラーを呼び出します。
+ *
+ * - data-action: 要素が表す操作の名前（"delete"など）。操作とイベントの種類の組に、ハンドラーを登録する
+ * - data-id: 操作の対象のID。操作する要素自身か、その祖先の要素（Todoの行など）に付ける
+ *
+ * 各要素にリスナーを登録しないため、再レンダリングで要素を作り直してもリスナーの登録と破棄は発生しません。
+ * 新しい操作の要素を追加する場合も、data-action属性を付けて、その操作のハンドラーを登録するだけで済みます。
+ *
+ * 使用例:
+ * ```js
+ * const actionDelegator = new ActionDelegator(containerElement);
+ * // <button data-action="delete">を含む<li data-id="1">のボタンをクリックすると、{ id: 1, ... }で呼ばれる
+ * actionDelegator.on("delete", "click", ({ id }) => deleteTodo({ id }));
+ * actionDelegator.start();
+ * ```
+ *
+ * ブラウザのイベントのバブリングと同じく、イベントが発生した要素から祖先へ向かって、
+ * data-action属性を持つ要素ごとにハンドラーを呼び出します（event.stopPropagation()を呼ぶと、そこで止まります）。
+ * コンテナで受け取るため、focus/blurのようにバブリングしないイベントには、focusin/focusoutを使います。
+ */
+export class ActionDelegator {
+    #rootElement;
+    // 登録する [イベントの種類, Map(操作の名前, ハンドラー)] を管理するMap
+    #handlers = new Map();
+    // コンテナに登録したリスナーのイベントの種類
+    #listeningTypes = new Set();
+    #isStarted = false;
+
+    /**
+     * @param {Element} rootElement イベントを受け取るコンテナ要素
+     */
+    constructor(rootElement) {
+        this.#rootElement = rootElement;
+    }
+
+    /**
+     * 操作とイベントの種類の組に、ハンドラーを登録する
+     *
+     * 同じ組に登録済みのハンドラーは置き換えます。start()の後に登録した場合も、すぐにイベントを受け取ります。
+     *
+     * @param {string} action 操作の名前（data-action属性の値）
+     * @param {string} type イベントの種類（"click"、"change"など）
+     * @param {function({ id: number|null, element: HTMLElement, event: Event }): void} handler
+     *   id: data-id属性の値（数値）。data-id属性を持つ要素が無い場合はnull
+     *   element: data-action属性を持つ要素
+     *   event: 発生したイベント
+     * @returns {function(): void} ハンドラーの登録を解除する関数
+     */
+    on(action, type, handler) {
+        if (!this.#handlers.has(type)) {
+            this.#handlers.set(type, new Map());
+        }
+        this.#handlers.get(type).set(action, handler);
+        if (this.#isStarted) {
+            this.#listen(type);
+        }
+        return () => {
+            this.off(action, type, handler);
+        };
+    }
+
+    /**
+     * 操作ごとに、イベントの種類とハンドラーの組をまとめて登録する
+     *
+     * @param {Object<string, Object<string, Function>>} actionHandlers 操作の名前と、{ イベントの種類: ハンドラー }の対応
+     * @returns {function(): void} まとめて登録したハンドラーの登録を解除する関数
+     */
+    register(actionHandlers) {
+        const unregisters = Object.entries(actionHandlers).flatMap(([action, handlers]) => {
+            return Object.entries(handlers).map(([type, handler]) => this.on(action, type, handler));
+        });
+        return () => {
+            unregisters.forEach(unregister => unregister());
+        };
+    }
+
+    /**
+     * `on`で登録したハンドラーの登録を解除する
+     * @param {string} action
+     * @param {string} type
+     * @param {Function} handler 登録したハンドラー（別のハンドラーに置き換えられていた場合は何もしない）
+     */
+    off(action, type, handler) {
+        const handlers = this.#handlers.get(type);
+        if (handlers?.get(action) !== handler) {
+            return;
+        }
+        handlers.delete(action);
+        if (handlers.size === 0) {
+            this.#handlers.delete(type);
+        }
+    }
+
+    /**
+     * コンテナにリスナーを登録し、イベントの受け取りを始める
+     * 登録済みのハンドラーがあるイベントの種類ごとに、リスナーを1つだけ登録します。
+     */
+    start() {
+        if (this.#isStarted) {
+            return;
+        }
+        this.#isStarted = true;
+        this.#handlers.forEach((_, type) => {
+            this.#listen(type);
+        });
+    }
+
+    /**
+     * コンテナに登録したリスナーをすべて解除する
+     * 登録したハンドラーは残るため、再びstart()を呼べば同じハンドラーでイベントを受け取ります。
+     */
+    stop() {
+        this.#isStarted = false;
+        this.#listeningTypes.forEach(type => {
+            this.#rootElement.removeEventListener(type, this.#handleEvent);
+        });
+        this.#listeningTypes.clear();
+    }
+
+    /**
+     * @param {string} type
+     */
+    #listen(type) {
+        if (this.#listeningTypes.has(type)) {
+            return;
+        }
+        this.#listeningTypes.add(type);
+        this.#rootElement.addEventListener(type, this.#handleEvent);
+    }
+
+    /**
+     * コンテナで受け取ったイベントを、data-action属性を持つ要素のハンドラーへ振り分ける
+     *
+     * ハンドラーが再レンダリングで要素を取り除いても振り分け先が変わらないよう、
+     * ブラウザと同じく、ハンドラーを呼ぶ前に振り分け先の要素をすべて求めておきます。
+     *
+     * @param {Event} event
+     */
+    #handleEvent = (event) => {
+        const handlers = this.#handlers.get(event.type);
+        if (!handlers) {
+            return;
+        }
+        const rootElement = this.#rootElement;
+        const targets = [];
+        let targetElement = event.target instanceof Element ? event.target : event.target.parentElement;
+        for (; targetElement && targetElement !== rootElement; targetElement = targetElement.parentElement) {
+            const handler = targetElement.hasAttribute("data-action") ? handlers.get(targetElement.dataset.action) : undefined;
+            if (handler) {
+                const idElement = targetElement.closest("[data-id]");
+                const id = idElement && rootElement.contains(idElement) ? Number(idElement.dataset.id) : null;
+                targets.push({ handler, id, element: targetElement });
+            }
+        }
+        for (const { handler, id, element } of targets) {
+            handler({ id, element, event });
+            // 要素に直接登録したリスナーと同じく、stopPropagation()で祖先の要素のハンドラーを呼ばないようにできる
+            if (event.cancelBubble) {
+                return;
+            }
+        }
+    };
+}
@@ -0,0 +1,178 @@
+/**
+ * ProjectListViewクラス - サイドバーのプロジェクト一覧のコンポーネント
+ *
+ * プロジェクト（名前付きのTodoリスト）の一覧を表示し、
+ * 選択中のプロジェクトの切り替え、名前の変更、削除を行います。
+ * Todoの行をプロジェクトへドラッグ&ドロップすると、そのプロジェクトへ移します。
+ *
+ * 本来のReactでは:
+ * ```jsx
+ * function ProjectList({ projects, activeProjectId, onDeleteProject }) {
+ *   return (
+ *     <ul>
+ *       {projects.map(project =>
+ *         <li key={project.id} className={project.id === activeProjectId ? "selected" : ""}>
+ *           <Link to={`/projects/${project.id}`}>{project.name}</Link>
+ *           <button onClick={() => onDeleteProject({ id: project.id })}>x</button>
+ *         </li>
+ *       )}
+ *     </ul>
+ *   );
+ * }
+ * ```
+ */
+import { element } from "./html-util.js";
+import { TODO_ID_MIME_TYPE } from "./TodoItemView.js";
+
+export class ProjectListView {
+    /**
+     * @param {import("../model/ProjectModel.js").ProjectModel[]} projects Stateから取得したプロジェクトの一覧
+     * @param {function} createProjectHref プロジェクトのIDからリンク先（"#/projects/1"など）を返す関数
+     * @param {function} onStartRenameProject 名前の変更を開始する関数
+     * @param {function} onCommitRenameProject 変更した名前を確定する関数
+     * @param {function} onCancelRenameProject 名前の変更を取り消す関数
+     * @param {function} onDeleteProject DELETE_PROJECT Actionをdispatchする関数
+     * @param {function} onMoveTodoToProject ドロップされたTodoをプロジェクトへ移す関数
+     * @param {number|null} activeProjectId 選択中のプロジェクトのID
+     * @param {number|null} [editingProjectId] 名前を変更中のプロジェクトのID
+     * @param {Map<number, number>} [activeCounts] プロジェクトのIDごとの未完了のTodoの個数
+     * @param {import("../i18n/I18n.js").I18n} i18n 表示する文字列の翻訳
+     * @returns {Element}
+     */
+    createElement(projects, {
+        createProjectHref,
+        onStartRenameProject,
+        onCommitRenameProject,
+        onCancelRenameProject,
+        onDeleteProject,
+        onMoveTodoToProject,
+        activeProjectId,
+        editingProjectId = null,
+        activeCounts = new Map(),
+        i18n
+    }) {
+        const projectListElement = element`<ul class="project-list"></ul>`;
+        projects.forEach(project => {
+            const projectElement = project.id === editingProjectId
+                ? this.#createEditingElement(project, { onCommitRenameProject, onCancelRenameProject, i18n })
+                : this.#createProjectElement(project, {
+                    href: createProjectHref(project.id),
+                    isSelected: project.id === activeProjectId,
+                    // 最後のプロジェクトは削除できないため、削除ボタンを表示しない
+                    canDelete: projects.length > 1,
+                    activeCount: activeCounts.get(project.id) ?? 0,
+                    onStartRenameProject,
+                    onDeleteProject,
+                    onMoveTodoToProject,
+                    i18n
+                });
+            projectListElement.appendChild(projectElement);
+        });
+        return projectListElement;
+    }
+
+    /**
+     * プロジェクトの行の要素を生成する
+     * @param {import("../model/ProjectModel.js").ProjectModel} project
+     * @param {object} props
+     * @returns {Element}
+     */
+    #createProjectElement(project, {
+        href,
+        isSelected,
+        canDelete,
+        activeCount,
+        onStartRenameProject,
+        onDeleteProject,
+        onMoveTodoToProject,
+        i18n
+    }) {
+        const projectElement = element`<li data-key="${project.id}" class="${isSelected ? "selected" : ""}"><a class="project-link" href="${href}" aria-current="${isSelected ? "page" : "false"}">${project.name}</a>
+                                    <span class="project-count" title="${i18n.t("project.activeCount.title")}" aria-label="${i18n.t("project.activeCount.label", { count: activeCount })}">${activeCount}</span>
+                                    <button class="rename" type="button" title="${i18n.t("project.rename")}" aria-label="${i18n.t("project.rename.label", { name: project.name })}">✎</button>
+                                    <button class="delete" type="button" title="${i18n.t("project.delete")}" aria-label="${i18n.t("project.delete.label", { name: project.name })}">x</button>
+                                </li>`;
+        const deleteButtonElement = projectElement.querySelector(".delete");
+        deleteButtonElement.hidden = !canDelete;
+        deleteButtonElement.addEventListener("click", () => {
+            onDeleteProject({
+                id: project.id
+            });
+        });
+        projectElement.querySelector(".rename").addEventListener("click", () => {
+            onStartRenameProject({
+                id: project.id
+            });
+        });
+        projectElement.querySelector(".project-link").addEventListener("dblclick", (event) => {
+            event.preventDefault();
+            onStartRenameProject({
+                id: project.id
+            });
+        });
+        projectElement.addEventListener("dragover", (event) => {
+            if (!event.dataTransfer.types.includes(TODO_ID_MIME_TYPE)) {
+                return;
+            }
+            event.preventDefault();
+            event.dataTransfer.dropEffect = "move";
+            projectElement.classList.add("drop-target");
+        });
+        projectElement.addEventListener("dragleave", () => {
+            projectElement.classList.remove("drop-target");
+        });
+        projectElement.addEventListener("drop", (event) => {
+            projectElement.classList.remove("drop-target");
+            if (!event.dataTransfer.types.includes(TODO_ID_MIME_TYPE)) {
+                return;
+            }
+            event.preventDefault();
+            onMoveTodoToProject({
+                id: Number(event.dataTransfer.getData(TODO_ID_MIME_TYPE)),
+                projectId: project.id
+            });
+        });
+        return projectElement;
+    }
+
+    /**
+     * 名前を変更中の行の要素を生成する
+     *
+     * TodoItemViewの編集モードと同じく、確定や取り消しは最初の1回だけを処理します。
+     *
+     * @param {import("../model/ProjectModel.js").ProjectModel} project
+     * @param {{ onCommitRenameProject: function, onCancelRenameProject: function, i18n: import("../i18n/I18n.js").I18n }} props
+     * @returns {Element}
+     */
+    #createEditingElement(project, { onCommitRenameProject, onCancelRenameProject, i18n }) {
+        const projectElement = element`<li data-key="${project.id}" class="editing"><input type="text" class="edit" value="${project.name}" autocomplete="off" title="${i18n.t("project.name.label")}"></li>`;
+        const editInputElement = projectElement.querySelector(".edit");
+        let isFinished = false;
+        const finish = (callback) => {
+            if (isFinished) {
+                return;
+            }
+            isFinished = true;
+            callback();
+        };
+        const commit = () => finish(() => {
+            onCommitRenameProject({
+                id: project.id,
+                name: editInputElement.value
+            });
+        });
+        editInputElement.addEventListener("keydown", (event) => {
+            if (event.key === "Enter") {
+                commit();
+            } else if (event.key === "Escape") {
+                finish(() => {
+                    onCancelRenameProject({
+                        id: project.id
+                    });
+                });
+            }
+        });
+        editInputElement.addEventListener("blur", commit);
+        return projectElement;
+    }
+}
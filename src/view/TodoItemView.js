@@ -12,7 +12,7 @@
  *
  * このクラスが実装する仮想DOMの特徴:
  * - 宣言的UI: データの状態に基づいてUIを記述
- * - イベントデリゲーション: イベントハンドラーの効率的な管理
+ * - イベントデリゲーション: 要素はdata-action属性だけを持ち、ハンドラーはcreateActionHandlers()でまとめて生成する
  * - コンポーネントの再利用性: 独立した部品として機能
  *
  * 本来のReactコンポーネント:
@@ -39,12 +39,145 @@
  * }
  * ```
  *
- * Reactの最適化テクニック（本来は実装されるべきもの）:
- * - React.memo: 不要な再レンダリングの防止
- * - useCallback: イベントハンドラーのメモ化
- * - key属性: リスト内での効率的な差分検出
+ * Reactの最適化テクニック:
+ * - React.memo: 不要な再レンダリングの防止（本来は実装されるべきもの）
+ * - useCallback: イベントハンドラーのメモ化（本来は実装されるべきもの）
+ * - key属性: リスト内での効率的な差分検出（data-key属性としてrender関数が利用する）
  */
-import { element } from "./html-util.js";
+import { element, html } from "./html-util.js";
+import { findMatches } from "../search/textMatch.js";
+import { TodoPriority } from "../model/TodoItemModel.js";
+import { RecurrenceType, formatRecurrence, parseRecurrence } from "../model/recurrence.js";
+
+// ドラッグ&ドロップで受け渡すデータの種類（アプリ外からのドロップと区別する）
+// サイドバーのプロジェクトへドロップして、別のプロジェクトへ移すときにも使う
+export const TODO_ID_MIME_TYPE = "application/x-todo-id";
+
+/**
+ * Todoリストの要素が表す操作（data-action属性の値）
+ *
+ * 要素はイベントリスナーを持たず、data-action属性と、操作の対象のTodoを表すdata-id属性だけを持ちます。
+ * イベントはリストのコンテナでActionDelegatorが受け取り、createActionHandlers()のハンドラーへ振り分けます。
+ */
+export const TodoAction = Object.freeze({
+    // Todoの行（キーボード操作、ダブルクリック、右クリック、ドラッグ&ドロップ）
+    TODO: "todo",
+    TOGGLE_COMPLETED: "toggle-completed",
+    SET_DUE_DATE: "set-due-date",
+    DELETE: "delete",
+    TOGGLE_CHILDREN: "toggle-children",
+    START_ADD_SUBTASK: "start-add-subtask",
+    CONTEXT_MENU: "context-menu",
+    SET_PRIORITY: "set-priority",
+    EDIT_RECURRENCE: "edit-recurrence",
+    SKIP_OCCURRENCE: "skip-occurrence",
+    STOP_RECURRENCE: "stop-recurrence",
+    // タイトルの編集の入力欄
+    EDIT_TITLE: "edit-title",
+    // サブタスクの入力欄
+    NEW_SUBTASK: "new-subtask",
+    // 繰り返しの設定用の行と、その中の種類の選択、キャンセルボタン
+    RECURRENCE_EDITOR: "recurrence-editor",
+    RECURRENCE_TYPE: "recurrence-type",
+    CANCEL_RECURRENCE: "cancel-recurrence"
+});
+
+// 行にフォーカスがある状態で押すと優先度を設定するキー（コンテキストメニューの並び順と同じ）
+const PRIORITY_SHORTCUT_KEYS = new Map([
+    [TodoPriority.HIGH, "1"],
+    [TodoPriority.MEDIUM, "2"],
+    [TodoPriority.LOW, "3"],
+    [TodoPriority.NONE, "0"]
+]);
+const PRIORITY_BY_SHORTCUT_KEY = new Map(Array.from(PRIORITY_SHORTCUT_KEYS, ([priority, key]) => [key, priority]));
+
+/**
+ * 曜日の名前を返す
+ * @param {number} weekday 曜日（日曜日が0）
+ * @param {string} locale
+ * @returns {string} "月"、"Mon"など
+ */
+function getWeekdayName(weekday, locale) {
+    // 2023-01-01は日曜日
+    return new Intl.DateTimeFormat(locale, { weekday: "short", timeZone: "UTC" }).format(new Date(Date.UTC(2023, 0, 1 + weekday)));
+}
+
+/**
+ * 繰り返しのルールを、表示する文字列にする（"毎週 月、水"など）
+ * @param {string} rule RRULE形式の繰り返しのルール
+ * @param {import("../i18n/I18n.js").I18n} i18n
+ * @returns {string}
+ */
+function describeRecurrence(rule, i18n) {
+    const { type, days, weekdays = [], monthDay } = parseRecurrence(rule);
+    const locale = i18n.getLocale();
+    const weekdayNames = new Intl.ListFormat(locale).format(weekdays.map(weekday => getWeekdayName(weekday, locale)));
+    return i18n.t("todo.recurrence", { type, days, weekdays: weekdayNames, monthDay });
+}
+
+/**
+ * テキストのうち検索語に一致する部分を`<mark>`で囲んだHTML断片を返す
+ *
+ * テキストはhtml`...`でエスケープしてから埋め込むため、
+ * タイトルにHTMLが含まれていてもそのまま文字として表示されます。
+ *
+ * @param {string} text
+ * @param {string} query 検索語（空の場合は何も囲まない）
+ * @returns {ReturnType<typeof html>|string}
+ */
+function highlightMatches(text, query) {
+    const matches = findMatches(text, query);
+    if (matches.length === 0) {
+        return text;
+    }
+    const fragments = [];
+    let lastIndex = 0;
+    matches.forEach(({ start, end }) => {
+        fragments.push(text.slice(lastIndex, start), html`<mark>${text.slice(start, end)}</mark>`);
+        lastIndex = end;
+    });
+    fragments.push(text.slice(lastIndex));
+    return html`${fragments}`;
+}
+
+/**
+ * 繰り返しの設定用の行で、選んだ種類の入力欄だけを表示する（表示していない入力欄は検証の対象外にする）
+ * @param {Element} editorElement createRecurrenceEditorElement()で生成した行
+ */
+function showRecurrenceFields(editorElement) {
+    const type = editorElement.querySelector(".recurrence-type").value;
+    editorElement.querySelectorAll(".recurrence-field").forEach(fieldElement => {
+        fieldElement.hidden = fieldElement.dataset.type !== type;
+        fieldElement.querySelectorAll("input").forEach(inputElement => {
+            inputElement.disabled = fieldElement.hidden;
+        });
+    });
+}
+
+/**
+ * 繰り返しの設定用の行に入力した値から、繰り返しのルールを組み立てる
+ * @param {Element} editorElement createRecurrenceEditorElement()で生成した行
+ * @returns {string|null} RRULE形式のルール。組み立てられない場合（曜日を1つも選んでいないなど）はnull
+ */
+function readRecurrence(editorElement) {
+    return formatRecurrence({
+        type: editorElement.querySelector(".recurrence-type").value,
+        days: Number(editorElement.querySelector(".recurrence-days").value),
+        weekdays: Array.from(editorElement.querySelectorAll(".recurrence-weekday:checked"), weekdayElement => Number(weekdayElement.value)),
+        monthDay: Number(editorElement.querySelector(".recurrence-month-day").value)
+    });
+}
+
+/**
+ * ドロップ先の行の上半分なら"before"、下半分なら"after"を返す
+ * @param {Element} todoItemElement ドロップ先の行
+ * @param {DragEvent} event
+ * @returns {"before"|"after"}
+ */
+function getDropPosition(todoItemElement, event) {
+    const rect = todoItemElement.getBoundingClientRect();
+    return event.clientY < rect.top + rect.height / 2 ? "before" : "after";
+}
 
 export class TodoItemView {
     /**
@@ -57,50 +190,556 @@ export class TodoItemView {
      *    - Reactの三項演算子や&&演算子を使った条件分岐に相当
      *
      * 2. イベントハンドリング：
-     *    - addEventListener = ReactのonChange、onClickイベント
-     *    - イベントが発生するとActionのdispatchが実行される
+     *    - 操作する要素にdata-action属性（TodoAction）を、行にdata-id属性を付ける
+     *    - イベントはリストのコンテナでActionDelegatorが受け取り、createActionHandlers()のハンドラーを呼ぶ
      *
      * 3. データフローの実装：
      *    - UIイベント → Action dispatch (onUpdateTodo/onDeleteTodo)
      *    - → Reducer処理 → State更新 → UI再レンダリング
      *
-     * ReactのSynthetic Eventsとの違い：
-     * - React: イベントデリゲーションでルート要素にイベントを集約
-     * - このコード: 各要素に直接イベントリスナーを追加
+     * ReactのSynthetic Eventsと同じく、イベントデリゲーションでルート要素にイベントを集約します。
+     * 要素はイベントリスナーを持たないため、再レンダリングで要素を作り直してもリスナーの登録は発生しません。
+     *
+     * 4. 編集モード：
+     *    - タイトルをダブルクリックすると編集用の入力欄に切り替わる
+     *    - Enterまたはフォーカスが外れたときに確定、Escapeで取り消す
+     *    - 編集中かどうかはAppが管理し、isEditingとして受け取る（制御されたコンポーネント）
+     *
+     * 5. 検索語のハイライト：
+     *    - タイトルのうち検索語に一致する部分を`<mark>`で囲む
+     *
+     * 6. キーボード操作（ローヴィングタブインデックス）：
+     *    - リストの中でTabキーで移動できる行（タブストップ）は1つだけで、isTabStopとして受け取る
+     *    - 行にフォーカスがある状態で↑/↓で前後の行へ、Home/Endで先頭/末尾の行へフォーカスを移す
+     *    - Spaceで完了状態を切り替え、Deleteで削除し、Enterでタイトルの編集を始める
+     *    - →でサブタスクを展開し、←で折りたたむ
+     *    - 1/2/3で優先度を高/中/低に、0で優先度なしにする
+     *    - ContextMenuキー（またはShift+F10）で優先度のコンテキストメニューを開く
+     *
+     * 7. サブタスク：
+     *    - 行は木構造の深さ（depth）に応じて字下げし、サブタスクを持つ行には
+     *      折りたたみボタンと進捗（"3/5 完了"）を表示する
+     *    - 「+」ボタンでサブタスクの入力欄を開く（入力欄の行はcreateNewSubtaskElement()で生成する）
+     *
+     * 8. 同期の状態：
+     *    - サーバーへ送信していない変更がある行に、未同期のバッジを表示する
+     *
+     * 9. 優先度と繰り返し：
+     *    - 優先度のあるTodoには、優先度ごとの色の印を表示する
+     *    - 繰り返すTodoには、繰り返しの印（↻）を表示する（ルールはtitleで確認できる）
+     *    - 行を右クリックすると、優先度と繰り返しを操作するコンテキストメニューを開く
+     *    - メニューを開いているかどうかはAppが管理し、contextMenuとして受け取る（編集モードと同じ）
+     *    - 繰り返しの設定を選ぶと、設定用の行を開く（設定用の行はcreateRecurrenceEditorElement()で生成する）
      *
      * @param {TodoItemModel} todoItem Stateから取得したデータ（props）
-     * @param {function} onUpdateTodo UPDATE_TODO Actionをdispatchする関数
-     * @param {function} onDeleteTodo DELETE_TODO Actionをdispatchする関数
+     * @param {boolean} [isEditing] 編集モードで表示するならtrue
+     * @param {boolean} [isTabStop] Tabキーでフォーカスできる行ならtrue
+     * @param {boolean} [isReorderable] ドラッグ&ドロップで並び替えられるならtrue（手動の並び順で表示している場合）
+     * @param {Date} [now] 期限切れ・今日が期限の判定に使う現在時刻
+     * @param {string} [query] ハイライトする検索語
+     * @param {number} [depth] 木構造の深さ（最上位のTodoは0）
+     * @param {number} [childCount] 子のTodoの個数
+     * @param {number} [completedChildCount] 完了済みの子のTodoの個数
+     * @param {boolean} [isCollapsed] サブタスクを折りたたんでいるならtrue
+     * @param {boolean} [isUnsynced] サーバーへ送信していない変更があるならtrue
+     * @param {{ left: number }|null} [contextMenu] コンテキストメニューを開いているなら、その位置（行の左端からの距離）
+     * @param {import("../i18n/I18n.js").I18n} i18n 表示する文字列の翻訳
      * @returns {Element} 生成された仮想DOM要素（実際はDOM要素）
      */
-    createElement(todoItem, { onUpdateTodo, onDeleteTodo }) {
+    createElement(todoItem, {
+        isEditing = false,
+        isTabStop = false,
+        isReorderable = true,
+        now = new Date(),
+        query = "",
+        depth = 0,
+        childCount = 0,
+        completedChildCount = 0,
+        isCollapsed = false,
+        isUnsynced = false,
+        contextMenu = null,
+        i18n
+    }) {
+        if (isEditing) {
+            const editingElement = this.#createEditingElement(todoItem, { depth, i18n });
+            TodoItemView.setTabStop(editingElement, isTabStop);
+            return editingElement;
+        }
+        // 期限切れ・今日が期限の行は、クラス名で見た目を変える
+        const dueStatus = todoItem.getDueStatus(now) ?? "";
+        const dueDate = todoItem.dueDate ?? "";
+        const title = highlightMatches(todoItem.title, query);
+        const labelParams = { title: todoItem.title };
+        // サブタスクを持たない行は、折りたたみボタンの代わりに同じ幅の空白を置いてタイトルの位置を揃える
+        const toggleChildren = childCount === 0
+            ? html`<span class="toggle-children"></span>`
+            : html`<button class="toggle-children" type="button" data-action="${TodoAction.TOGGLE_CHILDREN}" aria-expanded="${isCollapsed ? "false" : "true"}" aria-label="${i18n.t(isCollapsed ? "todo.subtasks.expand.label" : "todo.subtasks.collapse.label", labelParams)}">${isCollapsed ? "▸" : "▾"}</button>`;
+        const progress = childCount === 0
+            ? ""
+            : html`<span class="subtask-progress" aria-label="${i18n.t("todo.subtasks.progress.label", { count: childCount, completed: completedChildCount })}">${i18n.t("todo.subtasks.progress", { count: childCount, completed: completedChildCount })}</span>`;
+        const syncBadge = isUnsynced
+            ? html`<span class="sync-badge" title="${i18n.t("todo.unsynced")}" aria-label="${i18n.t("todo.unsynced.label")}">●</span>`
+            : "";
+        const priorityMarker = todoItem.priority === TodoPriority.NONE
+            ? ""
+            : html`<span class="priority-marker priority-${todoItem.priority}" role="img" title="${i18n.t("todo.priority", { priority: todoItem.priority })}" aria-label="${i18n.t("todo.priority", { priority: todoItem.priority })}"></span>`;
+        const recurrenceLabel = todoItem.recurrence === null ? "" : i18n.t("todo.recurrence.label", { rule: describeRecurrence(todoItem.recurrence, i18n) });
+        const recurrenceBadge = todoItem.recurrence === null
+            ? ""
+            : html`<span class="recurrence-badge" role="img" title="${recurrenceLabel}" aria-label="${recurrenceLabel}">↻</span>`;
+        const priorityMenu = contextMenu === null ? "" : this.#createContextMenu(todoItem, { left: contextMenu.left, i18n });
         const todoItemElement = todoItem.completed
-            ? element`<li><input type="checkbox" class="checkbox" checked>
-                                    <s>${todoItem.title}</s>
-                                    <button class="delete">x</button>
+            ? element`<li data-key="${todoItem.id}" data-id="${todoItem.id}" data-action="${TodoAction.TODO}" class="${dueStatus}" style="--depth: ${depth}" aria-level="${depth + 1}" draggable="${isReorderable ? "true" : "false"}">${toggleChildren}<input type="checkbox" class="checkbox" checked data-action="${TodoAction.TOGGLE_COMPLETED}" aria-label="${i18n.t("todo.complete.label", labelParams)}">
+                                    ${priorityMarker}
+                                    <s>${title}</s>
+                                    ${recurrenceBadge}
+                                    ${progress}
+                                    ${syncBadge}
+                                    <input type="datetime-local" class="due-date" value="${dueDate}" data-action="${TodoAction.SET_DUE_DATE}" title="${i18n.t("todo.dueDate")}" aria-label="${i18n.t("todo.dueDate.label", labelParams)}">
+                                    <button class="add-subtask" type="button" data-action="${TodoAction.START_ADD_SUBTASK}" title="${i18n.t("todo.subtasks.add")}" aria-label="${i18n.t("todo.subtasks.add.label", labelParams)}">+</button>
+                                    <button class="delete" data-action="${TodoAction.DELETE}" title="${i18n.t("todo.delete")}" aria-label="${i18n.t("todo.delete.label", labelParams)}">x</button>
+                                    ${priorityMenu}
                                 </li>`
-            : element`<li><input type="checkbox" class="checkbox">
-                                    ${todoItem.title}
-                                    <button class="delete">x</button>
+            : element`<li data-key="${todoItem.id}" data-id="${todoItem.id}" data-action="${TodoAction.TODO}" class="${dueStatus}" style="--depth: ${depth}" aria-level="${depth + 1}" draggable="${isReorderable ? "true" : "false"}">${toggleChildren}<input type="checkbox" class="checkbox" data-action="${TodoAction.TOGGLE_COMPLETED}" aria-label="${i18n.t("todo.complete.label", labelParams)}">
+                                    ${priorityMarker}
+                                    ${title}
+                                    ${recurrenceBadge}
+                                    ${progress}
+                                    ${syncBadge}
+                                    <input type="datetime-local" class="due-date" value="${dueDate}" data-action="${TodoAction.SET_DUE_DATE}" title="${i18n.t("todo.dueDate")}" aria-label="${i18n.t("todo.dueDate.label", labelParams)}">
+                                    <button class="add-subtask" type="button" data-action="${TodoAction.START_ADD_SUBTASK}" title="${i18n.t("todo.subtasks.add")}" aria-label="${i18n.t("todo.subtasks.add.label", labelParams)}">+</button>
+                                    <button class="delete" data-action="${TodoAction.DELETE}" title="${i18n.t("todo.delete")}" aria-label="${i18n.t("todo.delete.label", labelParams)}">x</button>
+                                    ${priorityMenu}
                                 </li>`;
-        const inputCheckboxElement = todoItemElement.querySelector(".checkbox");
-        inputCheckboxElement.addEventListener("change", () => {
-            // ReduxのAction dispatchに相当 - UPDATE_TODO Actionを発行
-            // ReactではonChange={() => dispatch(updateTodo(...))} に相当
-            onUpdateTodo({
-                id: todoItem.id,
-                completed: !todoItem.completed
-            });
-        });
-        const deleteButtonElement = todoItemElement.querySelector(".delete");
-        deleteButtonElement.addEventListener("click", () => {
-            // ReduxのAction dispatchに相当 - DELETE_TODO Actionを発行
-            // ReactではonClick={() => dispatch(deleteTodo(...))} に相当
-            onDeleteTodo({
-                id: todoItem.id
-            });
-        });
+        TodoItemView.setTabStop(todoItemElement, isTabStop);
         // 作成したTodoアイテムのHTML要素を返す
         return todoItemElement;
     }
+
+    /**
+     * 行をタブストップにする（またはタブストップから外す）
+     *
+     * タブストップの行は行そのものと中の操作要素をTabキーでフォーカスでき、
+     * それ以外の行はtabindex="-1"にしてTabキーでの移動から外します（矢印キーやクリックではフォーカスできる）。
+     * フォーカスが移るたびに再レンダリングすると、クリック中の要素が置き換えられてclickイベントが
+     * 発生しなくなるため、TodoListView#moveTabStop()から既存の要素にも同じ処理を適用します。
+     *
+     * @param {Element} todoItemElement
+     * @param {boolean} isTabStop
+     */
+    static setTabStop(todoItemElement, isTabStop) {
+        todoItemElement.tabIndex = isTabStop ? 0 : -1;
+        todoItemElement.querySelectorAll("input, button").forEach(controlElement => {
+            if (isTabStop) {
+                controlElement.removeAttribute("tabindex");
+            } else {
+                controlElement.tabIndex = -1;
+            }
+        });
+    }
+
+    /**
+     * Todoリストの操作のハンドラーを生成する - ReactのonClickやonChangeなどのpropsに相当
+     *
+     * createElement()などで生成する要素はイベントリスナーを持たず、data-action属性（TodoAction）と
+     * data-id属性だけを持ちます。戻り値をActionDelegatorに登録すると、リストのコンテナで受け取ったイベントを、
+     * 引数で受け取ったハンドラーの呼び出しに変換します。
+     * 完了状態や折りたたみの状態など、操作に必要な値は描画済みの要素から読み取ります。
+     *
+     * - 行: キーボード操作、ダブルクリックでの編集、右クリックでのコンテキストメニュー、ドラッグ&ドロップでの並び替え
+     *   （キー操作の一覧はcreateElement()を参照。Alt+↑/Alt+↓は行の中のどこにフォーカスがあっても並び替える）
+     * - 行の中の操作: 完了状態、期限、削除、折りたたみ、サブタスクの入力欄を開く
+     * - コンテキストメニュー: 項目を選ぶとメニューを閉じてから操作する。↑/↓で項目を移動し、Escapeで閉じる
+     * - タイトルの編集、サブタスクの入力欄、繰り返しの設定用の行: それぞれの要素の説明を参照
+     *
+     * メニューの外をクリックしたときに閉じる処理は、メニューの外のイベントを受け取れるAppで行います。
+     *
+     * @param {object} handlers
+     * @param {function} handlers.onUpdateTodo UPDATE_TODO Actionをdispatchする関数
+     * @param {function} handlers.onDeleteTodo DELETE_TODO Actionをdispatchする関数
+     * @param {function} [handlers.onStartEditTodo] 編集モードを開始する関数
+     * @param {function} [handlers.onCommitEditTodo] 編集したタイトルを確定する関数
+     * @param {function} [handlers.onCancelEditTodo] 編集を取り消す関数
+     * @param {function} [handlers.onMoveTodo] ドラッグ&ドロップで並び順を変更する関数
+     * @param {function} [handlers.onMoveTodoBy] キーボード操作で前後に移動する関数
+     * @param {function} [handlers.onFocusTodo] 行またはその中の要素にフォーカスが移ったときに呼ばれる関数
+     * @param {function} [handlers.onMoveFocus] キーボード操作で前後の行へフォーカスを移す関数
+     * @param {function} [handlers.onToggleCollapse] サブタスクを折りたたむ（展開する）関数
+     * @param {function} [handlers.onStartAddSubtask] サブタスクの入力欄を開く関数
+     * @param {function} [handlers.onAddSubtask] サブタスクを追加する関数
+     * @param {function} [handlers.onCancelAddSubtask] サブタスクの入力欄を閉じる関数
+     * @param {function} [handlers.onOpenContextMenu] コンテキストメニューを開く関数
+     * @param {function} [handlers.onCloseContextMenu] コンテキストメニューを閉じる関数
+     * @param {function} [handlers.onStartEditRecurrence] 繰り返しの設定用の行を開く関数
+     * @param {function} [handlers.onCommitRecurrence] 繰り返しの設定を保存する関数
+     * @param {function} [handlers.onCancelRecurrence] 繰り返しの設定用の行を閉じる関数
+     * @param {function} [handlers.onSkipOccurrence] 繰り返すTodoの今回をスキップする関数
+     * @param {function} [handlers.onStopRecurrence] 繰り返しをやめる関数
+     * @returns {Object<string, Object<string, Function>>} 操作の名前と、{ イベントの種類: ハンドラー }の対応（ActionDelegator#register()に渡す）
+     */
+    static createActionHandlers({
+        onUpdateTodo,
+        onDeleteTodo,
+        onStartEditTodo = () => {},
+        onCommitEditTodo = () => {},
+        onCancelEditTodo = () => {},
+        onMoveTodo = () => {},
+        onMoveTodoBy = () => {},
+        onFocusTodo = () => {},
+        onMoveFocus = () => {},
+        onToggleCollapse = () => {},
+        onStartAddSubtask = () => {},
+        onAddSubtask = () => {},
+        onCancelAddSubtask = () => {},
+        onOpenContextMenu = () => {},
+        onCloseContextMenu = () => {},
+        onStartEditRecurrence = () => {},
+        onCommitRecurrence = () => {},
+        onCancelRecurrence = () => {},
+        onSkipOccurrence = () => {},
+        onStopRecurrence = () => {}
+    }) {
+        // コンテキストメニューの項目は、メニューを閉じてから操作する
+        const menuItem = (handler) => ({
+            click: ({ id, element }) => {
+                onCloseContextMenu({ id });
+                handler({ id, element });
+            }
+        });
+        // 入力済みのサブタスクを追加する（続けて入力できるよう入力欄は空にする）
+        const addSubtask = (parentId, inputElement) => {
+            const title = inputElement.value;
+            inputElement.value = "";
+            if (title.trim().length > 0) {
+                onAddSubtask({ parentId, title });
+            }
+        };
+        return {
+            [TodoAction.TODO]: {
+                focusin: ({ id }) => {
+                    onFocusTodo({ id });
+                },
+                keydown: ({ id, element, event }) => {
+                    if (event.altKey && (event.key === "ArrowUp" || event.key === "ArrowDown")) {
+                        event.preventDefault();
+                        onMoveTodoBy({ id, offset: event.key === "ArrowUp" ? -1 : 1 });
+                        return;
+                    }
+                    // 行の中の入力欄やボタンで押されたキーは、それぞれの要素の標準の動作を優先する
+                    if (event.target !== element || event.altKey || event.ctrlKey || event.metaKey) {
+                        return;
+                    }
+                    if (PRIORITY_BY_SHORTCUT_KEY.has(event.key)) {
+                        onUpdateTodo({ id, priority: PRIORITY_BY_SHORTCUT_KEY.get(event.key) });
+                        event.preventDefault();
+                        return;
+                    }
+                    if (event.key === "ContextMenu" || (event.key === "F10" && event.shiftKey)) {
+                        onOpenContextMenu({ id, left: 0 });
+                        event.preventDefault();
+                        return;
+                    }
+                    switch (event.key) {
+                        case "ArrowUp":
+                        case "ArrowDown":
+                            onMoveFocus({ id, offset: event.key === "ArrowUp" ? -1 : 1 });
+                            break;
+                        case "Home":
+                        case "End":
+                            onMoveFocus({ id, offset: event.key === "Home" ? -Infinity : Infinity });
+                            break;
+                        case " ":
+                            onUpdateTodo({ id, completed: !element.querySelector(".checkbox").checked });
+                            break;
+                        case "Delete":
+                            onDeleteTodo({ id });
+                            break;
+                        case "Enter":
+                            onStartEditTodo({ id });
+                            break;
+                        case "ArrowRight":
+                        case "ArrowLeft": {
+                            // サブタスクを持つ行だけが、折りたたみボタン（aria-expanded）を持つ
+                            const toggleElement = element.querySelector("button.toggle-children");
+                            const collapsed = event.key === "ArrowLeft";
+                            if (!toggleElement || collapsed === (toggleElement.getAttribute("aria-expanded") === "false")) {
+                                return;
+                            }
+                            onToggleCollapse({ id, collapsed });
+                            break;
+                        }
+                        default:
+                            return;
+                    }
+                    // Spaceでのスクロールなど、ブラウザ標準の動作を止める
+                    event.preventDefault();
+                },
+                dblclick: ({ id, event }) => {
+                    // チェックボックスや期限、ボタンのダブルクリックでは編集を開始しない
+                    if (event.target.closest(".checkbox, .due-date, button")) {
+                        return;
+                    }
+                    onStartEditTodo({ id });
+                },
+                contextmenu: ({ id, element, event }) => {
+                    event.preventDefault();
+                    // 開いているメニューの上では、ブラウザ標準のメニューだけを止める
+                    if (event.target.closest(".context-menu")) {
+                        return;
+                    }
+                    onOpenContextMenu({ id, left: event.clientX - element.getBoundingClientRect().left });
+                },
+                // HTML5のドラッグ&ドロップ: ドロップ先の行の上半分なら前に、下半分なら後ろに移動する
+                // ドラッグ中は、ドロップ先の行に挿入位置を示すクラス（drop-before/drop-after）を付ける
+                dragstart: ({ id, element, event }) => {
+                    event.dataTransfer.setData(TODO_ID_MIME_TYPE, String(id));
+                    event.dataTransfer.effectAllowed = "move";
+                    element.classList.add("dragging");
+                },
+                dragend: ({ element }) => {
+                    element.classList.remove("dragging");
+                },
+                dragover: ({ element, event }) => {
+                    if (!event.dataTransfer.types.includes(TODO_ID_MIME_TYPE)) {
+                        return;
+                    }
+                    // preventDefault()することでドロップを受け付ける
+                    event.preventDefault();
+                    event.dataTransfer.dropEffect = "move";
+                    const position = getDropPosition(element, event);
+                    element.classList.toggle("drop-before", position === "before");
+                    element.classList.toggle("drop-after", position === "after");
+                },
+                dragleave: ({ element }) => {
+                    element.classList.remove("drop-before", "drop-after");
+                },
+                drop: ({ id: targetId, element, event }) => {
+                    const id = Number(event.dataTransfer.getData(TODO_ID_MIME_TYPE));
+                    element.classList.remove("drop-before", "drop-after");
+                    if (!event.dataTransfer.types.includes(TODO_ID_MIME_TYPE) || id === targetId) {
+                        return;
+                    }
+                    event.preventDefault();
+                    onMoveTodo({ id, targetId, position: getDropPosition(element, event) });
+                }
+            },
+            [TodoAction.TOGGLE_COMPLETED]: {
+                // ReduxのAction dispatchに相当 - UPDATE_TODO Actionを発行
+                // ReactではonChange={() => dispatch(updateTodo(...))} に相当
+                change: ({ id, element }) => {
+                    onUpdateTodo({ id, completed: element.checked });
+                }
+            },
+            [TodoAction.SET_DUE_DATE]: {
+                change: ({ id, element }) => {
+                    onUpdateTodo({ id, dueDate: element.value === "" ? null : element.value });
+                }
+            },
+            [TodoAction.DELETE]: {
+                // ReduxのAction dispatchに相当 - DELETE_TODO Actionを発行
+                // ReactではonClick={() => dispatch(deleteTodo(...))} に相当
+                click: ({ id }) => {
+                    onDeleteTodo({ id });
+                }
+            },
+            [TodoAction.TOGGLE_CHILDREN]: {
+                click: ({ id, element }) => {
+                    onToggleCollapse({ id, collapsed: element.getAttribute("aria-expanded") === "true" });
+                }
+            },
+            [TodoAction.START_ADD_SUBTASK]: {
+                click: ({ id }) => {
+                    onStartAddSubtask({ id });
+                }
+            },
+            [TodoAction.CONTEXT_MENU]: {
+                keydown: ({ id, element, event }) => {
+                    const optionElements = Array.from(element.querySelectorAll("button"));
+                    const index = optionElements.indexOf(event.target);
+                    switch (event.key) {
+                        case "Escape":
+                            onCloseContextMenu({ id });
+                            break;
+                        case "ArrowUp":
+                        case "ArrowDown": {
+                            const offset = event.key === "ArrowUp" ? -1 : 1;
+                            optionElements[(index + offset + optionElements.length) % optionElements.length].focus();
+                            break;
+                        }
+                        default:
+                            return;
+                    }
+                    event.preventDefault();
+                }
+            },
+            [TodoAction.SET_PRIORITY]: menuItem(({ id, element }) => {
+                onUpdateTodo({ id, priority: element.dataset.priority });
+            }),
+            [TodoAction.EDIT_RECURRENCE]: menuItem(onStartEditRecurrence),
+            [TodoAction.SKIP_OCCURRENCE]: menuItem(onSkipOccurrence),
+            [TodoAction.STOP_RECURRENCE]: menuItem(onStopRecurrence),
+            [TodoAction.EDIT_TITLE]: {
+                keydown: ({ id, element, event }) => {
+                    // 日本語入力の変換を確定するEnterでは確定しない
+                    if (event.isComposing) {
+                        return;
+                    }
+                    if (event.key === "Enter") {
+                        onCommitEditTodo({ id, title: element.value });
+                    } else if (event.key === "Escape") {
+                        onCancelEditTodo({ id });
+                    }
+                },
+                // Enterで確定した後や、Escapeで取り消した後に入力欄が取り除かれた場合も、
+                // 二重に確定しないよう、編集中かどうかはAppが判定する
+                focusout: ({ id, element }) => {
+                    onCommitEditTodo({ id, title: element.value });
+                }
+            },
+            [TodoAction.NEW_SUBTASK]: {
+                keydown: ({ id, element, event }) => {
+                    // 日本語入力の変換を確定するEnterでは追加しない
+                    if (event.isComposing) {
+                        return;
+                    }
+                    if (event.key === "Enter") {
+                        if (element.value.trim().length === 0) {
+                            onCancelAddSubtask({ parentId: id });
+                        } else {
+                            addSubtask(id, element);
+                        }
+                    } else if (event.key === "Escape") {
+                        onCancelAddSubtask({ parentId: id });
+                    }
+                },
+                focusout: ({ id, element }) => {
+                    // 再レンダリングで入力欄が取り除かれた場合は何もしない
+                    if (!element.isConnected) {
+                        return;
+                    }
+                    addSubtask(id, element);
+                    onCancelAddSubtask({ parentId: id });
+                }
+            },
+            [TodoAction.RECURRENCE_EDITOR]: {
+                submit: ({ id, element, event }) => {
+                    event.preventDefault();
+                    const recurrence = readRecurrence(element);
+                    if (recurrence === null) {
+                        return;
+                    }
+                    onCommitRecurrence({ id, recurrence });
+                },
+                keydown: ({ id, event }) => {
+                    if (event.key === "Escape") {
+                        onCancelRecurrence({ id });
+                    }
+                }
+            },
+            [TodoAction.RECURRENCE_TYPE]: {
+                change: ({ element }) => {
+                    showRecurrenceFields(element.closest(".recurrence-editor"));
+                }
+            },
+            [TodoAction.CANCEL_RECURRENCE]: {
+                click: ({ id }) => {
+                    onCancelRecurrence({ id });
+                }
+            }
+        };
+    }
+
+    /**
+     * 優先度と繰り返しを操作するコンテキストメニューのHTML断片を生成する
+     *
+     * WAI-ARIAのメニューと同じく、role="menu"の中に優先度ごとのrole="menuitemradio"を並べ、
+     * 現在の優先度をaria-checkedで示します。区切りの後に、繰り返しの操作（role="menuitem"）を並べます。
+     * 今回のスキップと繰り返しの停止は、繰り返すTodoの場合だけ表示します。
+     *
+     * @param {TodoItemModel} todoItem
+     * @param {{ left: number, i18n: import("../i18n/I18n.js").I18n }} props
+     * @returns {ReturnType<typeof html>}
+     */
+    #createContextMenu(todoItem, { left, i18n }) {
+        const priorityItems = Array.from(PRIORITY_SHORTCUT_KEYS, ([priority, key]) => html`<li role="none"><button class="priority-option" type="button" role="menuitemradio" aria-checked="${priority === todoItem.priority ? "true" : "false"}" data-action="${TodoAction.SET_PRIORITY}" data-priority="${priority}"><span class="priority-marker priority-${priority}"></span>${i18n.t(`priority.${priority}`)}<kbd>${key}</kbd></button></li>`);
+        const recurrenceActions = todoItem.recurrence === null
+            ? [TodoAction.EDIT_RECURRENCE]
+            : [TodoAction.EDIT_RECURRENCE, TodoAction.SKIP_OCCURRENCE, TodoAction.STOP_RECURRENCE];
+        const recurrenceMessageKeys = {
+            [TodoAction.EDIT_RECURRENCE]: "todo.recurrence.edit",
+            [TodoAction.SKIP_OCCURRENCE]: "todo.recurrence.skip",
+            [TodoAction.STOP_RECURRENCE]: "todo.recurrence.stop"
+        };
+        const recurrenceItems = recurrenceActions.map(action => html`<li role="none"><button class="recurrence-option" type="button" role="menuitem" data-action="${action}">${i18n.t(recurrenceMessageKeys[action])}</button></li>`);
+        return html`<ul class="context-menu" role="menu" data-action="${TodoAction.CONTEXT_MENU}" style="left: ${left}px" aria-label="${i18n.t("todo.menu.label", { title: todoItem.title })}">${priorityItems}<li role="separator"></li>${recurrenceItems}</ul>`;
+    }
+
+    /**
+     * 編集モードの要素を生成する
+     *
+     * Enterまたはフォーカスが外れたときに確定し、Escapeで取り消します（createActionHandlers()を参照）。
+     *
+     * @param {TodoItemModel} todoItem
+     * @param {{ depth: number, i18n: import("../i18n/I18n.js").I18n }} props
+     * @returns {Element}
+     */
+    #createEditingElement(todoItem, { depth, i18n }) {
+        return element`<li data-key="${todoItem.id}" data-id="${todoItem.id}" class="editing" style="--depth: ${depth}" aria-level="${depth + 1}"><input type="text" class="edit" value="${todoItem.title}" autocomplete="off" data-action="${TodoAction.EDIT_TITLE}" aria-label="${i18n.t("todo.edit.label")}"></li>`;
+    }
+
+    /**
+     * 繰り返しの設定用の行を生成する
+     *
+     * 繰り返しの種類に応じて、日数（N日ごと）、曜日（毎週）、日付（毎月）の入力欄を切り替えて表示します。
+     * 繰り返しを設定していないTodoは、期限（無ければ今日）の曜日と日付を初期値にします。
+     * 保存すると、入力した値から組み立てたルールでonCommitRecurrenceを呼びます（曜日を1つも選ばない場合など、
+     * ルールを組み立てられない場合は保存しません）。Escapeまたはキャンセルで閉じます（createActionHandlers()を参照）。
+     *
+     * @param {TodoItemModel} todoItem
+     * @param {{ depth: number, now: Date, i18n: import("../i18n/I18n.js").I18n }} props
+     *   depth: 設定用の行の深さ（Todoと同じ深さ）
+     * @returns {Element}
+     */
+    createRecurrenceEditorElement(todoItem, { depth, now, i18n }) {
+        const baseDate = todoItem.getDueTime() ?? now;
+        const {
+            type = RecurrenceType.WEEKLY,
+            days = 2,
+            weekdays = [baseDate.getDay()],
+            monthDay = baseDate.getDate()
+        } = parseRecurrence(todoItem.recurrence) ?? {};
+        const locale = i18n.getLocale();
+        const typeOptions = Object.values(RecurrenceType).map(recurrenceType => html`<option value="${recurrenceType}">${i18n.t(`recurrence.${recurrenceType}`)}</option>`);
+        const weekdayCheckboxes = [0, 1, 2, 3, 4, 5, 6].map(weekday => html`<label><input type="checkbox" class="recurrence-weekday" value="${weekday}">${getWeekdayName(weekday, locale)}</label>`);
+        const editorElement = element`<li data-key="recurrence-${todoItem.id}" data-id="${todoItem.id}" data-action="${TodoAction.RECURRENCE_EDITOR}" class="recurrence-editor" style="--depth: ${depth}" aria-level="${depth + 1}"><form aria-label="${i18n.t("recurrence.editor.label", { title: todoItem.title })}">
+                <select class="recurrence-type" data-action="${TodoAction.RECURRENCE_TYPE}" aria-label="${i18n.t("recurrence.type.label")}">${typeOptions}</select>
+                <label class="recurrence-field" data-type="${RecurrenceType.INTERVAL}">${i18n.t("recurrence.days.label")} <input type="number" class="recurrence-days" min="2" value="${days}" required></label>
+                <fieldset class="recurrence-field" data-type="${RecurrenceType.WEEKLY}"><legend>${i18n.t("recurrence.weekdays.label")}</legend>${weekdayCheckboxes}</fieldset>
+                <label class="recurrence-field" data-type="${RecurrenceType.MONTHLY}">${i18n.t("recurrence.monthDay.label")} <input type="number" class="recurrence-month-day" min="1" max="31" value="${monthDay}" required></label>
+                <button class="save" type="submit">${i18n.t("recurrence.save")}</button>
+                <button class="cancel" type="button" data-action="${TodoAction.CANCEL_RECURRENCE}">${i18n.t("recurrence.cancel")}</button>
+            </form></li>`;
+        const typeSelectElement = editorElement.querySelector(".recurrence-type");
+        typeSelectElement.value = type;
+        editorElement.querySelectorAll(".recurrence-weekday").forEach(weekdayElement => {
+            weekdayElement.checked = weekdays.includes(Number(weekdayElement.value));
+        });
+        showRecurrenceFields(editorElement);
+        return editorElement;
+    }
+
+    /**
+     * サブタスクの入力欄の行を生成する
+     *
+     * Enterで追加した後も、続けて入力できるよう入力欄を開いたままにします。
+     * 空のままEnterを押すかEscapeを押すと閉じ、フォーカスが外れたときは入力済みなら追加してから閉じます（createActionHandlers()を参照）。
+     *
+     * @param {TodoItemModel} parentItem サブタスクを追加する親のTodo
+     * @param {{ depth: number, i18n: import("../i18n/I18n.js").I18n }} props
+     *   depth: 入力欄の行の深さ（親の深さ+1）
+     * @returns {Element}
+     */
+    createNewSubtaskElement(parentItem, { depth, i18n }) {
+        return element`<li data-key="new-subtask-${parentItem.id}" data-id="${parentItem.id}" class="editing new-subtask" style="--depth: ${depth}" aria-level="${depth + 1}"><input type="text" class="edit" value="" autocomplete="off" data-action="${TodoAction.NEW_SUBTASK}" placeholder="${i18n.t("todo.subtasks.new.placeholder")}" aria-label="${i18n.t("todo.subtasks.add.label", { title: parentItem.title })}"></li>`;
+    }
 }
@@ -14,7 +14,9 @@
  * このクラスの役割:
  * - StateからViewへの変換（データ → 仮想DOM）
  * - 子コンポーネントの組み立て（コンポーネントツリーの構築）
- * - イベントハンドラーのバインディング
+ * - イベントハンドラーの生成（各行はdata-action属性だけを持ち、イベントはコンテナで受け取る）
+ * - サブタスクの木構造を、字下げした行の並びとして表示する
+ * - 繰り返しの設定用の行を、設定しているTodoの直後に表示する
  *
  * 本来のReactでは:
  * ```jsx
@@ -40,7 +42,7 @@ export class TodoListView {
      * 仮想DOM生成メソッド - React.createElement()とrenderメソッドに相当
      *
      * このメソッドは、Reactにおける以下の処理を実装しています：
-     * 1. props（todoItems, イベントハンドラー）を受け取る
+     * 1. props（todoItems, 表示の状態）を受け取る
      * 2. 仮想DOMツリーを構築（React.createElement相当）
      * 3. 子コンポーネントを再帰的に生成（コンポーネントの合成）
      *
@@ -53,22 +55,126 @@ export class TodoListView {
      * - shouldComponentUpdateによる不要な再レンダリング防止
      * - React.memoによるコンポーネントのメモ化
      *
-     * @param {TodoItemModel[]} todoItems Stateから取得したデータ（props）
-     * @param {function} onUpdateTodo Actionをdispatchするコールバック
-     * @param {function} onDeleteTodo Actionをdispatchするコールバック
+     * @param {Array<{ todoItem: TodoItemModel, depth: number, childCount: number, completedChildCount: number, isCollapsed: boolean }>} rows
+     *   表示する行（flattenTodoTree()で木構造を表示順に並べたもの）
+     * @param {number|null} [editingTodoId] 編集中のTodoアイテムのID
+     * @param {number|null} [addingSubtaskParentId] サブタスクの入力欄を開いているTodoアイテムのID
+     * @param {{ id: number, left: number }|null} [contextMenu] コンテキストメニューを開いているTodoアイテムのIDとメニューの位置
+     * @param {number|null} [editingRecurrenceTodoId] 繰り返しの設定用の行を開いているTodoアイテムのID
+     * @param {Set<number>} [unsyncedTodoIds] サーバーへ送信していない変更があるTodoアイテムのID
+     * @param {boolean} [isReorderable] 並び替えられるならtrue（手動以外の並び順では、並び替えても表示が変わらないためfalse）
+     * @param {number|null} [focusedTodoId] 最後にフォーカスした行のTodoアイテムのID（表示されていなければ先頭の行をタブストップにする）
+     * @param {Date} [now] 期限の判定に使う現在時刻
+     * @param {string} [query] ハイライトする検索語
+     * @param {import("../i18n/I18n.js").I18n} i18n 表示する文字列の翻訳
      * @returns {Element} 生成された仮想DOM（実際はDOM要素）
      */
-    createElement(todoItems, { onUpdateTodo, onDeleteTodo }) {
-        const todoListElement = element`<ul></ul>`;
+    createElement(rows, {
+        editingTodoId = null,
+        addingSubtaskParentId = null,
+        contextMenu = null,
+        editingRecurrenceTodoId = null,
+        unsyncedTodoIds = new Set(),
+        focusedTodoId = null,
+        isReorderable = true,
+        now = new Date(),
+        query = "",
+        i18n
+    }) {
+        const todoListElement = element`<ul aria-label="${i18n.t("todoList.label")}"></ul>`;
+        const newSubtaskPosition = TodoListView.findNewSubtaskPosition(rows, addingSubtaskParentId);
+        // Tabキーでリストに入ったときにフォーカスする行は1つだけ（ローヴィングタブインデックス）
+        const tabStopId = rows.some(({ todoItem }) => todoItem.id === focusedTodoId)
+            ? focusedTodoId
+            : rows[0]?.todoItem.id;
         // 各TodoItemモデルに対応したHTML要素を作成し、リスト要素へ追加する
-        todoItems.forEach(todoItem => {
+        rows.forEach(({ todoItem, depth, childCount, completedChildCount, isCollapsed }, index) => {
             const todoItemView = new TodoItemView();
             const todoItemElement = todoItemView.createElement(todoItem, {
-                onDeleteTodo,
-                onUpdateTodo
+                isEditing: todoItem.id === editingTodoId,
+                isTabStop: todoItem.id === tabStopId,
+                isReorderable,
+                now,
+                query,
+                depth,
+                childCount,
+                completedChildCount,
+                isCollapsed,
+                isUnsynced: unsyncedTodoIds.has(todoItem.id),
+                contextMenu: todoItem.id === contextMenu?.id ? { left: contextMenu.left } : null,
+                i18n
             });
             todoListElement.appendChild(todoItemElement);
+            if (todoItem.id === editingRecurrenceTodoId) {
+                todoListElement.appendChild(todoItemView.createRecurrenceEditorElement(todoItem, {
+                    depth,
+                    now,
+                    i18n
+                }));
+            }
+            if (newSubtaskPosition?.afterIndex === index) {
+                const { parentRow } = newSubtaskPosition;
+                todoListElement.appendChild(todoItemView.createNewSubtaskElement(parentRow.todoItem, {
+                    depth: parentRow.depth + 1,
+                    i18n
+                }));
+            }
         });
         return todoListElement;
     }
+
+    /**
+     * リストの操作のハンドラーを生成する
+     *
+     * createElement()で生成するリストの要素はイベントリスナーを持たないため、
+     * 戻り値をリストのコンテナのActionDelegatorに登録してイベントを受け取ります。
+     * 引数はTodoItemView.createActionHandlers()と同じです。
+     *
+     * @param {object} handlers onUpdateTodoやonDeleteTodoなど、Appのハンドラー
+     * @returns {Object<string, Object<string, Function>>} ActionDelegator#register()に渡す、操作ごとのハンドラー
+     */
+    static createActionHandlers(handlers) {
+        return TodoItemView.createActionHandlers(handlers);
+    }
+
+    /**
+     * サブタスクの入力欄を置く位置を求める
+     *
+     * 入力欄は、新しいサブタスクが並ぶ位置（入力欄を開いた親の最後の子孫の後ろ）に置きます。
+     * VirtualTodoListViewも、描画しない行の高さを求めるときに使います。
+     *
+     * @param {Array<{ todoItem: TodoItemModel, depth: number }>} rows
+     * @param {number|null} parentId 入力欄を開いているTodoアイテムのID
+     * @returns {{ parentRow: { todoItem: TodoItemModel, depth: number }, afterIndex: number }|null}
+     *   afterIndex: 入力欄の直前に並ぶ行のインデックス（親の行が表示されていなければnullを返す）
+     */
+    static findNewSubtaskPosition(rows, parentId) {
+        const parentIndex = rows.findIndex(({ todoItem }) => todoItem.id === parentId);
+        if (parentIndex === -1) {
+            return null;
+        }
+        const parentRow = rows[parentIndex];
+        let afterIndex = parentIndex;
+        while (afterIndex + 1 < rows.length && rows[afterIndex + 1].depth > parentRow.depth) {
+            afterIndex++;
+        }
+        return { parentRow, afterIndex };
+    }
+
+    /**
+     * 描画済みのリストで、タブストップの行を変更する
+     *
+     * フォーカスの移動だけで再レンダリングすると、クリック中の行が置き換えられてしまうため、
+     * 既存の要素の属性だけを書き換えます。次のレンダリングで同じfocusedTodoIdを渡せば、
+     * createElement()が生成する要素と一致するため、行は置き換えられません。
+     *
+     * @param {Element} containerElement リストを描画したコンテナ
+     * @param {number} todoId タブストップにする行のTodoアイテムのID
+     */
+    moveTabStop(containerElement, todoId) {
+        // サブタスクの入力欄の行と、繰り返しの設定用の行はタブストップの対象外
+        containerElement.querySelectorAll("li[data-key]:not(.new-subtask, .recurrence-editor)").forEach(todoItemElement => {
+            TodoItemView.setTabStop(todoItemElement, todoItemElement.dataset.key === String(todoId));
+        });
+    }
 }
@@ -0,0 +1,276 @@
+/**
+ * VirtualTodoListViewクラス - 表示範囲の行だけを描画するTodoリスト（react-windowの<VariableSizeList>に相当）
+ *
+ * TodoListViewはすべての行の要素を生成するため、数千件を超えるリストでは
+ * 変更のたびの要素の生成と差分の比較に時間がかかります。
+ * このクラスは、スクロールしている範囲の行と、その前後の余分な行（overscan）だけを
+ * TodoListViewで生成し、描画しない行の高さはリストの上下の余白（padding）で埋めます。
+ * 余白を含めたリストの高さはすべての行を描画した場合と同じになるため、スクロールバーの位置と長さは変わりません。
+ *
+ * 描画するたびに、render()の後でdidRender()を呼び出します（ReactのcomponentDidUpdateに相当）。
+ *
+ * 行の高さ:
+ * 描画した行の高さはdidRender()で測って覚えておき、まだ描画していない行は推定の高さ（estimatedRowHeight）とみなします。
+ * 繰り返しの設定用の行とサブタスクの入力欄の行も、開いている間はその高さを含めて位置を求めます。
+ * タイトルが折り返した行や、設定用の行のように高さの異なる行があっても、測った後はスクロール位置がずれません。
+ * 行が削除されるなどして一覧から無くなった行の高さは捨てます。
+ *
+ * 行の要素の再利用:
+ * 描画する範囲はoverscanの行数を単位として区切るため、その単位を越えてスクロールするまで範囲は変わりません。
+ * 範囲が変わった場合も、範囲に残った行はrender()がdata-key属性で対応付けてそのまま再利用します。
+ * 新しく範囲に入った行には、範囲から外れる行の要素か、プールの要素（内容が変わってrender()が置き換えた行の要素）を
+ * 取り出し、属性と中身をその行のものに付け替えて使います。使える要素が無い場合だけ新しい要素を使います。
+ *
+ * 本来のReact（react-window）では:
+ * ```jsx
+ * <VariableSizeList height={600} itemCount={rows.length} itemSize={index => heights[index]} estimatedItemSize={67} overscanCount={10}>
+ *   {({ index, style }) => <TodoItem style={style} {...rows[index]} />}
+ * </VariableSizeList>
+ * ```
+ *
+ * 制限:
+ * - 繰り返しの設定用の行とサブタスクの入力欄は、対応する行が描画範囲にある間だけ表示します
+ */
+import { TodoListView } from "./TodoListView.js";
+
+// 推定の1行の高さ（px）。index.cssの.todo-list liのフォントサイズと余白、境界線から求めた値
+const DEFAULT_ESTIMATED_ROW_HEIGHT = 67;
+
+export class VirtualTodoListView {
+    #todoListView = new TodoListView();
+    #estimatedRowHeight;
+    #overscan;
+    // 描画した行の高さ（data-keyごと）
+    #measuredHeights = new Map();
+    // 最後に求めた各行の位置（行や測った高さが変わるまで使い回す）
+    #layout = null;
+    // 最後に描画したリストの行の要素と、そのdata-key属性の値
+    #rowElements = [];
+    #renderedKeys = new Set();
+    // render()がリストから取り除いた行の要素（新しく範囲に入った行に使い回す）
+    #rowPool = [];
+
+    /**
+     * @param {{ estimatedRowHeight?: number, overscan?: number }} [options]
+     *   estimatedRowHeight: まだ描画していない行の推定の高さ（px）
+     *   overscan: 表示範囲の前後に余分に描画する行数（描画する範囲を区切る単位にもなる）
+     */
+    constructor({ estimatedRowHeight = DEFAULT_ESTIMATED_ROW_HEIGHT, overscan = 10 } = {}) {
+        this.#estimatedRowHeight = estimatedRowHeight;
+        this.#overscan = overscan;
+    }
+
+    /**
+     * 描画する行の範囲を求める
+     *
+     * 表示範囲の前後にそれぞれoverscan行以上を含め、範囲の端をoverscanの倍数に揃えます。
+     * スクロールしてもoverscan行未満の移動であれば同じ範囲を返すため、再描画を省けます。
+     *
+     * @param {Array<{ todoItem: import("../model/TodoItemModel.js").TodoItemModel, depth: number }>} rows すべての行
+     * @param {{ scrollTop: number, viewportHeight: number, editingRecurrenceTodoId?: number|null, addingSubtaskParentId?: number|null }} viewport
+     *   スクロール位置と表示領域の高さ（px）。開いている設定用の行と入力欄の行も、createElement()と同じく指定する
+     * @returns {{ start: number, end: number }} 描画する行のインデックスの範囲（endは含まない）
+     */
+    getRange(rows, { scrollTop, viewportHeight, ...props }) {
+        const overscan = this.#overscan;
+        const offsets = this.#getOffsets(rows, props);
+        const totalHeight = offsets[rows.length];
+        // 行が減った直後はスクロール位置がリストの末尾を越えていることがあるため、末尾までに収める
+        const maxScrollTop = Math.max(totalHeight - viewportHeight, 0);
+        const top = Math.min(Math.max(scrollTop, 0), maxScrollTop);
+        const firstVisibleIndex = findRowIndex(offsets, top);
+        const lastVisibleIndex = findRowIndex(offsets, top + viewportHeight) + 1;
+        return {
+            start: Math.max((Math.floor(firstVisibleIndex / overscan) - 1) * overscan, 0),
+            end: Math.min((Math.ceil(lastVisibleIndex / overscan) + 1) * overscan, rows.length)
+        };
+    }
+
+    /**
+     * 行が表示領域に収まるスクロール位置を求める
+     *
+     * すでに収まっている場合は現在の位置を返し、収まっていない場合は最小限だけスクロールします。
+     * キーボード操作で、描画範囲の外の行へフォーカスを移すときに使います。
+     *
+     * @param {Array<{ todoItem: import("../model/TodoItemModel.js").TodoItemModel, depth: number }>} rows すべての行
+     * @param {number} index 表示する行のインデックス
+     * @param {{ scrollTop: number, viewportHeight: number, editingRecurrenceTodoId?: number|null, addingSubtaskParentId?: number|null }} viewport
+     * @returns {number}
+     */
+    getScrollTopForRow(rows, index, { scrollTop, viewportHeight, ...props }) {
+        const offsets = this.#getOffsets(rows, props);
+        const rowTop = offsets[index];
+        const rowBottom = rowTop + this.#getHeight(String(rows[index].todoItem.id));
+        if (rowTop < scrollTop) {
+            return rowTop;
+        }
+        if (rowBottom > scrollTop + viewportHeight) {
+            return rowBottom - viewportHeight;
+        }
+        return scrollTop;
+    }
+
+    /**
+     * 描画範囲の行だけのリストを生成する
+     *
+     * 引数はTodoListView#createElement()と同じで、スクロール位置と表示領域の高さを加えたものです。
+     * 前回の描画に無かった行には、範囲から外れる行かプールにある行の要素を付け替えて使います。
+     *
+     * @param {Array<{ todoItem: import("../model/TodoItemModel.js").TodoItemModel, depth: number, childCount: number, completedChildCount: number, isCollapsed: boolean }>} rows
+     *   すべての行（flattenTodoTree()で木構造を表示順に並べたもの）
+     * @param {object} props TodoListView#createElement()の引数に、次の値を加えたもの
+     * @param {number} props.scrollTop リストを描画するコンテナのスクロール位置（px）
+     * @param {number} props.viewportHeight リストを描画するコンテナの表示領域の高さ（px）
+     * @returns {Element}
+     */
+    createElement(rows, { scrollTop, viewportHeight, ...props }) {
+        const { start, end } = this.getRange(rows, { scrollTop, viewportHeight, ...props });
+        const offsets = this.#getOffsets(rows, props);
+        const todoListElement = this.#todoListView.createElement(rows.slice(start, end), props);
+        todoListElement.classList.add("virtual-list");
+        // 描画しない行の高さを上下の余白で埋める
+        todoListElement.setAttribute("style", `padding-top: ${offsets[start]}px; padding-bottom: ${offsets[rows.length] - offsets[end]}px`);
+        const nextRowElements = Array.from(todoListElement.children);
+        const nextKeys = new Set(nextRowElements.map(rowElement => rowElement.getAttribute("data-key")));
+        // 描画中のリストにあり、新しいリストに無い行（範囲から外れる行）の要素は、render()で取り除かれる
+        const leavingRowElements = this.#rowElements.filter(rowElement => {
+            return rowElement.parentNode !== null && !nextKeys.has(rowElement.getAttribute("data-key"));
+        });
+        nextRowElements.forEach(rowElement => {
+            if (this.#renderedKeys.has(rowElement.getAttribute("data-key"))) {
+                return;
+            }
+            const reusableElement = leavingRowElements.pop() ?? this.#rowPool.pop();
+            if (reusableElement) {
+                rebindRowElement(reusableElement, rowElement);
+            }
+        });
+        return todoListElement;
+    }
+
+    /**
+     * リストを描画した後の処理 - 行の高さを測り、render()が取り除いた行の要素をプールに戻す
+     *
+     * render()でリストを描画した後に呼び出します。測った高さが変わった場合は、
+     * 上下の余白が実際の行の高さと合わなくなっているため、もう一度描画し直します。
+     * レイアウトされていない要素（高さが0）は測りません。
+     * プールには、描画した行の数までの要素を残します。
+     *
+     * @param {Element} todoListElement 描画したリストの要素
+     * @returns {boolean} 測った高さが変わったならtrue
+     */
+    didRender(todoListElement) {
+        const rowElements = Array.from(todoListElement.children);
+        this.#rowElements.forEach(rowElement => {
+            if (rowElement.parentNode !== todoListElement && this.#rowPool.length < rowElements.length) {
+                this.#rowPool.push(rowElement);
+            }
+        });
+        this.#rowElements = rowElements;
+        this.#renderedKeys = new Set(rowElements.map(rowElement => rowElement.getAttribute("data-key")));
+        let isChanged = false;
+        for (const rowElement of todoListElement.children) {
+            const key = rowElement.getAttribute("data-key");
+            const height = rowElement.getBoundingClientRect().height;
+            if (key === null || height === 0 || this.#measuredHeights.get(key) === height) {
+                continue;
+            }
+            this.#measuredHeights.set(key, height);
+            isChanged = true;
+        }
+        if (isChanged) {
+            this.#layout = null;
+        }
+        return isChanged;
+    }
+
+    /**
+     * 行の高さを返す（まだ測っていない場合は推定の高さ）
+     * @param {string} key 行のdata-key属性の値
+     * @returns {number}
+     */
+    #getHeight(key) {
+        return this.#measuredHeights.get(key) ?? this.#estimatedRowHeight;
+    }
+
+    /**
+     * 各行の上端の位置を求める
+     *
+     * 繰り返しの設定用の行はそのTodoの行の直後に、サブタスクの入力欄の行は
+     * TodoListViewと同じ位置に並ぶものとして、直前の行の高さに含めます。
+     *
+     * @param {Array<{ todoItem: import("../model/TodoItemModel.js").TodoItemModel, depth: number }>} rows
+     * @param {{ editingRecurrenceTodoId?: number|null, addingSubtaskParentId?: number|null }} props
+     * @returns {number[]} 各行の上端の位置（px）。末尾にリスト全体の高さを加えた、rows.length + 1個の値
+     */
+    #getOffsets(rows, { editingRecurrenceTodoId = null, addingSubtaskParentId = null }) {
+        const layout = this.#layout;
+        if (layout && layout.rows === rows && layout.editingRecurrenceTodoId === editingRecurrenceTodoId && layout.addingSubtaskParentId === addingSubtaskParentId) {
+            return layout.offsets;
+        }
+        // 一覧から無くなった行（削除したTodoや閉じた入力欄）の高さを捨てる
+        const keys = new Set(rows.map(({ todoItem }) => String(todoItem.id)));
+        keys.add(`recurrence-${editingRecurrenceTodoId}`);
+        keys.add(`new-subtask-${addingSubtaskParentId}`);
+        this.#measuredHeights.forEach((height, key) => {
+            if (!keys.has(key)) {
+                this.#measuredHeights.delete(key);
+            }
+        });
+        const newSubtaskPosition = TodoListView.findNewSubtaskPosition(rows, addingSubtaskParentId);
+        const offsets = [0];
+        rows.forEach(({ todoItem }, index) => {
+            let height = this.#getHeight(String(todoItem.id));
+            if (todoItem.id === editingRecurrenceTodoId) {
+                height += this.#getHeight(`recurrence-${todoItem.id}`);
+            }
+            if (newSubtaskPosition?.afterIndex === index) {
+                height += this.#getHeight(`new-subtask-${addingSubtaskParentId}`);
+            }
+            offsets.push(offsets[index] + height);
+        });
+        this.#layout = { rows, editingRecurrenceTodoId, addingSubtaskParentId, offsets };
+        return offsets;
+    }
+}
+
+/**
+ * 使い回す行の要素を、新しく範囲に入った行の要素と入れ替える
+ *
+ * 行の要素の属性と中身を、新しい行の要素のものに付け替えてから、新しい行の要素の位置に置きます。
+ *
+ * @param {Element} rowElement 範囲から外れる行か、プールにあった行の要素
+ * @param {Element} nextRowElement 新しく範囲に入った行として生成した要素
+ */
+function rebindRowElement(rowElement, nextRowElement) {
+    Array.from(rowElement.attributes).forEach(({ name }) => {
+        if (!nextRowElement.hasAttribute(name)) {
+            rowElement.removeAttribute(name);
+        }
+    });
+    Array.from(nextRowElement.attributes).forEach(({ name, value }) => {
+        rowElement.setAttribute(name, value);
+    });
+    rowElement.replaceChildren(...nextRowElement.childNodes);
+    nextRowElement.replaceWith(rowElement);
+}
+
+/**
+ * 位置を含む行のインデックスを二分探索で求める
+ * @param {number[]} offsets 各行の上端の位置（末尾はリスト全体の高さ）
+ * @param {number} position
+ * @returns {number} offsets[index] <= position を満たす最大のインデックス（最後の行を越えない）
+ */
+function findRowIndex(offsets, position) {
+    let low = 0;
+    let high = offsets.length - 2;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (offsets[middle] <= position) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return Math.max(low, 0);
+}
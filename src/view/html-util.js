@@ -14,7 +14,7 @@
  *
  * このモジュールの簡略化された実装:
  * - テンプレートリテラル → element関数 → 実DOM要素
- * - 実DOM要素 → render関数 → DOM更新
+ * - 実DOM要素 → render関数 → 既存の実DOMとの差分更新（data-key属性で要素を対応付け）
  *
  * 本来のReactでは、以下の最適化が行われます：
  * - Virtual DOM Diffing: 最小限のDOM操作
@@ -57,6 +57,73 @@ export function htmlToElement(html) {
     return template.content.firstElementChild;
 }
 
+/**
+ * エスケープ済みのHTML断片
+ *
+ * html`...`でのみ生成され、element`...`に埋め込むとエスケープされずにそのまま挿入されます。
+ * 任意の文字列からは生成できないため、利用者の入力がHTMLとして解釈されることはありません。
+ * ReactのdangerouslySetInnerHTMLと異なり、埋め込む値は常にエスケープを通ります。
+ */
+class SafeHTML {
+    #html;
+
+    /**
+     * @param {string} html エスケープ済みのHTML文字列
+     */
+    constructor(html) {
+        this.#html = html;
+    }
+
+    toString() {
+        return this.#html;
+    }
+}
+
+/**
+ * テンプレートに埋め込む値をHTML文字列に変換する
+ *
+ * - 文字列はエスケープする
+ * - html`...`で生成したHTML断片はそのまま埋め込む
+ * - 配列は各要素を変換してつなげる（JSXで配列を子要素にするのと同じ）
+ * - それ以外の値（数値など）は文字列に変換する
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function toHTML(value) {
+    if (typeof value === "string") {
+        return escapeSpecialChars(value);
+    }
+    if (value instanceof SafeHTML) {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toHTML).join("");
+    }
+    return String(value);
+}
+
+/**
+ * タグ付きテンプレートリテラル - HTML断片の生成（JSXのフラグメント<>...</>に相当）
+ *
+ * element`...`と同じく埋め込んだ文字列をエスケープし、
+ * DOM要素ではなく、別のテンプレートへ埋め込めるHTML断片を返します。
+ * 文字列の一部を`<mark>`で囲むなど、ルート要素を持たないマークアップを組み立てるのに使います。
+ *
+ * 使用例:
+ * ```js
+ * const title = html`${before}<mark>${matched}</mark>${after}`;
+ * element`<li>${title}</li>`
+ * ```
+ *
+ * @param {TemplateStringsArray} strings テンプレートリテラルの静的部分
+ * @param {...any} values テンプレートリテラルの動的部分
+ * @returns {SafeHTML}
+ */
+export function html(strings, ...values) {
+    return new SafeHTML(strings.reduce((result, str, i) => result + toHTML(values[i - 1]) + str));
+}
+
 /**
  * タグ付きテンプレートリテラル - React.createElement()の代替実装
  *
@@ -65,7 +132,7 @@ export function htmlToElement(html) {
  * 以下の処理を行います：
  *
  * 1. テンプレートリテラルの解析
- * 2. 動的な値の埋め込み（XSS対策済み）
+ * 2. 動的な値の埋め込み（XSS対策済み。html`...`で生成したHTML断片だけはそのまま埋め込む）
  * 3. HTML文字列からDOM要素の生成
  *
  * ReactのJSX例:
@@ -83,14 +150,7 @@ export function htmlToElement(html) {
  * @returns {Element} 生成されたDOM要素（ReactのReactElementに相当）
  */
 export function element(strings, ...values) {
-    const htmlString = strings.reduce((result, str, i) => {
-        const value = values[i - 1];
-        if (typeof value === "string") {
-            return result + escapeSpecialChars(value) + str;
-        } else {
-            return result + String(value) + str;
-        }
-    });
+    const htmlString = strings.reduce((result, str, i) => result + toHTML(values[i - 1]) + str);
     return htmlToElement(htmlString);
 }
 
@@ -100,21 +160,178 @@ export function element(strings, ...values) {
  * ReactDOM.render(component, container)と同じ役割を果たします。
  * 仮想DOM（または実DOM要素）を指定されたコンテナにマウントします。
  *
- * Reactとの違い:
- * - React: 差分検出で最小限のDOM更新
- * - この実装: 全体を置き換え（簡略化のため）
+ * 2回目以降のレンダリングでは、コンテナ内の既存の要素と新しい要素を比較し、
+ * 変更があった部分だけを実DOMに反映します（Reconciliation）。
+ * 変更のない要素はそのまま残るため、フォーカスやスクロール位置、
+ * CSSトランジションが維持されます。
  *
- * 本来のReactでは：
- * - Virtual DOM Diffingを使用して変更箇所を特定
- * - 最小限のDOM操作で効率的に更新
- * - Key属性を使用してリスト要素を追跡
+ * 本来のReactとの違い:
+ * - React: 仮想DOMオブジェクト同士を比較
+ * - この実装: 新しく生成した実DOM要素と既存の実DOM要素を比較
  *
  * @param {Element} bodyElement レンダリングする要素（Reactコンポーネント）
  * @param {Element} containerElement マウント先のコンテナ（ルート要素）
  */
 export function render(bodyElement, containerElement) {
+    const currentElement = containerElement.firstElementChild;
+    if (containerElement.childNodes.length === 1 && currentElement && currentElement.tagName === bodyElement.tagName) {
+        patchElement(currentElement, bodyElement);
+        return;
+    }
+    // 初回のレンダリング、またはルート要素の種類が変わった場合は全体を置き換える
     // containerElementの中身を空にする
     containerElement.innerHTML = "";
     // containerElementの直下にbodyElementを追加する
     containerElement.appendChild(bodyElement);
 }
+
+/**
+ * フォーカスの保存と復元 - 再レンダリングの前後でフォーカスを維持する
+ *
+ * render()は内容が変わった行を新しい要素に置き換えるため、
+ * 置き換えられた行の中にあったフォーカスは失われます。
+ * レンダリングの前にこの関数を呼び、レンダリングの後に戻り値の関数を呼ぶと、
+ * 同じkey（data-key属性）を持つ新しい行の、同じ種類（先頭のクラス名）の要素へフォーカスを戻します。
+ * 同じ種類の要素が無い場合は行そのものへ戻します。
+ *
+ * Reactでは要素が再利用されるためフォーカスは自然に維持されますが、
+ * この実装では要素を置き換えるため、明示的に復元します。
+ *
+ * @param {Element} containerElement レンダリング先のコンテナ
+ * @returns {(function(): boolean)|null} フォーカスを復元する関数（復元できた場合はtrueを返す）。
+ *   コンテナの中にフォーカスが無い場合はnull
+ */
+export function captureFocus(containerElement) {
+    const activeElement = document.activeElement;
+    if (!(activeElement instanceof HTMLElement) || !containerElement.contains(activeElement)) {
+        return null;
+    }
+    const keyedElement = activeElement.closest("[data-key]");
+    const key = keyedElement && containerElement.contains(keyedElement) ? getKey(keyedElement) : null;
+    const className = activeElement === keyedElement ? null : activeElement.classList.item(0);
+    const findReplacement = () => {
+        const rowElement = Array.from(containerElement.querySelectorAll("[data-key]"))
+            .find(candidate => getKey(candidate) === key);
+        if (!rowElement) {
+            return null;
+        }
+        return (className && rowElement.getElementsByClassName(className).item(0)) || rowElement;
+    };
+    return () => {
+        if (document.activeElement === activeElement) {
+            return true;
+        }
+        const targetElement = containerElement.contains(activeElement) ? activeElement : key !== null ? findReplacement() : null;
+        if (!targetElement) {
+            return false;
+        }
+        targetElement.focus();
+        return document.activeElement === targetElement;
+    };
+}
+
+/**
+ * 既存の要素を新しい要素の内容に合わせて更新する - Reactのreconcileに相当
+ *
+ * ルート要素自体は置き換えずに属性を同期し、子要素を差分更新します。
+ *
+ * @param {Element} currentElement 実DOMに存在する要素
+ * @param {Element} nextElement 新しく生成した要素
+ */
+function patchElement(currentElement, nextElement) {
+    patchAttributes(currentElement, nextElement);
+    patchChildren(currentElement, Array.from(nextElement.childNodes));
+}
+
+/**
+ * 属性を新しい要素に合わせて追加・更新・削除する
+ * @param {Element} currentElement
+ * @param {Element} nextElement
+ */
+function patchAttributes(currentElement, nextElement) {
+    Array.from(currentElement.attributes).forEach(({ name }) => {
+        if (!nextElement.hasAttribute(name)) {
+            currentElement.removeAttribute(name);
+        }
+    });
+    Array.from(nextElement.attributes).forEach(({ name, value }) => {
+        if (currentElement.getAttribute(name) !== value) {
+            currentElement.setAttribute(name, value);
+        }
+    });
+}
+
+/**
+ * 子ノードのkeyを返す - Reactのkey属性に相当
+ *
+ * `data-key`属性を持つ要素は、その値をkeyとして同じ要素かどうかを判定します。
+ * keyを持たないノードはnullを返し、位置（インデックス）で対応付けます。
+ *
+ * @param {Node} node
+ * @returns {string|null}
+ */
+function getKey(node) {
+    return node instanceof Element && node.hasAttribute("data-key")
+        ? node.getAttribute("data-key")
+        : null;
+}
+
+/**
+ * 子ノードの差分更新 - keyを使ったReconciliation
+ *
+ * 1. 既存の子ノードと新しい子ノードを、keyまたは位置で対応付ける
+ * 2. 対応する新しいノードが無い既存ノードを削除する
+ * 3. 内容が同じ既存ノードは再利用し、異なる場合は新しいノードに置き換える
+ * 4. 新しい並び順になるよう、必要なノードだけを挿入・移動する
+ *
+ * 内容が変わった行は属性を書き換えるのではなく新しい要素に置き換えます。
+ * 内容の比較にはisEqualNode()を使うため、イベントのハンドラーが参照する値は
+ * すべてDOMに描画されている必要があります（要素に直接登録したリスナーが参照する値も、
+ * ActionDelegatorで振り分けるハンドラーが要素から読み取る値も同じです）。
+ *
+ * @param {Element} parentElement 更新する親要素
+ * @param {Node[]} nextNodes 新しい子ノードの一覧
+ */
+function patchChildren(parentElement, nextNodes) {
+    const currentNodes = Array.from(parentElement.childNodes);
+    const keyedNodes = new Map();
+    const unkeyedNodes = [];
+    currentNodes.forEach(node => {
+        const key = getKey(node);
+        if (key === null) {
+            unkeyedNodes.push(node);
+        } else {
+            keyedNodes.set(key, node);
+        }
+    });
+    // 新しいノードごとに、再利用できる既存ノードを探す
+    const matchedNodes = nextNodes.map(nextNode => {
+        const key = getKey(nextNode);
+        const currentNode = key === null ? unkeyedNodes.shift() : keyedNodes.get(key);
+        if (key !== null) {
+            keyedNodes.delete(key);
+        }
+        return currentNode;
+    });
+    // 対応する新しいノードが無くなった既存ノードを削除する
+    [...keyedNodes.values(), ...unkeyedNodes].forEach(node => {
+        parentElement.removeChild(node);
+    });
+    // 新しい並び順に沿って、既存ノードの再利用・置き換え・挿入・移動を行う
+    let referenceNode = parentElement.firstChild;
+    nextNodes.forEach((nextNode, index) => {
+        const currentNode = matchedNodes[index];
+        const node = currentNode && currentNode.isEqualNode(nextNode) ? currentNode : nextNode;
+        if (currentNode && node !== currentNode) {
+            if (currentNode === referenceNode) {
+                referenceNode = referenceNode.nextSibling;
+            }
+            parentElement.removeChild(currentNode);
+        }
+        if (node === referenceNode) {
+            referenceNode = referenceNode.nextSibling;
+        } else {
+            parentElement.insertBefore(node, referenceNode);
+        }
+    });
+}
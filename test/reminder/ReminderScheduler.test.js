@@ -0,0 +1,179 @@
+/**
+ * ReminderSchedulerのテスト
+ *
+ * 現在時刻とタイマーを偽のclockに差し替え、時刻を進めて通知のタイミングを確かめます。
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ReminderScheduler } from "../../src/reminder/ReminderScheduler.js";
+import { TodoItemModel } from "../../src/model/TodoItemModel.js";
+
+/**
+ * 時刻を手動で進める偽のclock（jestのfake timersに相当）
+ */
+class FakeClock {
+    #now;
+    #timers = new Map();
+    #nextTimerId = 1;
+
+    /**
+     * @param {number} now 開始時刻（ミリ秒）
+     */
+    constructor(now) {
+        this.#now = now;
+    }
+
+    now = () => this.#now;
+
+    setTimeout = (callback, delay) => {
+        const timerId = this.#nextTimerId++;
+        this.#timers.set(timerId, { callback, time: this.#now + delay });
+        return timerId;
+    };
+
+    clearTimeout = (timerId) => {
+        this.#timers.delete(timerId);
+    };
+
+    /**
+     * 設定中のタイマーの数
+     * @returns {number}
+     */
+    get timerCount() {
+        return this.#timers.size;
+    }
+
+    /**
+     * 時刻を進め、その間に発火するタイマーを時刻の順に実行する
+     * @param {number} milliseconds
+     */
+    advance(milliseconds) {
+        const targetTime = this.#now + milliseconds;
+        for (;;) {
+            const [timerId, timer] = Array.from(this.#timers)
+                .filter(([, { time }]) => time <= targetTime)
+                .sort(([, a], [, b]) => a.time - b.time)[0] ?? [];
+            if (!timer) {
+                break;
+            }
+            this.#timers.delete(timerId);
+            this.#now = Math.max(this.#now, timer.time);
+            timer.callback();
+        }
+        this.#now = targetTime;
+    }
+}
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+// 期限はローカル時刻の"YYYY-MM-DDTHH:mm"のため、開始時刻もローカル時刻で決める
+const START_TIME = new Date(2026, 0, 1, 9, 0).getTime();
+
+/**
+ * 期限のあるTodoを生成する
+ * @param {string} title
+ * @param {string|null} dueDate
+ * @param {boolean} [completed]
+ * @returns {TodoItemModel}
+ */
+function createTodo(title, dueDate, completed = false) {
+    return new TodoItemModel({ title, completed, dueDate });
+}
+
+/**
+ * 偽のclockを使うスケジューラーと、通知されたTodoのタイトルを記録する配列を生成する
+ * @returns {{ clock: FakeClock, scheduler: ReminderScheduler, notified: string[][] }}
+ */
+function setup() {
+    const clock = new FakeClock(START_TIME);
+    const notified = [];
+    const scheduler = new ReminderScheduler({
+        clock,
+        onDue: todoItems => notified.push(todoItems.map(todoItem => todoItem.title))
+    });
+    return { clock, scheduler, notified };
+}
+
+describe("ReminderScheduler", () => {
+    it("期限が来たときにTodoを通知する", () => {
+        const { clock, scheduler, notified } = setup();
+        scheduler.schedule([createTodo("会議", "2026-01-01T10:00")]);
+        clock.advance(60 * MINUTE - 1);
+        assert.deepEqual(notified, []);
+        clock.advance(1);
+        assert.deepEqual(notified, [["会議"]]);
+    });
+
+    it("タイマーは次に期限が来るTodoの1つだけを設定し、通知した後に次のタイマーを設定する", () => {
+        const { clock, scheduler, notified } = setup();
+        scheduler.schedule([
+            createTodo("後", "2026-01-01T11:00"),
+            createTodo("先", "2026-01-01T10:00")
+        ]);
+        assert.equal(clock.timerCount, 1);
+        clock.advance(60 * MINUTE);
+        assert.deepEqual(notified, [["先"]]);
+        assert.equal(clock.timerCount, 1);
+        clock.advance(60 * MINUTE);
+        assert.deepEqual(notified, [["先"], ["後"]]);
+        assert.equal(clock.timerCount, 0);
+    });
+
+    it("同じ時刻に期限が来るTodoはまとめて通知する", () => {
+        const { clock, scheduler, notified } = setup();
+        scheduler.schedule([
+            createTodo("A", "2026-01-01T10:00"),
+            createTodo("B", "2026-01-01T10:00")
+        ]);
+        clock.advance(60 * MINUTE);
+        assert.deepEqual(notified, [["A", "B"]]);
+    });
+
+    it("起動した時点で期限が過ぎているTodoは通知しない", () => {
+        const { clock, scheduler, notified } = setup();
+        scheduler.schedule([createTodo("期限切れ", "2026-01-01T08:00")]);
+        assert.equal(clock.timerCount, 0);
+        clock.advance(DAY);
+        assert.deepEqual(notified, []);
+    });
+
+    it("完了したTodoと期限の無いTodoは通知しない", () => {
+        const { clock, scheduler, notified } = setup();
+        scheduler.schedule([
+            createTodo("完了", "2026-01-01T10:00", true),
+            createTodo("期限なし", null)
+        ]);
+        assert.equal(clock.timerCount, 0);
+        clock.advance(DAY);
+        assert.deepEqual(notified, []);
+    });
+
+    it("期限の前に完了にして設定し直すと、タイマーを解除する", () => {
+        const { clock, scheduler, notified } = setup();
+        const todoItem = createTodo("会議", "2026-01-01T10:00");
+        scheduler.schedule([todoItem]);
+        scheduler.schedule([new TodoItemModel({ ...todoItem.toJSON(), completed: true })]);
+        assert.equal(clock.timerCount, 0);
+        clock.advance(DAY);
+        assert.deepEqual(notified, []);
+    });
+
+    it("cancel()の後は通知しない", () => {
+        const { clock, scheduler, notified } = setup();
+        scheduler.schedule([createTodo("会議", "2026-01-01T10:00")]);
+        scheduler.cancel();
+        assert.equal(clock.timerCount, 0);
+        clock.advance(DAY);
+        assert.deepEqual(notified, []);
+    });
+
+    it("setTimeoutの上限より先の期限は、途中で設定し直して期限が来たときに通知する", () => {
+        const { clock, scheduler, notified } = setup();
+        scheduler.schedule([createTodo("来月", "2026-02-01T09:00")]);
+        clock.advance(25 * DAY);
+        assert.deepEqual(notified, []);
+        assert.equal(clock.timerCount, 1);
+        clock.advance(6 * DAY);
+        assert.deepEqual(notified, [["来月"]]);
+    });
+});